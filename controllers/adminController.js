@@ -0,0 +1,262 @@
+/**
+ * Admin Controller
+ * REST routes operators use to inspect and intervene in live games
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { ERROR_CODES } = require('../models/Protocol');
+const { removePlayer, emitGameOver, clearTurnTimer } = require('./gameController');
+const { notifyRoomClosed } = require('./lifecycleController');
+
+// Bearer token admin requests must carry; without one the admin API is switched off
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+const ANNOUNCEMENT_LEVELS = ['info', 'warning', 'critical'];
+const MAX_ANNOUNCEMENT_LENGTH = 500;
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Compare a presented token with the configured one without leaking how much of it matched
+ * @param {string} presented - Token from the request
+ */
+function isAdminToken(presented) {
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const actual = Buffer.from(presented || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Express middleware that only lets requests with the admin token through
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(503).json({ error: 'Admin API is not configured' });
+    return;
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !isAdminToken(token)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  next();
+}
+
+/**
+ * Read an optional reason from a request body
+ * @param {object} body - Request body
+ * @returns {string|null|undefined} The reason, null if none was given, or undefined if it is invalid
+ */
+function readReason(body) {
+  const reason = body?.reason;
+  if (reason === undefined || reason === null) return null;
+  if (typeof reason !== 'string' || reason.length > MAX_REASON_LENGTH) return undefined;
+  return reason;
+}
+
+/**
+ * Wrap an async route so store failures become a 503 instead of an unhandled rejection
+ * @param {Function} route - Async Express handler
+ */
+function handleAsync(route) {
+  return (req, res) => {
+    route(req, res).catch(error => {
+      console.error(`State store error in ${req.method} ${req.originalUrl}:`, error.message);
+      res.status(503).json({ error: 'Room state is temporarily unavailable' });
+    });
+  };
+}
+
+/**
+ * Tell a player's sockets why they are being removed and disconnect them, whichever instance they are on
+ * @param {string} playerId - Socket ID of the player
+ * @param {string} event - Event to send before disconnecting: kicked or banned
+ * @param {object} payload - Event payload
+ * @param {object} io - Socket.IO server instance
+ */
+function disconnectPlayer(playerId, event, payload, io) {
+  io.to(playerId).emit(event, payload);
+  io.in(playerId).disconnectSockets(true);
+}
+
+/**
+ * Socket.IO middleware that refuses connections from banned guests
+ *
+ * Only a guest who proves their identity with its guest token is checked; anyone else is let in as a
+ * brand new guest with no rating or history. A guest ban therefore only holds while the guest keeps
+ * the same token. Wallet bans are checked when the player signs in.
+ * @param {object} playerStore - Persistent profiles and bans
+ */
+function refuseBannedPlayers(playerStore) {
+  return (socket, next) => {
+    const { profileId, guestToken } = socket.handshake.auth || {};
+    if (playerStore.verifyGuestToken(profileId, guestToken) && playerStore.getBan(profileId)) {
+      next(new Error('This player is banned'));
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Build the admin routes
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ * @returns {object} Express router, to be mounted under /api/admin
+ */
+function createAdminRouter(gameState, io) {
+  const router = express.Router();
+  const playerStore = gameState.playerStore;
+
+  router.use(requireAdmin);
+
+  // Rooms on other instances are only visible once refreshed from the shared store
+  router.use((req, res, next) => {
+    gameState.store.loadRooms()
+      .then(() => next())
+      .catch(error => {
+        console.error('State store error while loading rooms for an admin request:', error.message);
+        res.status(503).json({ error: 'Room state is temporarily unavailable' });
+      });
+  });
+
+  router.get('/rooms', (req, res) => {
+    res.status(200).json({ rooms: gameState.getAllRooms() });
+  });
+
+  router.get('/rooms/:roomId', (req, res) => {
+    const room = gameState.getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    res.status(200).json({ room });
+  });
+
+  router.get('/players', (req, res) => {
+    res.status(200).json({ players: gameState.getAllPlayers() });
+  });
+
+  // Force-close a room, whatever state its game is in
+  router.post('/rooms/:roomId/close', handleAsync(async (req, res) => {
+    const { roomId } = req.params;
+    const room = await gameState.withRooms([roomId], () => gameState.closeRoom(roomId));
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    clearTurnTimer(roomId);
+    notifyRoomClosed(room, 'admin', io);
+    res.status(200).json({ roomId, closed: true });
+  }));
+
+  // End a stuck game with a declared winner, or as a draw when no winner is given
+  router.post('/rooms/:roomId/end', handleAsync(async (req, res) => {
+    const { roomId } = req.params;
+    const winner = req.body?.winnerId ?? null;
+    if (winner !== null && typeof winner !== 'string') {
+      return res.status(400).json({ error: 'winnerId must be a player or profile ID' });
+    }
+
+    const result = await gameState.withRooms([roomId], () => gameState.forceEndGame(roomId, winner));
+    if (!result.success) {
+      const status = result.code === ERROR_CODES.ROOM_NOT_FOUND ? 404 : 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    clearTurnTimer(roomId);
+    emitGameOver(result.room, gameState, io);
+    res.status(200).json({
+      roomId,
+      winnerId: result.room.gameData.winner,
+      matchId: result.room.gameData.matchId
+    });
+  }));
+
+  // Kick a player by socket ID, or every connection of a profile
+  router.post('/players/:id/kick', handleAsync(async (req, res) => {
+    const reason = readReason(req.body);
+    if (reason === undefined) {
+      return res.status(400).json({ error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    const players = gameState.findPlayers(req.params.id);
+    if (players.length === 0) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const playerIds = players.map(player => player.id);
+    for (const playerId of playerIds) {
+      await removePlayer(playerId, gameState, io);
+      disconnectPlayer(playerId, 'kicked', { reason }, io);
+    }
+
+    console.log(`Kicked ${playerIds.join(', ')}${reason ? `: ${reason}` : ''}`);
+    res.status(200).json({ kicked: playerIds });
+  }));
+
+  // Ban a profile, looked up from a socket ID if need be, and disconnect it everywhere
+  router.post('/players/:id/ban', handleAsync(async (req, res) => {
+    const reason = readReason(req.body);
+    if (reason === undefined) {
+      return res.status(400).json({ error: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    const duration = req.body?.durationMs ?? null;
+    if (duration !== null && (!Number.isInteger(duration) || duration <= 0)) {
+      return res.status(400).json({ error: 'durationMs must be a positive integer' });
+    }
+
+    const connected = gameState.getPlayer(req.params.id);
+    const profileId = connected ? connected.profileId : req.params.id;
+    const ban = playerStore.banProfile(profileId, { reason, duration });
+
+    const playerIds = gameState.findPlayers(profileId).map(player => player.id);
+    for (const playerId of playerIds) {
+      await removePlayer(playerId, gameState, io);
+      disconnectPlayer(playerId, 'banned', { reason, expiresAt: ban.expiresAt }, io);
+    }
+
+    console.log(`Banned ${profileId}${reason ? `: ${reason}` : ''}`);
+    res.status(200).json({ ban, kicked: playerIds });
+  }));
+
+  router.get('/bans', (req, res) => {
+    res.status(200).json({ bans: playerStore.getBans() });
+  });
+
+  router.delete('/bans/:profileId', (req, res) => {
+    if (!playerStore.unbanProfile(req.params.profileId)) {
+      return res.status(404).json({ error: 'Ban not found' });
+    }
+    res.status(200).json({ profileId: req.params.profileId, unbanned: true });
+  });
+
+  // Broadcast a message to every connected socket
+  router.post('/announcements', (req, res) => {
+    const message = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+    if (!message || message.length > MAX_ANNOUNCEMENT_LENGTH) {
+      return res.status(400).json({ error: `message must be 1-${MAX_ANNOUNCEMENT_LENGTH} characters` });
+    }
+
+    const level = req.body.level || 'info';
+    if (!ANNOUNCEMENT_LEVELS.includes(level)) {
+      return res.status(400).json({ error: `level must be one of: ${ANNOUNCEMENT_LEVELS.join(', ')}` });
+    }
+
+    const announcement = { message, level, timestamp: Date.now() };
+    io.emit('server_announcement', announcement);
+    res.status(200).json({ announcement });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter,
+  refuseBannedPlayers
+};
@@ -0,0 +1,102 @@
+/**
+ * Auth Controller
+ * Handles Arweave wallet challenge/response sign-in
+ */
+
+const crypto = require('crypto');
+const { addressFromOwner, buildChallengeMessage, verifySignature } = require('../models/ArweaveAuth');
+const { ERROR_CODES } = require('../models/Protocol');
+const { emitError } = require('./protocolController');
+
+// How long a sign-in challenge stays valid
+const CHALLENGE_TTL = 5 * 60 * 1000;
+
+// Outstanding challenges, keyed by socket ID
+const pendingChallenges = new Map();
+
+/**
+ * Drop challenges nobody answered in time
+ */
+function pruneExpiredChallenges() {
+  const now = Date.now();
+  pendingChallenges.forEach((challenge, socketId) => {
+    if (challenge.expiresAt <= now) {
+      pendingChallenges.delete(socketId);
+    }
+  });
+}
+
+/**
+ * Handle a request for a sign-in challenge
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Unused
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function handleAuthChallenge(socket, data, gameState, io) {
+  pruneExpiredChallenges();
+
+  const nonce = crypto.randomBytes(32).toString('hex');
+  const challenge = {
+    nonce,
+    message: buildChallengeMessage(nonce),
+    expiresAt: Date.now() + CHALLENGE_TTL
+  };
+  pendingChallenges.set(socket.id, challenge);
+
+  socket.emit('auth_challenge', challenge);
+}
+
+/**
+ * Handle a signed challenge and bind the socket to the wallet address
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - { address, publicKey, signature }
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function handleAuthVerify(socket, data, gameState, io) {
+  const challenge = pendingChallenges.get(socket.id);
+
+  // Each challenge can only be answered once
+  pendingChallenges.delete(socket.id);
+
+  if (!challenge || challenge.expiresAt <= Date.now()) {
+    emitError(socket, 'auth_verify', ERROR_CODES.AUTH_CHALLENGE_MISSING, 'No active challenge, request a new one');
+    return;
+  }
+
+  const { address, publicKey, signature } = data;
+
+  // The public key must belong to the claimed address...
+  if (addressFromOwner(publicKey) !== address) {
+    emitError(socket, 'auth_verify', ERROR_CODES.AUTH_FAILED, 'Public key does not match wallet address');
+    return;
+  }
+
+  // ...and must have signed this socket's challenge
+  if (!verifySignature({ owner: publicKey, signature, message: challenge.message })) {
+    emitError(socket, 'auth_verify', ERROR_CODES.AUTH_FAILED, 'Invalid signature');
+    return;
+  }
+
+  const result = gameState.authenticatePlayer(socket.id, address);
+
+  if (!result.success) {
+    emitError(socket, 'auth_verify', result.code, result.error);
+    return;
+  }
+
+  console.log(`${socket.id} signed in as ${address}`);
+
+  socket.emit('auth_success', {
+    playerId: socket.id,
+    profileId: result.player.profileId,
+    walletAddress: address,
+    playerData: result.player
+  });
+}
+
+module.exports = {
+  handleAuthChallenge,
+  handleAuthVerify
+};
@@ -0,0 +1,87 @@
+/**
+ * Chat Controller
+ * Handles room and lobby chat, and host moderation
+ */
+
+const { LOBBY_CHANNEL } = require('../models/ChatManager');
+const { ERROR_CODES } = require('../models/Protocol');
+const { emitError } = require('./protocolController');
+
+/**
+ * Put a newly connected socket in the lobby channel and send its recent history
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} gameState - Game state manager instance
+ */
+function joinLobby(socket, gameState) {
+  socket.join(LOBBY_CHANNEL);
+  socket.emit('chat_history', {
+    channel: LOBBY_CHANNEL,
+    messages: gameState.chat.getHistory(LOBBY_CHANNEL)
+  });
+}
+
+/**
+ * Handle chat messages
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Message data: { message, channel } where channel is 'room' (default) or 'lobby'
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function handleChatMessage(socket, data, gameState, io) {
+  const player = gameState.getPlayer(socket.id);
+  if (!player) return;
+
+  // Room chat always goes to the sender's actual room, never one the client names
+  let channel = LOBBY_CHANNEL;
+  if (data.channel !== LOBBY_CHANNEL) {
+    channel = gameState.playerToRoom.get(socket.id);
+    if (!channel) {
+      emitError(socket, 'chat_message', ERROR_CODES.NOT_IN_ROOM, 'You are not in a room');
+      return;
+    }
+
+    if (gameState.chat.isMuted(channel, player.profileId)) {
+      emitError(socket, 'chat_message', ERROR_CODES.MUTED, 'You have been muted by the host');
+      return;
+    }
+  }
+
+  const result = gameState.chat.createMessage(player, data.message, channel);
+
+  if (!result.success) {
+    emitError(socket, 'chat_message', result.code, result.error);
+    return;
+  }
+
+  gameState.chat.addToHistory(channel, result.message);
+  io.to(channel).emit('chat_message', result.message);
+}
+
+/**
+ * Handle the host muting or unmuting a player in their room
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - { playerId, muted }
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function handleMutePlayer(socket, data, gameState, io) {
+  const muted = data.muted !== false;
+  const result = gameState.setPlayerMuted(socket.id, data.playerId, muted);
+
+  if (!result.success) {
+    emitError(socket, 'mute_player', result.code, result.error);
+    return;
+  }
+
+  io.to(result.room.id).emit('player_muted', {
+    playerId: result.target.id,
+    playerName: result.target.name,
+    muted
+  });
+}
+
+module.exports = {
+  joinLobby,
+  handleChatMessage,
+  handleMutePlayer
+};
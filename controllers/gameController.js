@@ -3,25 +3,87 @@
  * Handles all game-related socket events
  */
 
+const { ERROR_CODES } = require('../models/Protocol');
+const { chooseBotAction } = require('../models/PracticeBot');
+const { leaveSpectatedRoom, releaseSpectatorChannels } = require('./spectatorController');
+const { emitError } = require('./protocolController');
+const { notifyRoomClosed } = require('./lifecycleController');
+
+/**
+ * Read a delay from the environment, where 0 is a setting of its own rather than a missing one
+ * @param {string} name - Environment variable holding milliseconds
+ * @param {number} fallback - Delay to use when the variable is unset or not a number
+ */
+function readDelay(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// How long a dropped player's seat is held before they are removed from their room
+const RECONNECT_GRACE_PERIOD = readDelay('RECONNECT_GRACE_PERIOD_MS', 60 * 1000);
+
+// Pending removals for disconnected players, keyed by session token
+const disconnectTimers = new Map();
+
+// Running turn clocks, keyed by room ID
+const turnTimers = new Map();
+
+// How long a practice bot "thinks" before acting, so its moves don't land instantly
+const BOT_MIN_DELAY = readDelay('BOT_MIN_DELAY_MS', 800);
+const BOT_MAX_DELAY = readDelay('BOT_MAX_DELAY_MS', 2000);
+
+// Pending bot moves, keyed by room ID
+const botTimers = new Map();
+
+/**
+ * Run a room mutation under the state store's room locks, telling the client if it could not run
+ * @param {object} socket - Socket.IO socket object
+ * @param {string} event - Inbound event being handled, used to report a failure
+ * @param {Array} roomIds - Rooms the mutation may change
+ * @param {object} gameState - Game state manager instance
+ * @param {Function} mutate - Synchronous mutation
+ * @returns {Promise} The mutation's result, or undefined if the store could not be reached
+ */
+async function mutateRooms(socket, event, roomIds, gameState, mutate) {
+  try {
+    return await gameState.withRooms(roomIds, mutate);
+  } catch (error) {
+    console.error(`State store error while handling ${event}:`, error.message);
+    emitError(socket, event, ERROR_CODES.SERVER_BUSY, 'Server is busy, please try again');
+    return undefined;
+  }
+}
+
 /**
  * Handle new user connection
  * @param {object} socket - Socket.IO socket object
  * @param {object} gameState - Game state manager instance
  */
 function handleUserConnection(socket, gameState) {
+  // Guests prove who they are with the secret token issued alongside their profile, never the public profile ID
+  const identity = gameState.playerStore.identifyGuest(socket.handshake.auth || {});
+  
   // Default player data
   const playerData = {
     name: `Player_${socket.id.substring(0, 5)}`,
+    profileId: identity.profileId,
     isConnected: true
   };
   
   // Register the player
   gameState.registerPlayer(socket.id, playerData);
   
+  // Issue a session token so the player can resume after a dropped connection
+  const sessionToken = gameState.createSession(socket.id);
+  
   // Send confirmation to the player
   socket.emit('connection_success', { 
     playerId: socket.id,
-    playerData: gameState.getPlayer(socket.id)
+    profileId: gameState.getPlayer(socket.id).profileId,
+    guestToken: identity.guestToken, // Only sent when a new guest is created; the client keeps it to come back as them
+    playerData: gameState.getPlayer(socket.id),
+    sessionToken,
+    reconnectGracePeriod: RECONNECT_GRACE_PERIOD
   });
 }
 
@@ -31,33 +93,147 @@ function handleUserConnection(socket, gameState) {
  * @param {object} gameState - Game state manager instance
  * @param {object} io - Socket.IO server instance
  */
-function handleUserDisconnection(socket, gameState, io) {
+async function handleUserDisconnection(socket, gameState, io) {
   console.log(`User disconnected: ${socket.id}`);
   
-  // Check if player was in a room
-  if (gameState.playerToRoom.has(socket.id)) {
-    const roomId = gameState.playerToRoom.get(socket.id);
-    const room = gameState.getRoom(roomId);
+  leaveSpectatedRoom(socket, gameState, io);
+  
+  const player = gameState.getPlayer(socket.id);
+  const roomId = gameState.playerToRoom.get(socket.id);
+  
+  const seated = await gameState.withRooms([roomId], () => {
+    // Players outside a room have nothing worth holding on to
+    if (!player || !roomId || !gameState.getRoom(roomId)) {
+      gameState.unregisterPlayer(socket.id);
+      return false;
+    }
     
-    if (room) {
-      // Notify other players in the room
-      socket.to(roomId).emit('player_left', {
-        playerId: socket.id,
-        playerName: gameState.getPlayer(socket.id)?.name || 'Unknown Player'
-      });
-      
-      // Remove player from room
-      const result = gameState.removePlayerFromRoom(socket.id, roomId);
+    // Keep the seat, character, health and mana during the grace period
+    gameState.markPlayerDisconnected(socket.id);
+    return true;
+  }).catch(error => {
+    console.error(`State store error while disconnecting ${socket.id}:`, error.message);
+    return false;
+  });
+  
+  if (!seated) return;
+  
+  io.to(roomId).emit('player_disconnected', {
+    playerId: socket.id,
+    playerName: player.name,
+    reconnectGracePeriod: RECONNECT_GRACE_PERIOD
+  });
+  
+  const sessionToken = player.sessionToken;
+  clearTimeout(disconnectTimers.get(sessionToken));
+  disconnectTimers.set(sessionToken, setTimeout(() => {
+    disconnectTimers.delete(sessionToken);
+    
+    // The player may have resumed on a different socket in the meantime
+    const playerId = gameState.getSessionPlayerId(sessionToken);
+    const current = playerId && gameState.getPlayer(playerId);
+    if (!current || current.isConnected) return;
+    
+    removePlayer(playerId, gameState, io).catch(error => {
+      console.error(`State store error while removing ${playerId}:`, error.message);
+    });
+  }, RECONNECT_GRACE_PERIOD));
+}
+
+/**
+ * Remove a player from their room and the server, e.g. when their reconnect grace period runs out
+ * @param {string} playerId - Socket ID the player was last bound to
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function removePlayer(playerId, gameState, io) {
+  const roomId = gameState.playerToRoom.get(playerId);
+  const playerName = gameState.getPlayer(playerId)?.name || 'Unknown Player';
+  
+  const result = await gameState.withRooms([roomId], () => {
+    const outcome = gameState.getRoom(roomId) ? gameState.removePlayerFromRoom(playerId, roomId) : null;
+    
+    // Unregister the player
+    gameState.unregisterPlayer(playerId);
+    return outcome;
+  });
+  
+  if (result) {
+    // Notify other players in the room
+    io.to(roomId).emit('player_left', { playerId, playerName });
+    
+    if (result.roomClosed) {
+      notifyRoomClosed(result.room, 'host_left', io);
+    }
+    
+    // If room still exists, update room data for remaining players
+    if (!result.roomClosed && result.room) {
+      io.to(roomId).emit('room_updated', { room: gameState.getClientRoom(result.room) });
+      if (result.previousHostId) {
+        emitHostChanged(result.room, result.previousHostId, gameState, io);
+      }
       
-      // If room still exists, update room data for remaining players
-      if (!result.roomClosed && result.room) {
-        io.to(roomId).emit('room_updated', { room: result.room });
+      // The last side standing wins a battle abandoned mid-game
+      if (result.gameEnded) {
+        clearTurnTimer(roomId);
+        emitGameOver(result.room, gameState, io);
+      } else if (result.turnAdvanced) {
+        scheduleTurnTimer(roomId, gameState, io);
       }
     }
   }
+}
+
+/**
+ * Handle a request to resume a previous session on this socket
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Resume data with sessionToken
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function handleResumeSession(socket, data, gameState, io) {
+  const sessionToken = data.sessionToken;
+  console.log(`${socket.id} resuming session`);
   
-  // Unregister the player
-  gameState.unregisterPlayer(socket.id);
+  const previousRoomId = gameState.playerToRoom.get(gameState.getSessionPlayerId(sessionToken));
+  const result = await mutateRooms(socket, 'resume_session', [previousRoomId], gameState, () => (
+    gameState.resumeSession(sessionToken, socket.id)
+  ));
+  if (!result) return;
+  
+  if (!result.success) {
+    emitError(socket, 'resume_session', result.code, result.error);
+    return;
+  }
+  
+  // Cancel the pending removal
+  clearTimeout(disconnectTimers.get(sessionToken));
+  disconnectTimers.delete(sessionToken);
+  
+  // If the old connection is still lingering, drop it, whichever instance it is connected to
+  io.in(result.previousPlayerId).disconnectSockets(true);
+  
+  const room = gameState.getClientRoom(result.room);
+  if (room) {
+    socket.join(room.id);
+    
+    socket.to(room.id).emit('player_reconnected', {
+      previousPlayerId: result.previousPlayerId,
+      playerId: socket.id,
+      playerName: result.player.name
+    });
+  }
+  
+  // Replay the current state so the client can pick up where it left off
+  socket.emit('session_resumed', {
+    playerId: socket.id,
+    previousPlayerId: result.previousPlayerId,
+    playerData: result.player,
+    sessionToken,
+    room: room || null,
+    gameData: room ? room.gameData : null,
+    chatHistory: room ? gameState.chat.getHistory(room.id) : []
+  });
 }
 
 /**
@@ -67,38 +243,165 @@ function handleUserDisconnection(socket, gameState, io) {
  * @param {object} gameState - Game state manager instance
  * @param {object} io - Socket.IO server instance
  */
-function handleCreateRoom(socket, data, gameState, io) {
+async function handleCreateRoom(socket, data, gameState, io) {
   console.log(`Creating room for ${socket.id}`);
   
-  // Create the room
-  const room = gameState.createRoom(socket.id, {
-    name: data.name,
-    isPrivate: data.isPrivate
-  });
+  // Rule options are checked before anything changes
+  const rules = gameState.validateRoomRules(data, data.mode);
+  if (!rules.success) {
+    emitError(socket, 'create_room', rules.code, rules.error);
+    return;
+  }
+  
+  const spectatedRoomId = gameState.spectatorToRoom.get(socket.id);
+  const currentRoom = gameState.getRoom(gameState.playerToRoom.get(socket.id));
+  const currentHostId = currentRoom?.hostId;
+  
+  // Create the room (leaving the current one, if any)
+  const room = await mutateRooms(socket, 'create_room', [currentRoom?.id], gameState, () => (
+    gameState.createRoom(socket.id, {
+      name: data.name,
+      isPrivate: data.isPrivate,
+      password: data.password,
+      turnTimeLimit: data.turnTimeLimit,
+      maxTurnTimeouts: data.maxTurnTimeouts,
+      healthMultiplier: data.healthMultiplier,
+      manaMultiplier: data.manaMultiplier,
+      firstTurn: data.firstTurn,
+      bannedCharacters: data.bannedCharacters,
+      maxTurns: data.maxTurns,
+      mode: data.mode,
+      maxPlayers: data.maxPlayers
+    })
+  ));
+  if (room === undefined) return;
   
   if (!room) {
-    socket.emit('create_room_error', { error: 'Failed to create room' });
+    emitError(socket, 'create_room', ERROR_CODES.ROOM_CREATE_FAILED, 'Failed to create room');
     return;
   }
   
+  notifyIfHostLeft(currentRoom, currentHostId, gameState, io);
+  
+  // Taking a seat ends any spectating
+  if (spectatedRoomId) {
+    releaseSpectatorChannels(socket, spectatedRoomId, gameState, io);
+  }
+  
   // Join the socket to the room for room-specific broadcasts
   socket.join(room.id);
   
   // Send room data to the host
-  socket.emit('room_created', { room });
+  socket.emit('room_created', { room: gameState.getClientRoom(room) });
   
   // Broadcast new room to all connected clients (for room listings)
   if (!room.isPrivate) {
-    socket.broadcast.emit('room_available', {
-      id: room.id,
-      name: room.name,
-      hostId: room.hostId,
-      hostName: gameState.getPlayer(room.hostId)?.name || 'Unknown Host',
-      players: room.players.length,
-      maxPlayers: room.maxPlayers,
-      createdAt: room.createdAt
-    });
+    socket.broadcast.emit('room_available', getRoomListing(room, gameState));
+  }
+}
+
+/**
+ * Describe a room for the room browser
+ * @param {object} room - Room data
+ * @param {object} gameState - Game state manager instance
+ */
+function getRoomListing(room, gameState) {
+  return {
+    id: room.id,
+    name: room.name,
+    hostId: room.hostId,
+    hostName: gameState.getPlayer(room.hostId)?.name || 'Unknown Host',
+    mode: room.settings.mode,
+    settings: { ...room.settings },
+    hasPassword: Boolean(room.password),
+    players: room.players.length,
+    maxPlayers: room.maxPlayers,
+    createdAt: room.createdAt
+  };
+}
+
+/**
+ * Tell the rest of a room its host has moved on, which either closed it or handed hosting to someone else
+ * @param {object} room - Room the player was seated in before, if any
+ * @param {string} previousHostId - Who hosted that room before the player moved on
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function notifyIfHostLeft(room, previousHostId, gameState, io) {
+  if (!room) return;
+  
+  const current = gameState.getRoom(room.id);
+  if (!current) {
+    notifyRoomClosed(room, 'host_left', io);
+  } else if (current.hostId !== previousHostId) {
+    emitHostChanged(current, previousHostId, gameState, io);
+    io.to(room.id).emit('room_updated', { room: gameState.getClientRoom(current) });
+  }
+}
+
+/**
+ * Tell a room who hosts it now
+ * @param {object} room - Room data
+ * @param {string} previousHostId - Socket ID of the player who hosted it before
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function emitHostChanged(room, previousHostId, gameState, io) {
+  io.to(room.id).emit('host_changed', {
+    roomId: room.id,
+    hostId: room.hostId,
+    hostName: gameState.getPlayer(room.hostId)?.name || 'Unknown Host',
+    previousHostId
+  });
+}
+
+/**
+ * Handle creating a practice room against a bot
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Practice data with difficulty and botCharacterId
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function handleCreatePracticeRoom(socket, data, gameState, io) {
+  console.log(`Creating practice room for ${socket.id}`);
+  
+  const spectatedRoomId = gameState.spectatorToRoom.get(socket.id);
+  const currentRoom = gameState.getRoom(gameState.playerToRoom.get(socket.id));
+  const currentHostId = currentRoom?.hostId;
+  
+  // Create the room and seat the bot (leaving the current room, if any)
+  const result = await mutateRooms(socket, 'create_practice_room', [currentRoom?.id], gameState, () => (
+    gameState.createPracticeRoom(socket.id, {
+      difficulty: data.difficulty,
+      botCharacterId: data.botCharacterId
+    })
+  ));
+  if (!result) return;
+  
+  if (!result.success) {
+    emitError(socket, 'create_practice_room', result.code, result.error);
+    return;
+  }
+  
+  notifyIfHostLeft(currentRoom, currentHostId, gameState, io);
+  
+  // Taking a seat ends any spectating
+  if (spectatedRoomId) {
+    releaseSpectatorChannels(socket, spectatedRoomId, gameState, io);
   }
+  
+  socket.join(result.room.id);
+  
+  // Practice rooms are private, so only the player hears about it
+  socket.emit('room_created', {
+    room: gameState.getClientRoom(result.room),
+    bot: {
+      id: result.bot.id,
+      name: result.bot.name,
+      difficulty: result.bot.botDifficulty,
+      character: result.bot.character
+    }
+  });
 }
 
 /**
@@ -108,17 +411,34 @@ function handleCreateRoom(socket, data, gameState, io) {
  * @param {object} gameState - Game state manager instance
  * @param {object} io - Socket.IO server instance
  */
-function handleJoinRoom(socket, data, gameState, io) {
+async function handleJoinRoom(socket, data, gameState, io) {
   console.log(`${socket.id} trying to join room ${data.roomId}`);
   
-  // Try to add player to the room
-  const result = gameState.addPlayerToRoom(socket.id, data.roomId);
+  const spectatedRoomId = gameState.spectatorToRoom.get(socket.id);
+  const currentRoom = gameState.getRoom(gameState.playerToRoom.get(socket.id));
+  const currentHostId = currentRoom?.hostId;
+  
+  // Try to add player to the room (leaving the current one, if any)
+  const result = await mutateRooms(socket, 'join_room', [currentRoom?.id, data.roomId], gameState, () => (
+    gameState.addPlayerToRoom(socket.id, data.roomId, {
+      password: data.password,
+      inviteToken: data.inviteToken
+    })
+  ));
+  if (!result) return;
   
   if (!result.success) {
-    socket.emit('join_room_error', { error: result.error });
+    emitError(socket, 'join_room', result.code, result.error);
     return;
   }
   
+  notifyIfHostLeft(currentRoom, currentHostId, gameState, io);
+  
+  // Taking a seat ends any spectating
+  if (spectatedRoomId) {
+    releaseSpectatorChannels(socket, spectatedRoomId, gameState, io);
+  }
+  
   // Join the socket to the room for room-specific broadcasts
   socket.join(data.roomId);
   
@@ -132,12 +452,16 @@ function handleJoinRoom(socket, data, gameState, io) {
       id: player.id,
       name: player.name,
       character: player.character,
-      isReady: player.isReady
+      isReady: player.isReady,
+      team: result.room.teams[player.id] ?? null
     }
   });
   
-  // Send room data to the joining player
-  socket.emit('room_joined', { room: result.room });
+  // Send room data and recent chat to the joining player
+  socket.emit('room_joined', {
+    room: gameState.getClientRoom(result.room),
+    chatHistory: gameState.chat.getHistory(data.roomId)
+  });
   
   // If this was the last available slot, remove the room from listings
   if (result.room.players.length >= result.room.maxPlayers) {
@@ -152,13 +476,13 @@ function handleJoinRoom(socket, data, gameState, io) {
  * @param {object} gameState - Game state manager instance
  * @param {object} io - Socket.IO server instance
  */
-function handleLeaveRoom(socket, data, gameState, io) {
+async function handleLeaveRoom(socket, data, gameState, io) {
   console.log(`${socket.id} leaving room ${data.roomId}`);
   
   // Verify player is in the specified room
   const currentRoomId = gameState.playerToRoom.get(socket.id);
   if (currentRoomId !== data.roomId) {
-    socket.emit('leave_room_error', { error: 'You are not in this room' });
+    emitError(socket, 'leave_room', ERROR_CODES.NOT_IN_ROOM, 'You are not in this room');
     return;
   }
   
@@ -167,7 +491,10 @@ function handleLeaveRoom(socket, data, gameState, io) {
   const playerName = player ? player.name : 'Unknown Player';
   
   // Remove player from room
-  const result = gameState.removePlayerFromRoom(socket.id, data.roomId);
+  const result = await mutateRooms(socket, 'leave_room', [data.roomId], gameState, () => (
+    gameState.removePlayerFromRoom(socket.id, data.roomId)
+  ));
+  if (!result) return;
   
   // Leave the socket room
   socket.leave(data.roomId);
@@ -179,6 +506,21 @@ function handleLeaveRoom(socket, data, gameState, io) {
     return;
   }
   
+  // Leaving can end the game, or hand the turn on when it was the leaver's
+  if (result.gameEnded || result.roomClosed) {
+    clearTurnTimer(data.roomId);
+  } else if (result.turnAdvanced) {
+    scheduleTurnTimer(data.roomId, gameState, io);
+  }
+  
+  if (result.gameEnded && result.room) {
+    emitGameOver(result.room, gameState, io);
+  }
+  
+  if (result.roomClosed) {
+    notifyRoomClosed(result.room, 'host_left', io);
+  }
+  
   // If room still exists, update remaining players
   if (!result.roomClosed && result.room) {
     // Notify other players in the room
@@ -188,45 +530,164 @@ function handleLeaveRoom(socket, data, gameState, io) {
     });
     
     // Update room data for remaining players
-    io.to(data.roomId).emit('room_updated', { room: result.room });
+    io.to(data.roomId).emit('room_updated', { room: gameState.getClientRoom(result.room) });
+    if (result.previousHostId) {
+      emitHostChanged(result.room, result.previousHostId, gameState, io);
+    }
     
     // If a slot opened up in a public room, broadcast its availability
     if (!result.room.isPrivate && result.room.players.length < result.room.maxPlayers) {
-      io.emit('room_available', {
-        id: result.room.id,
-        name: result.room.name,
-        hostId: result.room.hostId,
-        hostName: gameState.getPlayer(result.room.hostId)?.name || 'Unknown Host',
-        players: result.room.players.length,
-        maxPlayers: result.room.maxPlayers,
-        createdAt: result.room.createdAt
-      });
+      io.emit('room_available', getRoomListing(result.room, gameState));
     }
   }
 }
 
+/**
+ * Handle the host changing their room's rules
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Rule options to change
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function handleUpdateRoomSettings(socket, data, gameState, io) {
+  const roomId = gameState.playerToRoom.get(socket.id);
+  
+  const result = await mutateRooms(socket, 'update_room_settings', [roomId], gameState, () => (
+    gameState.updateRoomSettings(socket.id, data)
+  ));
+  if (!result) return;
+  
+  if (!result.success) {
+    emitError(socket, 'update_room_settings', result.code, result.error);
+    return;
+  }
+  
+  const room = result.room;
+  
+  // Players see the new rules, and that they have to ready up again
+  io.to(roomId).emit('room_settings_updated', { roomId, settings: result.settings });
+  io.to(roomId).emit('room_updated', { room: gameState.getClientRoom(room) });
+  
+  // Refresh the room's entry in everyone's listings
+  if (!room.isPrivate && room.players.length < room.maxPlayers) {
+    io.emit('room_available', getRoomListing(room, gameState));
+  }
+}
+
+/**
+ * Handle the host removing a player from their room, and possibly banning them from it
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Kick data with playerId and ban
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function handleKickPlayer(socket, data, gameState, io) {
+  const roomId = gameState.playerToRoom.get(socket.id);
+  
+  const result = await mutateRooms(socket, 'kick_player', [roomId], gameState, () => (
+    gameState.kickPlayer(socket.id, data.playerId, data.ban === true)
+  ));
+  if (!result) return;
+  
+  if (!result.success) {
+    emitError(socket, 'kick_player', result.code, result.error);
+    return;
+  }
+  
+  const { room, target, banned } = result;
+  console.log(`${socket.id} kicked ${target.id} from room ${room.id}${banned ? ' and banned them' : ''}`);
+  
+  // The kicked player stops receiving the room's broadcasts
+  io.to(target.id).emit('kicked_from_room', { roomId: room.id, banned });
+  io.in(target.id).socketsLeave(room.id);
+  
+  io.to(room.id).emit('player_kicked', {
+    playerId: target.id,
+    playerName: target.name,
+    banned
+  });
+  io.to(room.id).emit('room_updated', { room: gameState.getClientRoom(room) });
+  
+  if (!room.isPrivate && room.status === 'waiting' && room.players.length < room.maxPlayers) {
+    io.emit('room_available', getRoomListing(room, gameState));
+  }
+}
+
+/**
+ * Handle the host handing their room to another player
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Transfer data with playerId
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function handleTransferHost(socket, data, gameState, io) {
+  const roomId = gameState.playerToRoom.get(socket.id);
+  
+  const result = await mutateRooms(socket, 'transfer_host', [roomId], gameState, () => (
+    gameState.transferHost(socket.id, data.playerId)
+  ));
+  if (!result) return;
+  
+  if (!result.success) {
+    emitError(socket, 'transfer_host', result.code, result.error);
+    return;
+  }
+  
+  emitHostChanged(result.room, result.previousHostId, gameState, io);
+  io.to(roomId).emit('room_updated', { room: gameState.getClientRoom(result.room) });
+}
+
+/**
+ * Handle the host asking for a one-time invite to their room
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Empty payload
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function handleCreateInvite(socket, data, gameState, io) {
+  const roomId = gameState.playerToRoom.get(socket.id);
+  
+  const result = await mutateRooms(socket, 'create_invite', [roomId], gameState, () => (
+    gameState.createInvite(socket.id)
+  ));
+  if (!result) return;
+  
+  if (!result.success) {
+    emitError(socket, 'create_invite', result.code, result.error);
+    return;
+  }
+  
+  // Only the host sees the token; they share it however they like
+  socket.emit('invite_created', { roomId, inviteToken: result.token });
+}
+
 /**
  * Handle character selection
  * @param {object} socket - Socket.IO socket object
- * @param {object} data - Character data
+ * @param {object} data - Selection data with characterId
  * @param {object} gameState - Game state manager instance
  * @param {object} io - Socket.IO server instance
  */
-function handleCharacterSelect(socket, data, gameState, io) {
-  console.log(`${socket.id} selecting character: ${data.character.id}`);
+async function handleCharacterSelect(socket, data, gameState, io) {
+  // Only the id is taken from the client; older clients still send a full character object
+  const characterId = data.characterId ?? data.character?.id;
+  console.log(`${socket.id} selecting character: ${characterId}`);
   
   // Get room player is in
   const roomId = gameState.playerToRoom.get(socket.id);
   if (!roomId) {
-    socket.emit('character_select_error', { error: 'You are not in a room' });
+    emitError(socket, 'select_character', ERROR_CODES.NOT_IN_ROOM, 'You are not in a room');
     return;
   }
 
-  // Set the character
-  const result = gameState.setPlayerCharacter(socket.id, data.character);
+  // Set the character from the server catalog
+  const result = await mutateRooms(socket, 'select_character', [roomId], gameState, () => (
+    gameState.setPlayerCharacter(socket.id, characterId)
+  ));
+  if (!result) return;
   
   if (!result.success) {
-    socket.emit('character_select_error', { error: result.error });
+    emitError(socket, 'select_character', result.code, result.error);
     return;
   }
   
@@ -241,6 +702,9 @@ function handleCharacterSelect(socket, data, gameState, io) {
       id: player.character.id,
       name: player.character.name,
       avatar: player.character.avatar,
+      element: player.character.element,
+      defense: player.character.defense || 0,
+      resistances: player.character.resistances || {},
       health: player.health,
       maxHealth: player.maxHealth,
       mana: player.mana,
@@ -250,6 +714,77 @@ function handleCharacterSelect(socket, data, gameState, io) {
   });
 }
 
+/**
+ * Handle a player picking the items they bring into the next battle
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Loadout data with itemIds
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function handleSelectLoadout(socket, data, gameState, io) {
+  console.log(`${socket.id} selecting loadout: ${data.itemIds.join(', ') || 'none'}`);
+  
+  // Get room player is in
+  const roomId = gameState.playerToRoom.get(socket.id);
+  if (!roomId) {
+    emitError(socket, 'select_loadout', ERROR_CODES.NOT_IN_ROOM, 'You are not in a room');
+    return;
+  }
+  
+  const result = await mutateRooms(socket, 'select_loadout', [roomId], gameState, () => (
+    gameState.setPlayerLoadout(socket.id, data.itemIds)
+  ));
+  if (!result) return;
+  
+  if (!result.success) {
+    emitError(socket, 'select_loadout', result.code, result.error);
+    return;
+  }
+  
+  // Changing loadout clears the player's ready status
+  io.to(roomId).emit('loadout_selected', {
+    playerId: socket.id,
+    playerName: result.player.name,
+    loadout: result.loadout
+  });
+}
+
+/**
+ * Handle a player picking a side in a team room
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Team data with team index
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function handleSelectTeam(socket, data, gameState, io) {
+  console.log(`${socket.id} selecting team: ${data.team}`);
+  
+  // Get room player is in
+  const roomId = gameState.playerToRoom.get(socket.id);
+  if (!roomId) {
+    emitError(socket, 'select_team', ERROR_CODES.NOT_IN_ROOM, 'You are not in a room');
+    return;
+  }
+  
+  const result = await mutateRooms(socket, 'select_team', [roomId], gameState, () => (
+    gameState.setPlayerTeam(socket.id, data.team)
+  ));
+  if (!result) return;
+  
+  if (!result.success) {
+    emitError(socket, 'select_team', result.code, result.error);
+    return;
+  }
+  
+  // Switching sides clears the player's ready status
+  io.to(roomId).emit('team_selected', {
+    playerId: socket.id,
+    playerName: result.player.name,
+    team: result.team,
+    teams: result.room.teams
+  });
+}
+
 /**
  * Handle player ready status
  * @param {object} socket - Socket.IO socket object
@@ -257,28 +792,31 @@ function handleCharacterSelect(socket, data, gameState, io) {
  * @param {object} gameState - Game state manager instance
  * @param {object} io - Socket.IO server instance
  */
-function handlePlayerReady(socket, data, gameState, io) {
+async function handlePlayerReady(socket, data, gameState, io) {
   console.log(`${socket.id} setting ready: ${data.isReady}`);
   
   // Get room player is in
   const roomId = gameState.playerToRoom.get(socket.id);
   if (!roomId) {
-    socket.emit('player_ready_error', { error: 'You are not in a room' });
+    emitError(socket, 'player_ready', ERROR_CODES.NOT_IN_ROOM, 'You are not in a room');
     return;
   }
   
   // Ensure player has selected a character
   const player = gameState.getPlayer(socket.id);
   if (!player.character) {
-    socket.emit('player_ready_error', { error: 'You must select a character first' });
+    emitError(socket, 'player_ready', ERROR_CODES.CHARACTER_REQUIRED, 'You must select a character first');
     return;
   }
   
   // Set player ready status
-  const result = gameState.setPlayerReady(socket.id, data.isReady);
+  const result = await mutateRooms(socket, 'player_ready', [roomId], gameState, () => (
+    gameState.setPlayerReady(socket.id, data.isReady)
+  ));
+  if (!result) return;
   
   if (!result.success) {
-    socket.emit('player_ready_error', { error: result.error });
+    emitError(socket, 'player_ready', result.code, result.error);
     return;
   }
   
@@ -294,14 +832,21 @@ function handlePlayerReady(socket, data, gameState, io) {
     io.to(roomId).emit('game_countdown', { countdown: 3 });
     
     // Start the game after countdown
-    setTimeout(() => {
-      const gameResult = gameState.startGame(roomId);
+    setTimeout(async () => {
+      const gameResult = await gameState.withRooms([roomId], () => gameState.startGame(roomId))
+        .catch(error => {
+          console.error('State store error while starting a game:', error.message);
+          return { success: false, error: 'Server is busy, please try again' };
+        });
       
       if (gameResult.success) {
+        const room = gameState.getClientRoom(gameResult.room);
         io.to(roomId).emit('game_started', { 
-          room: gameResult.room,
-          gameData: gameResult.room.gameData
+          room,
+          gameData: room.gameData
         });
+        
+        scheduleTurnTimer(roomId, gameState, io);
       }
     }, 3000);
   }
@@ -314,31 +859,51 @@ function handlePlayerReady(socket, data, gameState, io) {
  * @param {object} gameState - Game state manager instance
  * @param {object} io - Socket.IO server instance
  */
-function handleGameAction(socket, data, gameState, io) {
+async function handleGameAction(socket, data, gameState, io) {
   console.log(`${socket.id} performing action: ${data.type}`);
   
   // Get room player is in
   const roomId = gameState.playerToRoom.get(socket.id);
   if (!roomId) {
-    socket.emit('game_action_error', { error: 'You are not in a room' });
+    emitError(socket, 'game_action', ERROR_CODES.NOT_IN_ROOM, 'You are not in a room');
     return;
   }
   
-  // Process the action
-  const result = gameState.processGameAction(socket.id, data);
+  // Process the action while holding the room, so no other instance can change it mid-turn
+  const result = await mutateRooms(socket, 'game_action', [roomId], gameState, () => (
+    gameState.processGameAction(socket.id, data)
+  ));
+  if (!result) return;
   
   if (!result.success) {
-    socket.emit('game_action_error', { error: result.error });
+    emitError(socket, 'game_action', result.code, result.error);
     return;
   }
   
-  // Get the room
+  emitActionPerformed(socket.id, data, result, gameState, io);
+}
+
+/**
+ * Tell everyone in a room about an action that went through, and move the game on
+ * @param {string} playerId - Socket ID of the player who acted
+ * @param {object} data - The action as it was sent
+ * @param {object} result - Result from processGameAction
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function emitActionPerformed(playerId, data, result, gameState, io) {
   const room = result.room;
+  const roomId = room.id;
   
   // Notify all players of the action
   io.to(roomId).emit('game_action_performed', {
-    playerId: socket.id,
-    action: data,
+    playerId,
+    action: {
+      type: data.type,
+      abilityId: data.abilityId,
+      itemId: data.itemId,
+      targetId: result.targetPlayer ? result.targetPlayer.id : null
+    },
     result: {
       // Include only necessary info to avoid sending all game state
       ability: result.ability ? {
@@ -346,71 +911,217 @@ function handleGameAction(socket, data, gameState, io) {
         name: result.ability.name,
         type: result.ability.type
       } : null,
+      item: result.item ? {
+        id: result.item.id,
+        name: result.item.name
+      } : null,
+      outcome: result.outcome || null, // hit, miss or crit for abilities
+      effectiveness: result.effectiveness || null, // super_effective, resisted or neutral when damage was dealt
       damage: result.damage,
-      actingPlayerId: socket.id,
-      targetPlayerId: socket.id === room.hostId ? room.guestId : room.hostId,
+      absorbed: result.absorbed || 0,
+      effects: result.effects || [],
+      actingPlayerId: playerId,
+      targetPlayerId: result.targetPlayer ? result.targetPlayer.id : null,
       actingPlayerHealth: result.actingPlayer.health,
       actingPlayerMana: result.actingPlayer.mana,
-      targetPlayerHealth: result.targetPlayer.health,
-      surrender: result.surrender || false
+      targetPlayerHealth: result.targetPlayer ? result.targetPlayer.health : null,
+      actingPlayerCooldowns: result.actingPlayer.cooldowns,
+      actingPlayerItems: result.actingPlayer.items || {},
+      manaRestored: result.manaRestored || 0,
+      defend: result.defend || false,
+      pass: result.pass || false,
+      surrender: result.surrender || false,
+      eliminated: result.eliminated || []
     },
+    activeEffects: gameState.getActiveEffects(room),
     gameData: {
       turnCount: room.gameData.turnCount,
       currentTurn: room.gameData.currentTurn,
-      battleLog: room.gameData.battleLog.slice(-3) // Just send the last few log entries
+      turnDeadline: room.gameData.turnDeadline,
+      battleLog: result.logEntries // Everything logged while resolving this action, including effect ticks
     }
   });
   
   // If the game is over, send game over notification
   if (result.gameOver) {
-    io.to(roomId).emit('game_over', {
-      winnerId: result.winner,
-      winnerName: gameState.getPlayer(result.winner)?.name || 'Unknown Player',
-      gameData: room.gameData
-    });
+    clearTurnTimer(roomId);
+    emitGameOver(room, gameState, io);
+  } else {
+    scheduleTurnTimer(roomId, gameState, io);
   }
 }
 
 /**
- * Handle chat messages
- * @param {object} socket - Socket.IO socket object
- * @param {object} data - Message data
+ * Tell everyone in a room that the game has ended
+ * @param {object} room - Room data
+ * @param {object} gameState - Game state manager instance
  * @param {object} io - Socket.IO server instance
+ * @param {object} extra - Additional payload fields
  */
-function handleChatMessage(socket, data, io) {
-  // Get room player is in
-  const roomId = data.roomId;
+function emitGameOver(room, gameState, io, extra = {}) {
+  const winnerId = room.gameData.winner;
   
-  // Validate message
-  if (!data.message || typeof data.message !== 'string' || data.message.trim() === '') {
-    return; // Ignore empty messages
+  io.to(room.id).emit('game_over', {
+    winnerId,
+    winnerName: winnerId ? (gameState.getPlayer(winnerId)?.name || 'Unknown Player') : null, // null for a draw
+    winnerIds: room.gameData.winners || [], // The whole winning team in team games
+    winningTeam: room.gameData.winningTeam ?? null,
+    reason: room.gameData.endReason,
+    ratingChanges: room.gameData.ratingChanges || {},
+    ...extra,
+    gameData: room.gameData
+  });
+}
+
+/**
+ * Start (or restart) the turn clock for a room's current turn
+ * @param {string} roomId - Room ID
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function scheduleTurnTimer(roomId, gameState, io) {
+  clearTurnTimer(roomId);
+  
+  const room = gameState.getRoom(roomId);
+  if (!room || room.status !== 'in-progress') return;
+  
+  // Bots take their turn on their own, well inside the clock
+  if (gameState.getPlayer(room.gameData.currentTurn)?.isBot) {
+    scheduleBotTurn(room, gameState, io);
   }
   
-  // Get player data
-  const player = gameState.getPlayer(socket.id);
-  if (!player) return;
+  if (!room.gameData.turnDeadline) return;
   
-  // Create message object
-  const message = {
-    id: Date.now().toString(),
-    playerId: socket.id,
-    playerName: player.name,
-    message: data.message.trim().substring(0, 500), // Limit message length
-    timestamp: Date.now()
-  };
+  const turnCount = room.gameData.turnCount;
+  const delay = Math.max(0, room.gameData.turnDeadline - Date.now());
+  
+  turnTimers.set(roomId, setTimeout(() => {
+    turnTimers.delete(roomId);
+    handleTurnTimeout(roomId, turnCount, gameState, io).catch(error => {
+      console.error(`State store error while timing out a turn in ${roomId}:`, error.message);
+    });
+  }, delay));
+}
+
+/**
+ * Stop a room's turn clock
+ * @param {string} roomId - Room ID
+ */
+function clearTurnTimer(roomId) {
+  clearTimeout(turnTimers.get(roomId));
+  turnTimers.delete(roomId);
+  clearTimeout(botTimers.get(roomId));
+  botTimers.delete(roomId);
+}
+
+/**
+ * Have a practice bot take the current turn after a short, human-like pause
+ * @param {object} room - Room data
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function scheduleBotTurn(room, gameState, io) {
+  const roomId = room.id;
+  const turnCount = room.gameData.turnCount;
+  const delay = BOT_MIN_DELAY + Math.random() * Math.max(0, BOT_MAX_DELAY - BOT_MIN_DELAY);
   
-  // Broadcast message to room
-  io.to(roomId).emit('chat_message', message);
+  botTimers.set(roomId, setTimeout(() => {
+    botTimers.delete(roomId);
+    takeBotTurn(roomId, turnCount, gameState, io).catch(error => {
+      console.error(`State store error while a bot played in ${roomId}:`, error.message);
+    });
+  }, delay));
+}
+
+/**
+ * Pick and play a practice bot's move, through the same path as a player's action
+ * @param {string} roomId - Room ID
+ * @param {number} turnCount - Turn the bot was asked to play
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function takeBotTurn(roomId, turnCount, gameState, io) {
+  const played = await gameState.withRooms([roomId], () => {
+    // The game may have moved on while the bot was thinking, e.g. when its opponent left
+    const room = gameState.getRoom(roomId);
+    if (!room || room.status !== 'in-progress' || room.gameData.turnCount !== turnCount) return null;
+    
+    const botId = room.gameData.currentTurn;
+    if (!gameState.getPlayer(botId)?.isBot) return null;
+    
+    let action = chooseBotAction(gameState, room, botId);
+    let result = gameState.processGameAction(botId, action);
+    
+    // A move the rules turn down shouldn't stall the game, so the bot rests instead
+    if (!result.success) {
+      console.error(`Bot in ${roomId} chose a rejected ${action.type} action: ${result.error}`);
+      action = { type: 'pass' };
+      result = gameState.processGameAction(botId, action);
+    }
+    
+    return { botId, action, result };
+  });
+  if (!played || !played.result.success) return;
+  
+  emitActionPerformed(played.botId, played.action, played.result, gameState, io);
+}
+
+/**
+ * Handle a turn clock running out
+ * @param {string} roomId - Room ID
+ * @param {number} turnCount - Turn the clock was started for
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function handleTurnTimeout(roomId, turnCount, gameState, io) {
+  // Another instance may have moved the game on since this clock was started; the turn count catches that
+  const result = await gameState.withRooms([roomId], () => gameState.processTurnTimeout(roomId, turnCount));
+  if (!result.success) return;
+  
+  const room = result.room;
+  console.log(`Turn timed out for ${result.playerId} in room ${roomId}`);
+  
+  io.to(roomId).emit('turn_timeout', {
+    roomId,
+    playerId: result.playerId,
+    playerName: gameState.getPlayer(result.playerId)?.name || 'Unknown Player',
+    consecutiveTimeouts: result.consecutiveTimeouts,
+    maxTurnTimeouts: result.maxTurnTimeouts,
+    forfeited: result.forfeited,
+    activeEffects: gameState.getActiveEffects(room),
+    gameData: {
+      turnCount: room.gameData.turnCount,
+      currentTurn: room.gameData.currentTurn,
+      turnDeadline: room.gameData.turnDeadline,
+      battleLog: result.logEntries
+    }
+  });
+  
+  if (result.gameOver) {
+    emitGameOver(room, gameState, io, { forfeit: result.forfeited });
+  } else {
+    scheduleTurnTimer(roomId, gameState, io);
+  }
 }
 
 module.exports = {
   handleUserConnection,
   handleUserDisconnection,
+  handleResumeSession,
   handleCreateRoom,
+  handleCreatePracticeRoom,
   handleJoinRoom,
   handleLeaveRoom,
+  handleUpdateRoomSettings,
+  handleKickPlayer,
+  handleTransferHost,
+  handleCreateInvite,
   handleCharacterSelect,
+  handleSelectLoadout,
+  handleSelectTeam,
   handlePlayerReady,
   handleGameAction,
-  handleChatMessage
+  removePlayer,
+  emitGameOver,
+  clearTurnTimer
 };
\ No newline at end of file
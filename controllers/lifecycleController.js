@@ -0,0 +1,76 @@
+/**
+ * Lifecycle Controller
+ * Expires idle rooms and players on a schedule and tells the people affected
+ */
+
+const { endSpectating } = require('./spectatorController');
+
+// How often rooms and players are checked for expiry
+const CLEANUP_INTERVAL = parseInt(process.env.CLEANUP_INTERVAL_MS, 10) || 60 * 1000;
+
+// How long rooms and players may sit idle, and how long a finished game's room is kept
+const ROOM_INACTIVITY_TIMEOUT = parseInt(process.env.ROOM_INACTIVITY_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+const PLAYER_INACTIVITY_TIMEOUT = parseInt(process.env.PLAYER_INACTIVITY_TIMEOUT_MS, 10) || 60 * 60 * 1000;
+const COMPLETED_ROOM_RETENTION = parseInt(process.env.COMPLETED_ROOM_RETENTION_MS, 10) || 5 * 60 * 1000;
+
+// How far ahead of closing a room its members are warned
+const ROOM_EXPIRY_WARNING = parseInt(process.env.ROOM_EXPIRY_WARNING_MS, 10) || 2 * 60 * 1000;
+
+/**
+ * Tell a closed room's members and spectators, and everyone browsing rooms, that it has gone
+ * @param {object} room - Room data, as it was when it closed
+ * @param {string} reason - Why the room closed: inactive, completed, admin or host_left
+ * @param {object} io - Socket.IO server instance
+ */
+function notifyRoomClosed(room, reason, io) {
+  console.log(`Closing room ${room.id}: ${reason}`);
+
+  // Members (and spectators, who also receive room broadcasts) learn why their room went away
+  io.to(room.id).emit('room_closed', { roomId: room.id, reason });
+  endSpectating(room.id, io);
+  io.in(room.id).socketsLeave(room.id);
+
+  // Take it out of everyone's room listings
+  if (!room.isPrivate) {
+    io.emit('room_unavailable', { roomId: room.id, reason });
+  }
+}
+
+/**
+ * Expire idle rooms and players, warning rooms that are about to go and notifying rooms that have gone
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function runCleanup(gameState, io) {
+  // Other instances may have changed any room, so check all of them under their locks
+  await gameState.store.loadRooms();
+
+  const result = await gameState.withRooms(Array.from(gameState.rooms.keys()), () => gameState.cleanupInactive({
+    roomTimeout: ROOM_INACTIVITY_TIMEOUT,
+    playerTimeout: PLAYER_INACTIVITY_TIMEOUT,
+    warningPeriod: ROOM_EXPIRY_WARNING,
+    completedRetention: COMPLETED_ROOM_RETENTION,
+    isConnected: playerId => io.sockets.sockets.has(playerId)
+  }));
+
+  result.expiring.forEach(({ room, expiresAt, reason }) => {
+    io.to(room.id).emit('room_expiring', {
+      roomId: room.id,
+      reason,
+      expiresAt,
+      secondsLeft: Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000))
+    });
+  });
+
+  result.closed.forEach(({ room, reason }) => notifyRoomClosed(room, reason, io));
+
+  if (result.removedPlayers.length > 0) {
+    console.log(`Removed ${result.removedPlayers.length} inactive player(s)`);
+  }
+}
+
+module.exports = {
+  CLEANUP_INTERVAL,
+  notifyRoomClosed,
+  runCleanup
+};
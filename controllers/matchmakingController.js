@@ -0,0 +1,113 @@
+/**
+ * Matchmaking Controller
+ * Handles the quick-match queue
+ */
+
+const { ERROR_CODES, createError } = require('../models/Protocol');
+const { releaseSpectatorChannels } = require('./spectatorController');
+const { emitError, sendError } = require('./protocolController');
+
+// How often the queue is checked for pairs
+const MATCHMAKING_INTERVAL = parseInt(process.env.MATCHMAKING_INTERVAL_MS, 10) || 2000;
+
+/**
+ * Handle a player joining the quick-match queue
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Unused
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function handleQueueJoin(socket, data, gameState, io) {
+  console.log(`${socket.id} joining matchmaking queue`);
+
+  const result = gameState.joinQueue(socket.id);
+
+  if (!result.success) {
+    emitError(socket, 'queue_join', result.code, result.error);
+    return;
+  }
+
+  socket.emit('queue_joined', { status: result.status });
+}
+
+/**
+ * Handle a player leaving the quick-match queue
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Unused
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function handleQueueLeave(socket, data, gameState, io) {
+  console.log(`${socket.id} leaving matchmaking queue`);
+
+  const result = gameState.leaveQueue(socket.id);
+
+  if (!result.success) {
+    emitError(socket, 'queue_leave', result.code, result.error);
+    return;
+  }
+
+  socket.emit('queue_left', {});
+}
+
+/**
+ * Pair up queued players, seat them in rooms and update everyone still waiting
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function runMatchmaking(gameState, io) {
+  const pairs = gameState.matchmaking.findMatches();
+
+  await Promise.all(pairs.map(async ([host, guest]) => {
+    const playerIds = [host.playerId, guest.playerId];
+    const spectating = playerIds.map(id => gameState.spectatorToRoom.get(id));
+
+    // Queued players are never seated, so only the new room has to reach the store
+    const result = await gameState.withRooms([], () => gameState.createQuickMatch(host.playerId, guest.playerId))
+      .catch(error => {
+        console.error('State store error while creating a quick match:', error.message);
+        return { success: false, code: ERROR_CODES.SERVER_BUSY, error: 'Server is busy, please try again' };
+      });
+
+    if (!result.success) {
+      playerIds.forEach(id => sendError(io.to(id), 'queue_error', createError('queue_join', result.code, result.error)));
+      return;
+    }
+
+    const room = result.room;
+    console.log(`Quick match ${room.id}: ${host.playerId} vs ${guest.playerId}`);
+
+    playerIds.forEach((id, index) => {
+      const socket = io.sockets.sockets.get(id);
+      if (!socket) return;
+
+      if (spectating[index]) {
+        releaseSpectatorChannels(socket, spectating[index], gameState, io);
+      }
+      socket.join(room.id);
+
+      const opponentId = playerIds[1 - index];
+      const opponentEntry = index === 0 ? guest : host;
+      socket.emit('match_found', {
+        room: gameState.getClientRoom(room),
+        opponent: {
+          id: opponentId,
+          name: gameState.getPlayer(opponentId)?.name || 'Unknown Player',
+          rating: opponentEntry.rating
+        }
+      });
+    });
+  }));
+
+  // Push position and estimated wait to everyone still waiting
+  gameState.matchmaking.getOrderedEntries().forEach(entry => {
+    io.to(entry.playerId).emit('queue_status', gameState.matchmaking.getStatus(entry.playerId));
+  });
+}
+
+module.exports = {
+  MATCHMAKING_INTERVAL,
+  handleQueueJoin,
+  handleQueueLeave,
+  runMatchmaking
+};
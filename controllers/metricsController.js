@@ -0,0 +1,42 @@
+/**
+ * Metrics Controller
+ * Feeds socket traffic and live game state into the metrics registry
+ */
+
+/**
+ * Wrap a socket event handler so the time it takes is recorded against its event
+ * @param {string} event - Inbound event name
+ * @param {object} metrics - Metrics registry
+ * @param {Function} handler - Event handler, may be async
+ */
+function withMetrics(event, metrics, handler) {
+  return async (...args) => {
+    const started = process.hrtime.bigint();
+    try {
+      return await handler(...args);
+    } finally {
+      metrics.recordSocketEvent(event, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+  };
+}
+
+/**
+ * Report the live state of this instance as gauges, read on every scrape
+ * @param {object} metrics - Metrics registry
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function observeGameState(metrics, gameState, io) {
+  metrics.gauge('connected_sockets', 'Sockets connected to this instance', () => io.of('/').sockets.size);
+  metrics.gauge('rooms', 'Rooms by status', () => (
+    Object.entries(gameState.countRoomsByStatus()).map(([status, value]) => ({ labels: { status }, value }))
+  ));
+  metrics.gauge('players', 'Registered players, including disconnected players whose seat is held', () => gameState.players.size);
+  metrics.gauge('spectators', 'Players watching a battle', () => gameState.spectatorToRoom.size);
+  metrics.gauge('matchmaking_queue_size', 'Players waiting for a quick match', () => gameState.matchmaking.entries.size);
+}
+
+module.exports = {
+  withMetrics,
+  observeGameState
+};
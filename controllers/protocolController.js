@@ -0,0 +1,67 @@
+/**
+ * Protocol Controller
+ * Validates inbound payloads and reports failures in the shared error format
+ */
+
+const { validatePayload, getErrorEvent, createError } = require('../models/Protocol');
+
+// Metrics registry every sent error is counted in, once countErrors has been called
+let errorMetrics = null;
+
+/**
+ * Count every error sent to clients from now on, by error event and code
+ * @param {object} metrics - Metrics registry
+ */
+function countErrors(metrics) {
+  errorMetrics = metrics;
+}
+
+/**
+ * Send an error built with createError and count it
+ * @param {object} target - Socket.IO socket, or io.to(...) to reach a player on whichever instance they are on
+ * @param {string} errorEvent - Event to send the error on
+ * @param {object} error - Error payload from createError
+ */
+function sendError(target, errorEvent, error) {
+  target.emit(errorEvent, error);
+  if (errorMetrics) {
+    errorMetrics.recordError(errorEvent, error.code);
+  }
+}
+
+/**
+ * Report a failed request to the client on the event's error event
+ * @param {object} socket - Socket.IO socket object
+ * @param {string} event - Inbound event that failed
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human-readable explanation
+ */
+function emitError(socket, event, code, message) {
+  sendError(socket, getErrorEvent(event), createError(event, code, message));
+}
+
+/**
+ * Wrap a handler so it only ever sees payloads that match the event's schema
+ * @param {object} socket - Socket.IO socket object
+ * @param {string} event - Inbound event name
+ * @param {Function} handler - Handler taking the cleaned payload
+ */
+function withValidation(socket, event, handler) {
+  return data => {
+    const result = validatePayload(event, data);
+
+    if (!result.success) {
+      emitError(socket, event, result.code, result.error);
+      return undefined;
+    }
+
+    return handler(result.data);
+  };
+}
+
+module.exports = {
+  countErrors,
+  sendError,
+  emitError,
+  withValidation
+};
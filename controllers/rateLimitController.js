@@ -0,0 +1,90 @@
+/**
+ * Rate Limit Controller
+ * Throttles socket events and REST requests, escalating against clients that keep flooding
+ */
+
+const { ERROR_CODES } = require('../models/Protocol');
+const { emitError } = require('./protocolController');
+
+// Only trust X-Forwarded-For when running behind a proxy that sets it
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+/**
+ * Get the address a socket connected from
+ * @param {object} socket - Socket.IO socket object
+ */
+function getSocketIp(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (TRUST_PROXY && forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+/**
+ * Socket.IO middleware that refuses connections from IPs blocked for flooding
+ * @param {object} rateLimiter - Rate limiter instance
+ */
+function refuseBlockedConnections(rateLimiter) {
+  return (socket, next) => {
+    if (rateLimiter.isBlocked(getSocketIp(socket))) {
+      next(new Error('Too many requests, try again later'));
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Wrap a socket event handler so it only runs while the socket and its IP are within their limits
+ * @param {object} socket - Socket.IO socket object
+ * @param {string} event - Inbound event name
+ * @param {object} rateLimiter - Rate limiter instance
+ * @param {Function} handler - Event handler
+ */
+function withRateLimit(socket, event, rateLimiter, handler) {
+  const ip = getSocketIp(socket);
+
+  return (...args) => {
+    const verdict = rateLimiter.check(event, { socketId: socket.id, ip });
+    if (verdict.allowed) {
+      return handler(...args);
+    }
+
+    const seconds = Math.ceil(verdict.retryAfter / 1000);
+
+    if (verdict.action === 'warn') {
+      emitError(socket, event, ERROR_CODES.RATE_LIMITED, `Too many requests, slow down and try again in ${seconds}s`);
+    } else if (verdict.action === 'disconnect') {
+      console.log(`Disconnecting ${socket.id} (${ip}) for flooding ${event}`);
+      emitError(socket, event, ERROR_CODES.RATE_LIMITED, `Too many requests, disconnected for ${seconds}s`);
+      socket.disconnect(true);
+    }
+    return undefined;
+  };
+}
+
+/**
+ * Express middleware applying a rate limit rule to a REST route
+ * @param {object} rateLimiter - Rate limiter instance
+ * @param {string} rule - Rule name
+ */
+function limitRoute(rateLimiter, rule) {
+  return (req, res, next) => {
+    const verdict = rateLimiter.check(rule, { ip: req.ip });
+    if (verdict.allowed) {
+      next();
+      return;
+    }
+
+    res.set('Retry-After', String(Math.ceil(verdict.retryAfter / 1000)));
+    res.status(429).json({ error: 'Too many requests' });
+  };
+}
+
+module.exports = {
+  TRUST_PROXY,
+  refuseBlockedConnections,
+  withRateLimit,
+  limitRoute
+};
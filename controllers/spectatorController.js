@@ -0,0 +1,172 @@
+/**
+ * Spectator Controller
+ * Handles socket events for players watching battles they are not part of
+ */
+
+const { ERROR_CODES } = require('../models/Protocol');
+const { emitError } = require('./protocolController');
+
+/**
+ * Get the Socket.IO room used for a battle's spectator-only chat
+ * @param {string} roomId - Room ID
+ */
+function spectatorChannel(roomId) {
+  return `${roomId}:spectators`;
+}
+
+/**
+ * Tell everyone in a room how many spectators it has
+ * @param {object} room - Room data
+ * @param {object} io - Socket.IO server instance
+ */
+function broadcastSpectatorCount(room, io) {
+  io.to(room.id).emit('spectators_updated', {
+    roomId: room.id,
+    spectators: room.spectators.length
+  });
+}
+
+/**
+ * Handle a request to watch a room
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Spectate data with roomId, and the password or an invite for rooms that need one
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+async function handleSpectateRoom(socket, data, gameState, io) {
+  const roomId = data.roomId;
+  console.log(`${socket.id} spectating room ${roomId}`);
+
+  // The battle may be running on another instance, so refresh it before watching
+  const access = { password: data.password, inviteToken: data.inviteToken };
+  const result = await gameState.withRooms([roomId], () => gameState.addSpectator(socket.id, roomId, access))
+    .catch(error => {
+      console.error('State store error while adding a spectator:', error.message);
+      return { success: false, code: ERROR_CODES.SERVER_BUSY, error: 'Server is busy, please try again' };
+    });
+
+  if (!result.success) {
+    emitError(socket, 'spectate_room', result.code, result.error);
+    return;
+  }
+
+  // Leave the previously watched room, if any
+  if (result.previousRoomId) {
+    socket.leave(result.previousRoomId);
+    socket.leave(spectatorChannel(result.previousRoomId));
+
+    const previousRoom = gameState.getRoom(result.previousRoomId);
+    if (previousRoom) {
+      broadcastSpectatorCount(previousRoom, io);
+    }
+  }
+
+  // Spectators receive the room's broadcasts plus their own chat channel
+  socket.join(roomId);
+  socket.join(spectatorChannel(roomId));
+
+  socket.emit('spectate_joined', {
+    battle: gameState.getBattleView(result.room),
+    chatHistory: gameState.chat.getHistory(spectatorChannel(roomId))
+  });
+  broadcastSpectatorCount(result.room, io);
+}
+
+/**
+ * Handle a spectator leaving the room they are watching
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Unused
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function handleStopSpectating(socket, data, gameState, io) {
+  const result = leaveSpectatedRoom(socket, gameState, io);
+
+  if (!result.success) {
+    emitError(socket, 'stop_spectating', result.code, result.error);
+    return;
+  }
+
+  socket.emit('spectate_left', { roomId: result.roomId });
+}
+
+/**
+ * Stop spectating, if the socket is spectating anything
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function leaveSpectatedRoom(socket, gameState, io) {
+  const result = gameState.removeSpectator(socket.id);
+  if (!result.success) return result;
+
+  releaseSpectatorChannels(socket, result.roomId, gameState, io);
+
+  return result;
+}
+
+/**
+ * Take a socket out of a watched room's broadcasts once it has stopped spectating
+ * @param {object} socket - Socket.IO socket object
+ * @param {string} roomId - Room ID that was being watched
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function releaseSpectatorChannels(socket, roomId, gameState, io) {
+  socket.leave(roomId);
+  socket.leave(spectatorChannel(roomId));
+
+  const room = gameState.getRoom(roomId);
+  if (room) {
+    broadcastSpectatorCount(room, io);
+  }
+}
+
+/**
+ * Send spectators of a closed room back to the lobby
+ * @param {string} roomId - Room ID
+ * @param {object} io - Socket.IO server instance
+ */
+function endSpectating(roomId, io) {
+  io.to(spectatorChannel(roomId)).emit('spectate_ended', { roomId, reason: 'room_closed' });
+  io.in(spectatorChannel(roomId)).socketsLeave([roomId, spectatorChannel(roomId)]);
+}
+
+/**
+ * Handle spectator chat messages, which only other spectators receive
+ * @param {object} socket - Socket.IO socket object
+ * @param {object} data - Message data
+ * @param {object} gameState - Game state manager instance
+ * @param {object} io - Socket.IO server instance
+ */
+function handleSpectatorChat(socket, data, gameState, io) {
+  const roomId = gameState.spectatorToRoom.get(socket.id);
+  if (!roomId) {
+    emitError(socket, 'spectator_chat_message', ERROR_CODES.NOT_SPECTATING, 'You are not spectating a room');
+    return;
+  }
+
+  const player = gameState.getPlayer(socket.id);
+  if (!player) return;
+
+  const channel = spectatorChannel(roomId);
+  const result = gameState.chat.createMessage(player, data.message, channel);
+
+  if (!result.success) {
+    emitError(socket, 'spectator_chat_message', result.code, result.error);
+    return;
+  }
+
+  gameState.chat.addToHistory(channel, { ...result.message, roomId });
+  io.to(channel).emit('spectator_chat_message', { ...result.message, roomId });
+}
+
+module.exports = {
+  spectatorChannel,
+  handleSpectateRoom,
+  handleStopSpectating,
+  handleSpectatorChat,
+  leaveSpectatedRoom,
+  releaseSpectatorChannels,
+  endSpectating
+};
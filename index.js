@@ -2,23 +2,62 @@ const express = require('express');
 const http = require('http');
 const cors = require('cors');
 const socketIo = require('socket.io');
+const Redis = require('ioredis');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const { v4: uuidv4 } = require('uuid');
 
 // Import controllers
 const { 
   handleUserConnection,
   handleUserDisconnection, 
+  handleResumeSession,
   handleCreateRoom, 
+  handleCreatePracticeRoom,
   handleJoinRoom,
   handleLeaveRoom,
+  handleUpdateRoomSettings,
+  handleKickPlayer,
+  handleTransferHost,
+  handleCreateInvite,
   handleCharacterSelect,
+  handleSelectLoadout,
+  handleSelectTeam,
   handlePlayerReady,
-  handleGameAction,
-  handleChatMessage
+  handleGameAction
 } = require('./controllers/gameController');
+const { joinLobby, handleChatMessage, handleMutePlayer } = require('./controllers/chatController');
+const { handleAuthChallenge, handleAuthVerify } = require('./controllers/authController');
+const {
+  handleSpectateRoom,
+  handleStopSpectating,
+  handleSpectatorChat
+} = require('./controllers/spectatorController');
+const {
+  MATCHMAKING_INTERVAL,
+  handleQueueJoin,
+  handleQueueLeave,
+  runMatchmaking
+} = require('./controllers/matchmakingController');
+const { CLEANUP_INTERVAL, runCleanup } = require('./controllers/lifecycleController');
+const { withValidation, countErrors } = require('./controllers/protocolController');
+const { createAdminRouter, refuseBannedPlayers } = require('./controllers/adminController');
+const { withMetrics, observeGameState } = require('./controllers/metricsController');
+const {
+  TRUST_PROXY,
+  refuseBlockedConnections,
+  withRateLimit,
+  limitRoute
+} = require('./controllers/rateLimitController');
 
-// Import game state manager
+// Import game state manager and persistence
 const GameStateManager = require('./models/GameStateManager');
+const PlayerStore = require('./models/PlayerStore');
+const MemoryStateStore = require('./models/MemoryStateStore');
+const RedisStateStore = require('./models/RedisStateStore');
+const { simulateReplay } = require('./models/ReplaySimulator');
+const { getProtocol } = require('./models/Protocol');
+const RateLimiter = require('./models/RateLimiter');
+const Metrics = require('./models/Metrics');
 
 // Initialize the app
 const app = express();
@@ -34,60 +73,282 @@ const io = socketIo(server, {
 });
 
 // Middleware
+if (TRUST_PROXY) {
+  app.set('trust proxy', true);
+}
 app.use(cors());
 app.use(express.json());
 
-// Initialize game state manager
-const gameState = new GameStateManager();
+// Share rooms and broadcasts with other instances when Redis is configured
+let stateStore = new MemoryStateStore();
+if (process.env.REDIS_URL) {
+  const redis = new Redis(process.env.REDIS_URL);
+  io.adapter(createAdapter(redis.duplicate(), redis.duplicate()));
+  stateStore = new RedisStateStore({ client: redis });
+  console.log('Sharing game state through Redis');
+}
+
+// Initialize persistence and the game state manager
+const playerStore = new PlayerStore();
+const metrics = new Metrics();
+const gameState = new GameStateManager({ playerStore, store: stateStore, metrics });
+observeGameState(metrics, gameState, io);
+countErrors(metrics);
+
+// Throttle floods of socket events and REST requests, and refuse clients blocked for flooding
+const rateLimiter = new RateLimiter();
+io.use(refuseBlockedConnections(rateLimiter));
+
+// Banned players are turned away before they are registered
+io.use(refuseBannedPlayers(playerStore));
+
+/**
+ * Refresh rooms from the shared state store before answering room queries
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function loadSharedRooms(req, res, next) {
+  gameState.store.loadRooms()
+    .then(() => next())
+    .catch(error => {
+      console.error('State store error while listing rooms:', error.message);
+      res.status(503).json({ error: 'Room state is temporarily unavailable' });
+    });
+}
 
 // REST API routes
 app.get('/api/health', (req, res) => {
-  res.status(200).json({ status: 'ok', version: '1.0.0' });
+  const memory = process.memoryUsage();
+  res.status(200).json({
+    status: 'ok',
+    version: '1.0.0',
+    uptime: Math.round(process.uptime()),
+    memory: {
+      rss: memory.rss,
+      heapUsed: memory.heapUsed,
+      heapTotal: memory.heapTotal
+    },
+    connections: io.of('/').sockets.size,
+    rooms: gameState.countRoomsByStatus(),
+    sharedState: gameState.store.shared
+  });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.status(200).send(metrics.render());
+});
+
+app.get('/api/protocol', (req, res) => {
+  res.status(200).json(getProtocol());
+});
+
+app.get('/api/characters', (req, res) => {
+  const characters = gameState.characterRegistry.getCatalog();
+  res.status(200).json({ characters });
+});
+
+app.get('/api/items', (req, res) => {
+  const items = gameState.itemRegistry.getCatalog();
+  res.status(200).json({ items });
+});
+
+app.get('/api/players/:id', (req, res) => {
+  const profile = playerStore.getPublicProfile(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  res.status(200).json({ player: profile });
+});
+
+app.get('/api/players/:id/matches', (req, res) => {
+  const profile = playerStore.getProfile(req.params.id);
+  if (!profile) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+  
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  res.status(200).json(playerStore.getMatchesForProfile(profile.id, { page, limit }));
+});
+
+// Verifying a replay re-runs the whole battle, so it has a much tighter limit than reading one
+const limitVerification = limitRoute(rateLimiter, 'rest:verify');
+
+/**
+ * Apply the verification limit to replay requests that ask to be verified
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function limitReplayVerification(req, res, next) {
+  if (req.query.verify === 'true' || req.query.verify === '1') {
+    limitVerification(req, res, next);
+    return;
+  }
+  next();
+}
+
+app.get('/api/matches/:id/replay', limitReplayVerification, (req, res) => {
+  const match = playerStore.getMatch(req.params.id);
+  if (!match || !match.replay) {
+    return res.status(404).json({ error: 'Replay not found' });
+  }
+  
+  const response = {
+    matchId: match.id,
+    players: match.players,
+    winnerProfileId: match.winnerProfileId,
+    reason: match.reason,
+    replay: match.replay
+  };
+  
+  // Optionally re-run the battle to prove the replay reproduces the recorded outcome
+  if (req.query.verify === 'true' || req.query.verify === '1') {
+    response.verification = simulateReplay(match.replay);
+  }
+  
+  res.status(200).json(response);
 });
 
-app.get('/api/rooms', (req, res) => {
+app.get('/api/leaderboard', (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const characterId = req.query.character || undefined;
+  
+  if (characterId && !gameState.characterRegistry.has(characterId)) {
+    return res.status(400).json({ error: 'Unknown character' });
+  }
+  
+  res.status(200).json(playerStore.getLeaderboard({ page, limit, characterId }));
+});
+
+app.get('/api/rooms', limitRoute(rateLimiter, 'rest:rooms'), loadSharedRooms, (req, res) => {
   const rooms = gameState.getPublicRooms();
   res.status(200).json({ rooms });
 });
 
-app.get('/api/room/:roomId', (req, res) => {
+app.get('/api/battles', loadSharedRooms, (req, res) => {
+  const battles = gameState.getLiveBattles();
+  res.status(200).json({ battles });
+});
+
+app.get('/api/room/:roomId', limitRoute(rateLimiter, 'rest:room'), loadSharedRooms, (req, res) => {
   const room = gameState.getRoom(req.params.roomId);
   if (!room) {
     return res.status(404).json({ error: 'Room not found' });
   }
-  res.status(200).json({ room });
+  res.status(200).json({ room: gameState.getClientRoom(room) });
 });
 
+// Operator routes, authenticated with the ADMIN_TOKEN bearer token
+app.use('/api/admin', limitRoute(rateLimiter, 'rest:admin'), createAdminRouter(gameState, io));
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
   console.log(`User connected: ${socket.id}`);
   
   // Register the user connection
   handleUserConnection(socket, gameState);
+  joinLobby(socket, gameState);
+  
+  // Handlers may wait on the state store, so each socket's events are handled one at a time, in order
+  let pending = Promise.resolve();
+  const inOrder = handler => (...args) => {
+    pending = pending.then(() => handler(...args)).catch(error => {
+      console.error(`Error handling an event from ${socket.id}:`, error);
+    });
+  };
+  
+  // Floods are cut off before they reach the queue; queued events are timed and checked against the event's schema
+  const on = (event, handler) => socket.on(event, withRateLimit(socket, event, rateLimiter,
+    inOrder(withMetrics(event, metrics, withValidation(socket, event, handler)))));
+  
+  // Handle session resumption after a dropped connection
+  on('resume_session', (data) => handleResumeSession(socket, data, gameState, io));
+  
+  // Handle wallet sign-in (players stay guests until they complete it)
+  on('auth_request_challenge', (data) => handleAuthChallenge(socket, data, gameState, io));
+  on('auth_verify', (data) => handleAuthVerify(socket, data, gameState, io));
   
   // Handle room creation
-  socket.on('create_room', (data) => handleCreateRoom(socket, data, gameState, io));
+  on('create_room', (data) => handleCreateRoom(socket, data, gameState, io));
+  
+  // Handle practice rooms against a bot
+  on('create_practice_room', (data) => handleCreatePracticeRoom(socket, data, gameState, io));
   
   // Handle room joining
-  socket.on('join_room', (data) => handleJoinRoom(socket, data, gameState, io));
+  on('join_room', (data) => handleJoinRoom(socket, data, gameState, io));
   
   // Handle room leaving
-  socket.on('leave_room', (data) => handleLeaveRoom(socket, data, gameState, io));
+  on('leave_room', (data) => handleLeaveRoom(socket, data, gameState, io));
+  
+  // Handle host controls
+  on('update_room_settings', (data) => handleUpdateRoomSettings(socket, data, gameState, io));
+  on('kick_player', (data) => handleKickPlayer(socket, data, gameState, io));
+  on('transfer_host', (data) => handleTransferHost(socket, data, gameState, io));
+  on('create_invite', (data) => handleCreateInvite(socket, data, gameState, io));
   
   // Handle character selection
-  socket.on('select_character', (data) => handleCharacterSelect(socket, data, gameState, io));
+  on('select_character', (data) => handleCharacterSelect(socket, data, gameState, io));
+  
+  // Handle item loadout selection
+  on('select_loadout', (data) => handleSelectLoadout(socket, data, gameState, io));
+  
+  // Handle team selection in team rooms
+  on('select_team', (data) => handleSelectTeam(socket, data, gameState, io));
   
   // Handle player ready status
-  socket.on('player_ready', (data) => handlePlayerReady(socket, data, gameState, io));
+  on('player_ready', (data) => handlePlayerReady(socket, data, gameState, io));
   
   // Handle game actions (abilities, attacks, etc.)
-  socket.on('game_action', (data) => handleGameAction(socket, data, gameState, io));
+  on('game_action', (data) => handleGameAction(socket, data, gameState, io));
+  
+  // Handle the quick-match queue
+  on('queue_join', (data) => handleQueueJoin(socket, data, gameState, io));
+  on('queue_leave', (data) => handleQueueLeave(socket, data, gameState, io));
   
-  // Handle in-game chat messages
-  socket.on('chat_message', (data) => handleChatMessage(socket, data, io));
+  // Handle spectators watching a battle
+  on('spectate_room', (data) => handleSpectateRoom(socket, data, gameState, io));
+  on('stop_spectating', (data) => handleStopSpectating(socket, data, gameState, io));
+  on('spectator_chat_message', (data) => handleSpectatorChat(socket, data, gameState, io));
+  
+  // Handle room and lobby chat
+  on('chat_message', (data) => handleChatMessage(socket, data, gameState, io));
+  on('mute_player', (data) => handleMutePlayer(socket, data, gameState, io));
   
   // Handle disconnection
-  socket.on('disconnect', () => handleUserDisconnection(socket, gameState, io));
+  socket.on('disconnect', inOrder(() => handleUserDisconnection(socket, gameState, io)));
+});
+
+// Pair up queued players
+setInterval(() => {
+  runMatchmaking(gameState, io).catch(error => {
+    console.error('Matchmaking failed:', error.message);
+  });
+}, MATCHMAKING_INTERVAL);
+
+// Expire idle rooms and players
+setInterval(() => {
+  runCleanup(gameState, io).catch(error => {
+    console.error('Room cleanup failed:', error.message);
+  });
+}, CLEANUP_INTERVAL);
+
+// Forget rate limit state for clients that have gone quiet
+setInterval(() => rateLimiter.prune(), CLEANUP_INTERVAL);
+
+// Write out the last player store changes before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.once(signal, () => {
+    playerStore.flush()
+      .catch(error => {
+        console.error('Failed to save the player store:', error.message);
+      })
+      .finally(() => process.exit(0));
+  });
 });
 
 // Start the server
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * Arweave wallet signature verification
+ *
+ * Arweave wallets are 4096-bit RSA keys. The public key ("owner") is the base64url-encoded
+ * modulus, and the wallet address is the base64url-encoded SHA-256 hash of that modulus.
+ */
+
+const RSA_PUBLIC_EXPONENT = 'AQAB'; // 65537, used by every Arweave wallet
+const PSS_SALT_LENGTH = 32;
+
+/**
+ * Decode base64url (or plain base64) into a Buffer
+ * @param {string} value - Encoded value
+ */
+function decodeBase64Url(value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Derive a wallet address from its public key
+ * @param {string} owner - Base64url-encoded RSA modulus
+ */
+function addressFromOwner(owner) {
+  return crypto.createHash('sha256').update(decodeBase64Url(owner)).digest('base64url');
+}
+
+/**
+ * Build the message a client must sign for a given nonce
+ * @param {string} nonce - Server-issued nonce
+ */
+function buildChallengeMessage(nonce) {
+  return `Sign in to Chrono Clash\nNonce: ${nonce}`;
+}
+
+/**
+ * Verify an RSA-PSS signature made by an Arweave wallet
+ *
+ * Wallet signMessage APIs sign the SHA-256 digest of the message, while the lower-level
+ * signature APIs sign the raw bytes, so both forms are accepted.
+ *
+ * @param {object} params - Verification input
+ * @param {string} params.owner - Base64url-encoded RSA modulus
+ * @param {string} params.signature - Base64url or base64 signature
+ * @param {string} params.message - Message that was signed
+ * @returns {boolean} Whether the signature is valid
+ */
+function verifySignature({ owner, signature, message }) {
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey({
+      key: { kty: 'RSA', n: owner.replace(/=+$/, ''), e: RSA_PUBLIC_EXPONENT },
+      format: 'jwk'
+    });
+  } catch (error) {
+    return false;
+  }
+
+  const signatureBytes = decodeBase64Url(signature);
+  const messageBytes = Buffer.from(message, 'utf8');
+  const digest = crypto.createHash('sha256').update(messageBytes).digest();
+  const verifyOptions = {
+    key: publicKey,
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: PSS_SALT_LENGTH
+  };
+
+  return [digest, messageBytes].some(data => {
+    try {
+      return crypto.verify('sha256', data, verifyOptions, signatureBytes);
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+module.exports = {
+  addressFromOwner,
+  buildChallengeMessage,
+  verifySignature
+};
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { validateEffect } = require('./StatusEffects');
+const { ELEMENTS, DAMAGE_TYPES } = require('./DamageTypes');
+
+const DEFAULT_CHARACTERS_FILE = path.join(__dirname, '..', 'data', 'characters.json');
+
+/**
+ * CharacterRegistry - Server-side catalog of playable characters and their abilities
+ */
+class CharacterRegistry {
+  /**
+   * @param {string} filePath - Path to the characters data file
+   */
+  constructor(filePath = process.env.CHARACTERS_FILE || DEFAULT_CHARACTERS_FILE) {
+    this.filePath = filePath;
+    this.characters = new Map(); // characterId -> character definition
+    this.load();
+  }
+
+  /**
+   * Load (or reload) the catalog from the data file
+   */
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const characters = new Map();
+
+    (raw.characters || []).forEach(character => {
+      this.validateCharacter(character);
+      if (characters.has(character.id)) {
+        throw new Error(`Duplicate character id "${character.id}" in ${this.filePath}`);
+      }
+      characters.set(character.id, character);
+    });
+
+    this.characters = characters;
+    return this.characters.size;
+  }
+
+  /**
+   * Make sure a character definition has everything the combat code relies on
+   * @param {object} character - Character definition from the data file
+   */
+  validateCharacter(character) {
+    if (!character || typeof character.id !== 'string' || !character.id) {
+      throw new Error('Character definition is missing an id');
+    }
+
+    ['health', 'mana'].forEach(stat => {
+      if (!Number.isFinite(character[stat]) || character[stat] <= 0) {
+        throw new Error(`Character "${character.id}" has an invalid ${stat}`);
+      }
+    });
+
+    if (character.manaRegen !== undefined && (!Number.isFinite(character.manaRegen) || character.manaRegen < 0)) {
+      throw new Error(`Character "${character.id}" has an invalid manaRegen`);
+    }
+
+    if (!ELEMENTS[character.element]) {
+      throw new Error(`Character "${character.id}" has an unknown element "${character.element}"`);
+    }
+
+    if (character.defense !== undefined && (!Number.isFinite(character.defense) || character.defense < 0)) {
+      throw new Error(`Character "${character.id}" has an invalid defense`);
+    }
+
+    // Resistances are percentages off one damage type; negative ones are weaknesses
+    if (character.resistances !== undefined) {
+      if (!character.resistances || typeof character.resistances !== 'object') {
+        throw new Error(`Character "${character.id}" has invalid resistances`);
+      }
+      Object.entries(character.resistances).forEach(([damageType, resistance]) => {
+        if (!DAMAGE_TYPES.includes(damageType)) {
+          throw new Error(`Character "${character.id}" resists unknown damage type "${damageType}"`);
+        }
+        if (!Number.isFinite(resistance) || resistance < -100 || resistance > 90) {
+          throw new Error(`Character "${character.id}" has an invalid ${damageType} resistance`);
+        }
+      });
+    }
+
+    if (!Array.isArray(character.abilities) || character.abilities.length === 0) {
+      throw new Error(`Character "${character.id}" has no abilities`);
+    }
+
+    const abilityIds = new Set();
+    character.abilities.forEach(ability => {
+      if (!ability || typeof ability.id !== 'string' || !ability.id) {
+        throw new Error(`Character "${character.id}" has an ability without an id`);
+      }
+      if (abilityIds.has(ability.id)) {
+        throw new Error(`Character "${character.id}" has duplicate ability "${ability.id}"`);
+      }
+      abilityIds.add(ability.id);
+
+      ['damage', 'manaCost'].forEach(stat => {
+        if (!Number.isFinite(ability[stat]) || ability[stat] < 0) {
+          throw new Error(`Ability "${ability.id}" of "${character.id}" has an invalid ${stat}`);
+        }
+      });
+
+      if (ability.cooldown !== undefined && (!Number.isInteger(ability.cooldown) || ability.cooldown < 0)) {
+        throw new Error(`Ability "${ability.id}" of "${character.id}" has an invalid cooldown`);
+      }
+
+      if (ability.damage > 0 && !DAMAGE_TYPES.includes(ability.damageType)) {
+        throw new Error(`Ability "${ability.id}" of "${character.id}" has an unknown damageType "${ability.damageType}"`);
+      }
+
+      // Combat rolls are optional; percentages run from 0 to 100
+      ['accuracy', 'critChance', 'damageVariance'].forEach(stat => {
+        if (ability[stat] !== undefined && (!Number.isFinite(ability[stat]) || ability[stat] < 0 || ability[stat] > 100)) {
+          throw new Error(`Ability "${ability.id}" of "${character.id}" has an invalid ${stat}`);
+        }
+      });
+
+      if (ability.critMultiplier !== undefined && (!Number.isFinite(ability.critMultiplier) || ability.critMultiplier < 1)) {
+        throw new Error(`Ability "${ability.id}" of "${character.id}" has an invalid critMultiplier`);
+      }
+
+      if (ability.effects !== undefined) {
+        if (!Array.isArray(ability.effects)) {
+          throw new Error(`Ability "${ability.id}" of "${character.id}" has invalid effects`);
+        }
+        ability.effects.forEach(effect => {
+          const problem = validateEffect(effect);
+          if (problem) {
+            throw new Error(`Ability "${ability.id}" of "${character.id}": ${problem}`);
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * Check whether a character id exists in the catalog
+   * @param {string} characterId - Character ID
+   */
+  has(characterId) {
+    return this.characters.has(characterId);
+  }
+
+  /**
+   * Get a fresh copy of a character definition, safe to attach to a player
+   * @param {string} characterId - Character ID
+   */
+  getCharacter(characterId) {
+    const character = this.characters.get(characterId);
+    return character ? JSON.parse(JSON.stringify(character)) : null;
+  }
+
+  /**
+   * Get the full catalog for clients
+   */
+  getCatalog() {
+    return Array.from(this.characters.values()).map(character => JSON.parse(JSON.stringify(character)));
+  }
+}
+
+module.exports = CharacterRegistry;
@@ -0,0 +1,184 @@
+const { v4: uuidv4 } = require('uuid');
+const { ERROR_CODES } = require('./Protocol');
+
+const LOBBY_CHANNEL = 'lobby';
+const MAX_MESSAGE_LENGTH = 500;
+
+/**
+ * Read a comma-separated word list from the environment
+ * @param {string} value - Environment variable value
+ */
+function parseWordList(value) {
+  return (value || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * ChatManager - Chat history, rate limits, word filtering and mutes for rooms and the lobby
+ */
+class ChatManager {
+  /**
+   * @param {object} options - Chat configuration
+   * @param {number} options.historySize - Messages kept per channel
+   * @param {number} options.rateLimitCount - Messages allowed per window
+   * @param {number} options.rateLimitWindow - Rate limit window in milliseconds
+   * @param {Array} options.blockedWords - Words replaced with asterisks
+   */
+  constructor(options = {}) {
+    this.historySize = options.historySize || parseInt(process.env.CHAT_HISTORY_SIZE, 10) || 50;
+    this.rateLimitCount = options.rateLimitCount || parseInt(process.env.CHAT_RATE_LIMIT_COUNT, 10) || 5;
+    this.rateLimitWindow = options.rateLimitWindow || parseInt(process.env.CHAT_RATE_LIMIT_WINDOW_MS, 10) || 5000;
+    this.setBlockedWords(options.blockedWords || parseWordList(process.env.CHAT_BLOCKED_WORDS));
+
+    this.history = new Map(); // channel -> recent messages
+    this.recentMessages = new Map(); // playerId -> timestamps of recent messages
+    this.mutes = new Map(); // roomId -> Set of muted profile IDs
+  }
+
+  /**
+   * Replace the word filter
+   * @param {Array} words - Words to filter
+   */
+  setBlockedWords(words) {
+    this.blockedWords = words.map(word => word.toLowerCase());
+    this.filterPattern = this.blockedWords.length > 0
+      ? new RegExp(`\\b(${this.blockedWords.map(escapeRegExp).join('|')})\\b`, 'gi')
+      : null;
+  }
+
+  /**
+   * Mask blocked words in a message
+   * @param {string} text - Message text
+   */
+  filter(text) {
+    if (!this.filterPattern) return text;
+    return text.replace(this.filterPattern, match => '*'.repeat(match.length));
+  }
+
+  /**
+   * Record a message attempt and check it is within the player's rate limit
+   * @param {string} playerId - Socket ID of the sender
+   * @param {number} now - Current timestamp
+   * @returns {boolean} Whether the message may be sent
+   */
+  checkRateLimit(playerId, now = Date.now()) {
+    const recent = (this.recentMessages.get(playerId) || []).filter(time => now - time < this.rateLimitWindow);
+
+    if (recent.length >= this.rateLimitCount) {
+      this.recentMessages.set(playerId, recent);
+      return false;
+    }
+
+    recent.push(now);
+    this.recentMessages.set(playerId, recent);
+    return true;
+  }
+
+  /**
+   * Validate, filter and build a chat message
+   * @param {object} player - Sending player
+   * @param {string} text - Raw message text
+   * @param {string} channel - Channel the message is sent to
+   * @returns {object} { success, message } or { success: false, code, error }
+   */
+  createMessage(player, text, channel) {
+    if (typeof text !== 'string' || text.trim() === '') {
+      return { success: false, code: ERROR_CODES.MESSAGE_EMPTY, error: 'Message is empty' };
+    }
+
+    if (!this.checkRateLimit(player.id)) {
+      return { success: false, code: ERROR_CODES.RATE_LIMITED, error: 'You are sending messages too quickly' };
+    }
+
+    return {
+      success: true,
+      message: {
+        id: uuidv4(),
+        channel,
+        playerId: player.id,
+        playerName: player.name,
+        message: this.filter(text.trim().substring(0, MAX_MESSAGE_LENGTH)),
+        timestamp: Date.now()
+      }
+    };
+  }
+
+  /**
+   * Append a message to a channel's bounded history
+   * @param {string} channel - Channel ID
+   * @param {object} message - Chat message
+   */
+  addToHistory(channel, message) {
+    const history = this.history.get(channel) || [];
+    history.push(message);
+    if (history.length > this.historySize) {
+      history.splice(0, history.length - this.historySize);
+    }
+    this.history.set(channel, history);
+  }
+
+  /**
+   * Get a channel's recent messages
+   * @param {string} channel - Channel ID
+   */
+  getHistory(channel) {
+    return (this.history.get(channel) || []).slice();
+  }
+
+  /**
+   * Mute or unmute a player in a room
+   * @param {string} roomId - Room ID
+   * @param {string} profileId - Profile ID of the player, so the mute survives reconnects
+   * @param {boolean} muted - Whether the player should be muted
+   */
+  setMuted(roomId, profileId, muted) {
+    const mutedProfiles = this.mutes.get(roomId) || new Set();
+    if (muted) {
+      mutedProfiles.add(profileId);
+    } else {
+      mutedProfiles.delete(profileId);
+    }
+    this.mutes.set(roomId, mutedProfiles);
+  }
+
+  /**
+   * Check whether a player is muted in a room
+   * @param {string} roomId - Room ID
+   * @param {string} profileId - Profile ID of the player
+   */
+  isMuted(roomId, profileId) {
+    return this.mutes.get(roomId)?.has(profileId) || false;
+  }
+
+  /**
+   * Forget everything about a room's chat, including sub-channels such as spectator chat
+   * @param {string} roomId - Room ID
+   */
+  clearRoom(roomId) {
+    Array.from(this.history.keys())
+      .filter(channel => channel === roomId || channel.startsWith(`${roomId}:`))
+      .forEach(channel => this.history.delete(channel));
+    this.mutes.delete(roomId);
+  }
+
+  /**
+   * Forget a player's rate limit state
+   * @param {string} playerId - Socket ID of the player
+   */
+  forgetPlayer(playerId) {
+    this.recentMessages.delete(playerId);
+  }
+}
+
+module.exports = ChatManager;
+module.exports.LOBBY_CHANNEL = LOBBY_CHANNEL;
@@ -0,0 +1,54 @@
+/**
+ * Elements and damage types shared by the character catalog and the combat code
+ *
+ * Every character draws its power from an element, the era it comes from, and every damaging ability
+ * deals a damage type: one of the elements, or physical, which every element takes normally.
+ * Each element overpowers the next in the cycle temporal > tech > steam > solar > temporal.
+ */
+const ELEMENTS = {
+  temporal: { name: 'Temporal' },
+  tech: { name: 'Tech' },
+  steam: { name: 'Steam' },
+  solar: { name: 'Solar' }
+};
+
+const DAMAGE_TYPES = ['physical', ...Object.keys(ELEMENTS)];
+
+const SUPER_EFFECTIVE = 1.5;
+const RESISTED = 0.75;
+
+// Damage type -> defender element -> multiplier; pairs not listed take normal damage
+const TYPE_MATRIX = {
+  temporal: { tech: SUPER_EFFECTIVE, solar: RESISTED },
+  tech: { steam: SUPER_EFFECTIVE, temporal: RESISTED },
+  steam: { solar: SUPER_EFFECTIVE, tech: RESISTED },
+  solar: { temporal: SUPER_EFFECTIVE, steam: RESISTED }
+};
+
+/**
+ * Get how hard a damage type hits an element
+ * @param {string} damageType - Damage type of the ability
+ * @param {string} element - Element of the defending character, if it has one
+ * @returns {number} Damage multiplier
+ */
+function getEffectiveness(damageType, element) {
+  return TYPE_MATRIX[damageType]?.[element] || 1;
+}
+
+/**
+ * Name a damage multiplier from the type matrix
+ * @param {number} multiplier - Multiplier from getEffectiveness
+ * @returns {string} super_effective, resisted or neutral
+ */
+function describeEffectiveness(multiplier) {
+  if (multiplier > 1) return 'super_effective';
+  if (multiplier < 1) return 'resisted';
+  return 'neutral';
+}
+
+module.exports = {
+  ELEMENTS,
+  DAMAGE_TYPES,
+  getEffectiveness,
+  describeEffectiveness
+};
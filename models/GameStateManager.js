@@ -1,22 +1,137 @@
+const crypto = require('crypto');
+const { v4: uuidv4, validate: isUuid } = require('uuid');
+const CharacterRegistry = require('./CharacterRegistry');
+const ItemRegistry = require('./ItemRegistry');
+const PlayerStore = require('./PlayerStore');
+const MatchmakingQueue = require('./MatchmakingQueue');
+const ChatManager = require('./ChatManager');
+const MemoryStateStore = require('./MemoryStateStore');
+const Metrics = require('./Metrics');
+const { DEFAULT_RATING } = require('./Rating');
+const { getEffectType } = require('./StatusEffects');
+const { createSeed, createGenerator, nextRandom } = require('./Random');
+const { getEffectiveness, describeEffectiveness } = require('./DamageTypes');
+const { BOT_DIFFICULTIES } = require('./PracticeBot');
+const { ERROR_CODES } = require('./Protocol');
+
+// Turn clock defaults, overridable per room
+const TURN_TIME_LIMIT_SETTING = parseInt(process.env.TURN_TIME_LIMIT_SECONDS, 10);
+const DEFAULT_TURN_TIME_LIMIT = Number.isNaN(TURN_TIME_LIMIT_SETTING) ? 30 : TURN_TIME_LIMIT_SETTING; // seconds, 0 disables
+const DEFAULT_MAX_TURN_TIMEOUTS = parseInt(process.env.MAX_TURN_TIMEOUTS, 10) || 3;
+const MIN_TURN_TIME_LIMIT = 5;
+const MAX_TURN_TIME_LIMIT = 300;
+
+// Room rules a host can change, and their bounds
+const MIN_STAT_MULTIPLIER = 0.5; // starting health and mana, relative to the character's
+const MAX_STAT_MULTIPLIER = 3;
+const MAX_TURNS = 500; // longest turn limit a room can set; 0 means no limit
+const FIRST_TURN_RULES = ['host', 'random', 'coin_flip'];
+
+// Bumped whenever the replay event format changes
+const REPLAY_VERSION = 6; // 2: targets, eliminations and mid-game leaves are recorded; 3: seeded combat rolls; 4: items; 5: room rules; 6: 128-bit seeds
+
+// Room modes: how many players a room seats and who is on whose side
+const ROOM_MODES = {
+  duel: { minPlayers: 2, maxPlayers: 2 },
+  ffa: { minPlayers: 3, maxPlayers: 4 }, // Everyone for themselves
+  teams: { minPlayers: 4, maxPlayers: 4, teamCount: 2, teamSize: 2 }
+};
+
+// Built-in actions available to every character
+const DEFEND_DAMAGE_REDUCTION = 50; // percent, until the defender's next turn ends
+const PASS_MANA_RESTORE = 0.2; // fraction of max mana regained by passing
+const LOADOUT_SIZE = 3; // items a player may bring into a battle
+
+// Host controls
+const MAX_OPEN_INVITES = 20; // unused invite tokens a room keeps; the oldest goes first
+
+// Combat rolls for abilities that don't set their own
+const DEFAULT_ACCURACY = 95; // percent chance to hit
+const DEFAULT_CRIT_CHANCE = 5; // percent chance a hit is critical
+const DEFAULT_CRIT_MULTIPLIER = 1.5;
+const DEFAULT_DAMAGE_VARIANCE = 10; // percent either side of the ability's damage
+
 /**
  * GameStateManager - Manages all game state including rooms, players, and battles
  */
 class GameStateManager {
-    constructor() {
-      this.rooms = new Map(); // roomId -> roomData
-      this.players = new Map(); // socketId -> playerData
-      this.playerToRoom = new Map(); // socketId -> roomId
+    /**
+     * @param {object} options - Optional dependencies
+     * @param {CharacterRegistry} options.characterRegistry - Server-side character catalog
+     * @param {ItemRegistry} options.itemRegistry - Server-side item catalog
+     * @param {PlayerStore} options.playerStore - Persistent profiles and match history
+     * @param {MatchmakingQueue} options.matchmaking - Quick-match queue
+     * @param {ChatManager} options.chat - Chat history, filtering and mutes
+     * @param {MemoryStateStore} options.store - Where rooms, players and replays live
+     * @param {Metrics} options.metrics - Where game counts and durations are recorded
+     */
+    constructor(options = {}) {
+      this.characterRegistry = options.characterRegistry || new CharacterRegistry();
+      this.itemRegistry = options.itemRegistry || new ItemRegistry();
+      this.playerStore = options.playerStore || new PlayerStore({ filePath: null });
+      this.matchmaking = options.matchmaking || new MatchmakingQueue();
+      this.chat = options.chat || new ChatManager();
+      this.store = options.store || new MemoryStateStore();
+      this.metrics = options.metrics || new Metrics();
+      this.rooms = this.store.rooms; // roomId -> roomData
+      this.players = this.store.players; // socketId -> playerData
+      this.playerToRoom = this.store.playerToRoom; // socketId -> roomId
+      this.sessions = new Map(); // sessionToken -> socketId
+      this.spectatorToRoom = new Map(); // socketId -> roomId
+      this.replays = this.store.replays; // roomId -> replay event stream of the current game
+    }
+  
+    /**
+     * Run a mutation while holding the locks of every room it touches, so server instances sharing
+     * a store never interleave changes to the same room
+     * @param {Array} roomIds - Rooms the mutation may change; empty entries are ignored
+     * @param {Function} mutate - Synchronous mutation, run once the rooms have been refreshed from the store
+     * @returns {Promise} Whatever the mutation returns
+     */
+    async withRooms(roomIds, mutate) {
+      const ids = Array.from(new Set(roomIds.filter(Boolean))).sort();
+      
+      return this.store.withLocks(ids.map(id => `room:${id}`), async () => {
+        await Promise.all(ids.map(id => this.store.loadRoom(id)));
+        const existingIds = new Set(this.rooms.keys());
+        
+        const result = mutate();
+        
+        // Rooms the mutation created are new to every other instance, so they need no lock. Their codes
+        // were only checked against this instance's rooms, so one another instance already uses is replaced
+        const createdIds = [];
+        for (const id of Array.from(this.rooms.keys()).filter(key => !existingIds.has(key))) {
+          let roomId = id;
+          while (!(await this.store.claimRoomId(roomId))) {
+            roomId = this.renameRoom(roomId, this.generateRoomCode());
+          }
+          createdIds.push(roomId);
+        }
+        
+        await Promise.all(ids.concat(createdIds).map(id => this.store.saveRoom(id)));
+        return result;
+      });
     }
   
     /**
      * Register a new player
      * @param {string} socketId - Socket ID of the player
      * @param {object} playerData - Player information
+     * @param {string} playerData.profileId - Stable identity the player has already proven, e.g. with a guest token
      */
     registerPlayer(socketId, playerData) {
+      // Returning players keep their profile; everyone else gets a fresh identity
+      const profileId = isUuid(playerData.profileId || '') ? playerData.profileId : uuidv4();
+      const profile = this.playerStore.getProfile(profileId);
+      
       this.players.set(socketId, {
         id: socketId,
-        name: playerData.name || `Player_${socketId.substring(0, 5)}`,
+        profileId,
+        name: profile?.name || playerData.name || `Player_${socketId.substring(0, 5)}`,
+        isGuest: true, // Until the player signs in with a wallet
+        isBot: false, // Server-controlled practice opponent
+        botDifficulty: null,
+        walletAddress: null,
         isConnected: true,
         character: null,
         isReady: false,
@@ -24,11 +139,183 @@ class GameStateManager {
         maxHealth: 0,
         mana: 0,
         maxMana: 0,
+        sessionToken: null,
+        disconnectedAt: null,
+        consecutiveTimeouts: 0,
+        effects: [],
+        cooldowns: {},
+        loadout: {}, // itemId -> count the player brings into their next battle
+        items: {}, // itemId -> uses left in the current battle
         lastActive: Date.now()
       });
       return this.players.get(socketId);
     }
   
+    /**
+     * Bind a player to a verified wallet address, which becomes their persistent identity
+     * @param {string} socketId - Socket ID of the player
+     * @param {string} address - Verified Arweave wallet address
+     */
+    authenticatePlayer(socketId, address) {
+      const player = this.players.get(socketId);
+      if (!player) return { success: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
+      
+      // Switching identity mid-game would split the match record between two profiles
+      if (this.playerToRoom.has(socketId)) {
+        return { success: false, code: ERROR_CODES.IN_ROOM, error: 'Sign in before joining a room' };
+      }
+      
+      if (this.playerStore.getBan(address)) {
+        return { success: false, code: ERROR_CODES.BANNED, error: 'This wallet is banned' };
+      }
+      
+      // A queued player's rating would be out of date, so they queue again after signing in
+      this.matchmaking.leave(socketId);
+      
+      const profile = this.playerStore.getProfile(address);
+      const guestProfileId = player.profileId;
+      player.profileId = address;
+      player.walletAddress = address;
+      player.isGuest = false;
+      player.name = profile?.name || `${address.substring(0, 6)}...${address.slice(-4)}`;
+      player.lastActive = Date.now();
+      this.releaseGuest(guestProfileId);
+      
+      return { success: true, player };
+    }
+  
+    /**
+     * Issue a session token the player can use to resume after a dropped connection
+     * @param {string} socketId - Socket ID of the player
+     */
+    createSession(socketId) {
+      const player = this.players.get(socketId);
+      if (!player) return null;
+      
+      if (player.sessionToken) {
+        this.sessions.delete(player.sessionToken);
+      }
+      
+      player.sessionToken = uuidv4();
+      this.sessions.set(player.sessionToken, socketId);
+      return player.sessionToken;
+    }
+  
+    /**
+     * Get the socket ID currently bound to a session
+     * @param {string} sessionToken - Session token
+     */
+    getSessionPlayerId(sessionToken) {
+      return this.sessions.get(sessionToken);
+    }
+  
+    /**
+     * Mark a player as disconnected while keeping their seat and battle state
+     * @param {string} socketId - Socket ID of the player
+     */
+    markPlayerDisconnected(socketId) {
+      const player = this.players.get(socketId);
+      if (!player) return null;
+      
+      player.isConnected = false;
+      player.disconnectedAt = Date.now();
+      return player;
+    }
+  
+    /**
+     * Resume a session on a new socket
+     * @param {string} sessionToken - Session token issued on connection
+     * @param {string} newSocketId - Socket ID of the new connection
+     */
+    resumeSession(sessionToken, newSocketId) {
+      const oldSocketId = this.sessions.get(sessionToken);
+      if (!oldSocketId) return { success: false, code: ERROR_CODES.SESSION_NOT_FOUND, error: 'Session not found or expired' };
+      
+      if (oldSocketId === newSocketId) {
+        return { success: false, code: ERROR_CODES.SESSION_ALREADY_BOUND, error: 'Session is already bound to this connection' };
+      }
+      
+      const player = this.players.get(oldSocketId);
+      if (!player) {
+        this.sessions.delete(sessionToken);
+        return { success: false, code: ERROR_CODES.SESSION_NOT_FOUND, error: 'Session not found or expired' };
+      }
+      
+      // Drop the placeholder player that was registered for the new connection
+      this.unregisterPlayer(newSocketId);
+      
+      this.rebindPlayer(oldSocketId, newSocketId);
+      player.isConnected = true;
+      player.disconnectedAt = null;
+      player.lastActive = Date.now();
+      
+      const roomId = this.playerToRoom.get(newSocketId);
+      const room = roomId ? this.rooms.get(roomId) : null;
+      if (room) {
+        room.lastActivity = Date.now();
+      }
+      
+      return { success: true, previousPlayerId: oldSocketId, player, room };
+    }
+  
+    /**
+     * Move a player and every reference to them from one socket ID to another
+     * @param {string} oldSocketId - Socket ID the player is currently bound to
+     * @param {string} newSocketId - Socket ID to bind the player to
+     */
+    rebindPlayer(oldSocketId, newSocketId) {
+      const player = this.players.get(oldSocketId);
+      if (!player) return null;
+      
+      player.id = newSocketId;
+      this.players.delete(oldSocketId);
+      this.players.set(newSocketId, player);
+      
+      if (player.sessionToken) {
+        this.sessions.set(player.sessionToken, newSocketId);
+      }
+      
+      const roomId = this.playerToRoom.get(oldSocketId);
+      if (roomId) {
+        this.playerToRoom.delete(oldSocketId);
+        this.playerToRoom.set(newSocketId, roomId);
+        
+        const room = this.rooms.get(roomId);
+        if (room) {
+          const swap = id => (id === oldSocketId ? newSocketId : id);
+          room.players = room.players.map(swap);
+          room.hostId = swap(room.hostId);
+          room.guestId = swap(room.guestId);
+          room.gameData.currentTurn = swap(room.gameData.currentTurn);
+          room.gameData.winner = swap(room.gameData.winner);
+          room.gameData.winners = room.gameData.winners?.map(swap);
+          (room.gameData.participants || []).forEach(participant => {
+            participant.playerId = swap(participant.playerId);
+          });
+          
+          if (oldSocketId in room.teams) {
+            room.teams[newSocketId] = room.teams[oldSocketId];
+            delete room.teams[oldSocketId];
+          }
+        }
+      }
+      
+      this.matchmaking.rebind(oldSocketId, newSocketId);
+      
+      const spectatedRoomId = this.spectatorToRoom.get(oldSocketId);
+      if (spectatedRoomId) {
+        this.spectatorToRoom.delete(oldSocketId);
+        this.spectatorToRoom.set(newSocketId, spectatedRoomId);
+        
+        const room = this.rooms.get(spectatedRoomId);
+        if (room) {
+          room.spectators = room.spectators.map(id => (id === oldSocketId ? newSocketId : id));
+        }
+      }
+      
+      return player;
+    }
+  
     /**
      * Unregister a player
      * @param {string} socketId - Socket ID of the player
@@ -40,8 +327,32 @@ class GameStateManager {
         this.removePlayerFromRoom(socketId, roomId);
       }
       
+      this.removeSpectator(socketId);
+      this.matchmaking.leave(socketId);
+      this.chat.forgetPlayer(socketId);
+      
+      const player = this.players.get(socketId);
+      if (player?.sessionToken) {
+        this.sessions.delete(player.sessionToken);
+      }
+      
       this.players.delete(socketId);
       this.playerToRoom.delete(socketId);
+      
+      if (player) {
+        this.releaseGuest(player.profileId);
+      }
+    }
+  
+    /**
+     * Let the player store forget a guest identity once nobody is connected as it, if it never got a stored profile
+     * @param {string} profileId - Profile ID a player was using
+     */
+    releaseGuest(profileId) {
+      const inUse = Array.from(this.players.values()).some(player => player.profileId === profileId);
+      if (!inUse) {
+        this.playerStore.forgetGuest(profileId);
+      }
     }
   
     /**
@@ -82,7 +393,12 @@ class GameStateManager {
       const host = this.players.get(hostId);
       if (!host) return null;
       
+      // Hosting a room ends any spectating or queueing
+      this.removeSpectator(hostId);
+      this.matchmaking.leave(hostId);
+      
       // Create the room
+      const settings = this.normalizeRoomSettings(roomData);
       const room = {
         id: roomId,
         name: roomData.name || `${host.name}'s Room`,
@@ -90,12 +406,18 @@ class GameStateManager {
         guestId: null,
         status: 'waiting', // waiting, ready, in-progress, completed
         isPrivate: roomData.isPrivate || false,
-        maxPlayers: 2, // For now, only 2-player games are supported
+        password: roomData.password ? this.hashRoomPassword(roomData.password) : null, // { salt, hash }
+        invites: [], // One-time tokens that let a player in without the password
+        bans: [], // { profileId, name, bannedAt } of players the host has banned
+        maxPlayers: settings.maxPlayers,
         players: [hostId],
+        teams: settings.mode === 'teams' ? { [hostId]: 0 } : {}, // playerId -> team index, in team rooms
         spectators: [],
+        settings,
         gameData: {
           turnCount: 0,
           currentTurn: null,
+          turnDeadline: null,
           battleLog: [],
           startTime: null,
           endTime: null,
@@ -112,10 +434,124 @@ class GameStateManager {
       return room;
     }
   
+    /**
+     * Build a room's settings from client-supplied values, falling back to defaults
+     * @param {object} roomData - Room configuration
+     */
+    normalizeRoomSettings(roomData = {}) {
+      let turnTimeLimit = DEFAULT_TURN_TIME_LIMIT;
+      if (Number.isFinite(roomData.turnTimeLimit)) {
+        turnTimeLimit = roomData.turnTimeLimit <= 0
+          ? 0
+          : Math.min(MAX_TURN_TIME_LIMIT, Math.max(MIN_TURN_TIME_LIMIT, Math.round(roomData.turnTimeLimit)));
+      }
+      
+      let maxTurnTimeouts = DEFAULT_MAX_TURN_TIMEOUTS;
+      if (Number.isInteger(roomData.maxTurnTimeouts) && roomData.maxTurnTimeouts > 0) {
+        maxTurnTimeouts = roomData.maxTurnTimeouts;
+      }
+      
+      const mode = ROOM_MODES[roomData.mode] ? roomData.mode : 'duel';
+      const { minPlayers, maxPlayers } = ROOM_MODES[mode];
+      
+      // Free-for-all rooms seat three or four; other modes have a fixed size
+      let seats = maxPlayers;
+      if (Number.isInteger(roomData.maxPlayers)) {
+        seats = Math.min(maxPlayers, Math.max(minPlayers, roomData.maxPlayers));
+      }
+      
+      // Rule options, each falling back to the standard rules
+      const multiplier = value => (Number.isFinite(value)
+        ? Math.min(MAX_STAT_MULTIPLIER, Math.max(MIN_STAT_MULTIPLIER, value))
+        : 1);
+      const firstTurn = FIRST_TURN_RULES.includes(roomData.firstTurn) ? roomData.firstTurn : 'host';
+      const bannedCharacters = Array.isArray(roomData.bannedCharacters)
+        ? Array.from(new Set(roomData.bannedCharacters.filter(id => typeof id === 'string')))
+        : [];
+      
+      let maxTurns = 0;
+      if (Number.isInteger(roomData.maxTurns) && roomData.maxTurns > 0) {
+        maxTurns = Math.min(MAX_TURNS, roomData.maxTurns);
+      }
+      
+      return {
+        turnTimeLimit,
+        maxTurnTimeouts,
+        mode,
+        maxPlayers: seats,
+        healthMultiplier: multiplier(roomData.healthMultiplier),
+        manaMultiplier: multiplier(roomData.manaMultiplier),
+        firstTurn, // host, random or coin_flip
+        bannedCharacters,
+        maxTurns // After this many turns the side with the most health left wins
+      };
+    }
+  
+    /**
+     * Check rule options from a host against the character catalog and the room's mode; normalizeRoomSettings
+     * takes care of their ranges
+     * @param {object} rules - Rule options
+     * @param {string} mode - Mode of the room the rules are for
+     * @returns {object} { success }, or an error
+     */
+    validateRoomRules(rules, mode) {
+      const banned = rules.bannedCharacters || [];
+      const unknown = banned.find(characterId => !this.characterRegistry.has(characterId));
+      if (unknown) {
+        return { success: false, code: ERROR_CODES.INVALID_SETTINGS, error: `Unknown character: ${unknown}` };
+      }
+      
+      if (new Set(banned).size >= this.characterRegistry.getCatalog().length) {
+        return { success: false, code: ERROR_CODES.INVALID_SETTINGS, error: 'At least one character must stay available' };
+      }
+      
+      if (rules.firstTurn === 'coin_flip' && mode === 'ffa') {
+        return {
+          success: false,
+          code: ERROR_CODES.INVALID_SETTINGS,
+          error: 'A coin flip needs two sides; free-for-all rooms can pick the first player at random'
+        };
+      }
+      
+      return { success: true };
+    }
+  
+    /**
+     * Change the rules of the host's room while it waits for players
+     * @param {string} hostId - Socket ID of the host
+     * @param {object} rules - Rule options to change; anything left out keeps its current value
+     */
+    updateRoomSettings(hostId, rules) {
+      const found = this.getHostedRoom(hostId, 'change the rules');
+      if (!found.success) return found;
+      
+      const { room } = found;
+      if (room.status !== 'waiting') {
+        return { success: false, code: ERROR_CODES.SETTINGS_LOCKED, error: 'Rules can only change while the room is waiting' };
+      }
+      
+      const checked = this.validateRoomRules(rules, room.settings.mode);
+      if (!checked.success) return checked;
+      
+      room.settings = this.normalizeRoomSettings({ ...room.settings, ...rules });
+      
+      // Everyone confirms again under the new rules; bots play by whatever is set
+      room.players.forEach(id => {
+        const player = this.players.get(id);
+        if (player && !player.isBot) {
+          player.isReady = false;
+        }
+      });
+      room.lastActivity = Date.now();
+      
+      return { success: true, room, settings: room.settings };
+    }
+  
     /**
      * Generate a unique room code
      */
     generateRoomCode() {
+      // Only this instance's rooms are checked here; withRooms claims the code across instances
       const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // Removed similar-looking characters
       let code;
       
@@ -130,6 +566,119 @@ class GameStateManager {
       return code;
     }
   
+    /**
+     * Give a room that has just been created a different code, before anyone has been told the old one
+     * @param {string} roomId - Current room ID
+     * @param {string} newRoomId - Room ID to move it to
+     * @returns {string} The new room ID
+     */
+    renameRoom(roomId, newRoomId) {
+      const room = this.rooms.get(roomId);
+      this.rooms.delete(roomId);
+      room.id = newRoomId;
+      this.rooms.set(newRoomId, room);
+      
+      room.players.forEach(id => this.playerToRoom.set(id, newRoomId));
+      if (this.replays.has(roomId)) {
+        this.replays.set(newRoomId, this.replays.get(roomId));
+        this.replays.delete(roomId);
+      }
+      
+      return newRoomId;
+    }
+  
+    /**
+     * Put a player in the quick-match queue
+     * @param {string} socketId - Socket ID of the player
+     */
+    joinQueue(socketId) {
+      const player = this.players.get(socketId);
+      if (!player) return { success: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
+      
+      if (this.playerToRoom.has(socketId)) {
+        return { success: false, code: ERROR_CODES.IN_ROOM, error: 'Leave your current room before joining the queue' };
+      }
+      
+      const rating = this.playerStore.getProfile(player.profileId)?.rating || DEFAULT_RATING;
+      this.matchmaking.join(socketId, rating);
+      
+      return { success: true, status: this.matchmaking.getStatus(socketId) };
+    }
+  
+    /**
+     * Take a player out of the quick-match queue
+     * @param {string} socketId - Socket ID of the player
+     */
+    leaveQueue(socketId) {
+      if (!this.matchmaking.leave(socketId)) {
+        return { success: false, code: ERROR_CODES.NOT_IN_QUEUE, error: 'You are not in the queue' };
+      }
+      return { success: true };
+    }
+  
+    /**
+     * Seat a matched pair of players in a new room
+     * @param {string} hostId - Socket ID of the player who will host
+     * @param {string} guestId - Socket ID of the other player
+     */
+    createQuickMatch(hostId, guestId) {
+      if (!this.players.has(hostId) || !this.players.has(guestId)) {
+        return { success: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
+      }
+      
+      // Quick matches are private so they never show up in the room browser
+      const room = this.createRoom(hostId, { name: 'Quick Match', isPrivate: true });
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_CREATE_FAILED, error: 'Failed to create room' };
+      room.isQuickMatch = true;
+      
+      const result = this.addPlayerToRoom(guestId, room.id, { inviteToken: this.createInvite(hostId).token });
+      if (!result.success) {
+        this.removePlayerFromRoom(hostId, room.id);
+        return result;
+      }
+      
+      return { success: true, room };
+    }
+  
+    /**
+     * Seat a player in a new private duel against a server-controlled bot. Practice games are never rated
+     * @param {string} hostId - Socket ID of the player
+     * @param {object} options - Practice options
+     * @param {string} options.difficulty - How the bot picks its moves: random, greedy or lookahead
+     * @param {string} options.botCharacterId - Character the bot plays, random if not given
+     */
+    createPracticeRoom(hostId, options = {}) {
+      if (!this.players.has(hostId)) {
+        return { success: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
+      }
+      
+      const difficulty = BOT_DIFFICULTIES[options.difficulty] ? options.difficulty : 'greedy';
+      const { name, loadout } = BOT_DIFFICULTIES[difficulty];
+      
+      let characterId = options.botCharacterId;
+      if (!characterId) {
+        const catalog = this.characterRegistry.getCatalog();
+        characterId = catalog[Math.floor(Math.random() * catalog.length)].id;
+      } else if (!this.characterRegistry.has(characterId)) {
+        return { success: false, code: ERROR_CODES.UNKNOWN_CHARACTER, error: 'Unknown character' };
+      }
+      
+      const room = this.createRoom(hostId, { name: `Practice vs ${name}`, isPrivate: true });
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_CREATE_FAILED, error: 'Failed to create room' };
+      room.isPractice = true;
+      
+      // The bot takes the guest seat with its character and items picked, ready to go
+      const botId = `bot-${uuidv4()}`;
+      this.registerPlayer(botId, { name });
+      this.updatePlayer(botId, { isBot: true, botDifficulty: difficulty });
+      this.addPlayerToRoom(botId, room.id, { inviteToken: this.createInvite(hostId).token });
+      this.setPlayerCharacter(botId, characterId);
+      this.setPlayerLoadout(botId, loadout);
+      this.setPlayerReady(botId, true);
+      
+      return { success: true, room, bot: this.players.get(botId) };
+    }
+  
     /**
      * Get a specific room
      * @param {string} roomId - Room ID
@@ -138,6 +687,24 @@ class GameStateManager {
       return this.rooms.get(roomId);
     }
   
+    /**
+     * Get a room as players may see it, without its password, invite tokens or the combat roll
+     * generator of a game in progress
+     * @param {object} room - Room data
+     */
+    getClientRoom(room) {
+      if (!room) return room;
+      
+      const { password, invites, ...visible } = room;
+      visible.hasPassword = Boolean(password);
+      
+      if (room.gameData?.rng && room.status !== 'completed') {
+        const { rng, ...gameData } = room.gameData;
+        visible.gameData = gameData;
+      }
+      return visible;
+    }
+  
     /**
      * Get all public rooms
      */
@@ -151,8 +718,12 @@ class GameStateManager {
             name: room.name,
             hostId: room.hostId,
             hostName: this.players.get(room.hostId)?.name || 'Unknown Host',
+            mode: room.settings.mode,
+            settings: { ...room.settings },
+            hasPassword: Boolean(room.password),
             players: room.players.length,
             maxPlayers: room.maxPlayers,
+            spectators: room.spectators.length,
             createdAt: room.createdAt
           });
         }
@@ -161,94 +732,529 @@ class GameStateManager {
     }
   
     /**
-     * Add a player to a room
-     * @param {string} socketId - Socket ID of the player
+     * Get every room, private ones included, for operators
+     */
+    getAllRooms() {
+      return Array.from(this.rooms.values()).map(room => ({
+        id: room.id,
+        name: room.name,
+        isPrivate: room.isPrivate,
+        status: room.status,
+        hostId: room.hostId,
+        players: room.players.map(id => {
+          const player = this.players.get(id);
+          return {
+            id,
+            profileId: player?.profileId || null,
+            name: player?.name || 'Unknown Player',
+            isConnected: player ? player.isConnected : false
+          };
+        }),
+        maxPlayers: room.maxPlayers,
+        spectators: room.spectators.length,
+        turnCount: room.gameData.turnCount,
+        createdAt: room.createdAt,
+        lastActivity: room.lastActivity
+      }));
+    }
+  
+    /**
+     * Get every registered player, for operators. Session tokens are left out
+     */
+    getAllPlayers() {
+      return Array.from(this.players.values()).map(player => ({
+        id: player.id,
+        profileId: player.profileId,
+        name: player.name,
+        isGuest: player.isGuest,
+        walletAddress: player.walletAddress,
+        isConnected: player.isConnected,
+        roomId: this.playerToRoom.get(player.id) || null,
+        spectatingRoomId: this.spectatorToRoom.get(player.id) || null,
+        disconnectedAt: player.disconnectedAt,
+        lastActive: player.lastActive
+      }));
+    }
+  
+    /**
+     * Find the players behind an ID, which may be a socket ID or a persistent profile ID
+     * @param {string} id - Socket ID or profile ID
+     * @returns {Array} Matching players; a profile may be connected more than once
+     */
+    findPlayers(id) {
+      const player = this.players.get(id);
+      if (player) return [player];
+      
+      return Array.from(this.players.values()).filter(candidate => candidate.profileId === id);
+    }
+  
+    /**
+     * Count rooms by status
+     * @returns {object} status -> number of rooms, with every status present
+     */
+    countRoomsByStatus() {
+      const counts = { waiting: 0, ready: 0, 'in-progress': 0, completed: 0 };
+      this.rooms.forEach(room => {
+        counts[room.status] = (counts[room.status] || 0) + 1;
+      });
+      return counts;
+    }
+  
+    /**
+     * Get all public battles currently in progress, for spectators to browse
+     */
+    getLiveBattles() {
+      const battles = [];
+      this.rooms.forEach(room => {
+        if (!room.isPrivate && room.status === 'in-progress') {
+          battles.push({
+            id: room.id,
+            name: room.name,
+            players: room.players.map(id => {
+              const player = this.players.get(id);
+              return {
+                id,
+                name: player?.name || 'Unknown Player',
+                characterId: player?.character?.id || null
+              };
+            }),
+            spectators: room.spectators.length,
+            turnCount: room.gameData.turnCount,
+            startTime: room.gameData.startTime
+          });
+        }
+      });
+      return battles;
+    }
+  
+    /**
+     * Add a spectator to a room
+     * @param {string} socketId - Socket ID of the spectator
      * @param {string} roomId - Room ID
+     * @param {object} access - How the spectator gets into a private or password-protected room
+     * @param {string} access.password - The room's password
+     * @param {string} access.inviteToken - An unused invite from the host
      */
-    addPlayerToRoom(socketId, roomId) {
-      // Make sure room exists
+    addSpectator(socketId, roomId, access = {}) {
       const room = this.rooms.get(roomId);
-      if (!room) return { success: false, error: 'Room not found' };
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
       
-      // Make sure player exists
       const player = this.players.get(socketId);
-      if (!player) return { success: false, error: 'Player not found' };
+      if (!player) return { success: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
       
-      // Check if room is full
-      if (room.players.length >= room.maxPlayers) {
-        return { success: false, error: 'Room is full' };
+      if (this.playerToRoom.has(socketId)) {
+        return { success: false, code: ERROR_CODES.IN_ROOM, error: 'Leave your current room before spectating' };
       }
       
-      // Check if room is in an incompatible state
-      if (room.status !== 'waiting') {
-        return { success: false, error: 'Room is not accepting new players' };
+      // Already watching, and already let in
+      const previousRoomId = this.spectatorToRoom.get(socketId);
+      if (previousRoomId === roomId) {
+        return { success: true, room, previousRoomId: null };
       }
       
-      // Remove player from any other rooms
-      this.leaveAllRooms(socketId);
-      
-      // Add player to the room
-      room.players.push(socketId);
-      this.playerToRoom.set(socketId, roomId);
+      // Spectators hear everything said in the room, so they get in the same way players do
+      if (this.isBannedFromRoom(room, player)) {
+        return { success: false, code: ERROR_CODES.BANNED, error: 'You are banned from this room' };
+      }
       
-      // If this is the second player, they're the guest
-      if (room.players.length === 2) {
-        room.guestId = socketId;
+      if (room.status === 'completed') {
+        return { success: false, code: ERROR_CODES.GAME_ENDED, error: 'This battle has already ended' };
       }
       
-      // Update room activity timestamp
-      room.lastActivity = Date.now();
+      // Private rooms are only open to those the host invited
+      const denied = this.useRoomAccess(room, access, room.isPrivate);
+      if (denied) return denied;
       
-      return { success: true, room };
+      // Only watch one room at a time
+      this.removeSpectator(socketId);
+      room.spectators.push(socketId);
+      this.spectatorToRoom.set(socketId, roomId);
+      
+      return { success: true, room, previousRoomId: previousRoomId || null };
     }
   
     /**
-     * Remove a player from a room
-     * @param {string} socketId - Socket ID of the player
-     * @param {string} roomId - Room ID
+     * Remove a spectator from the room they are watching
+     * @param {string} socketId - Socket ID of the spectator
      */
-    removePlayerFromRoom(socketId, roomId) {
-      const room = this.rooms.get(roomId);
-      if (!room) return { success: false, error: 'Room not found' };
+    removeSpectator(socketId) {
+      const roomId = this.spectatorToRoom.get(socketId);
+      if (!roomId) return { success: false, code: ERROR_CODES.NOT_SPECTATING, error: 'Not spectating' };
       
-      // Remove player from room
-      room.players = room.players.filter(id => id !== socketId);
-      this.playerToRoom.delete(socketId);
+      this.spectatorToRoom.delete(socketId);
       
-      // Update room state if needed
-      if (socketId === room.hostId) {
-        // Host left, either transfer host or close the room
-        if (room.players.length > 0) {
-          // Transfer host to the next player
-          room.hostId = room.players[0];
-          if (room.guestId === room.hostId) {
-            room.guestId = null; // Clear guest status if they're now host
-          }
-        } else {
-          // No players left, delete the room
-          this.rooms.delete(roomId);
-          return { success: true, roomClosed: true };
+      const room = this.rooms.get(roomId);
+      if (room) {
+        room.spectators = room.spectators.filter(id => id !== socketId);
+      }
+      
+      return { success: true, roomId, room };
+    }
+  
+    /**
+     * Get a read-only view of a battle that hides ability and session data
+     * @param {object} room - Room data
+     */
+    getBattleView(room) {
+      return {
+        id: room.id,
+        name: room.name,
+        status: room.status,
+        hostId: room.hostId,
+        guestId: room.guestId,
+        mode: room.settings.mode,
+        spectators: room.spectators.length,
+        players: room.players.map(id => {
+          const player = this.players.get(id);
+          if (!player) return { id, name: 'Unknown Player' };
+          
+          const participant = room.gameData.participants?.find(entry => entry.playerId === id);
+          return {
+            id,
+            name: player.name,
+            team: room.teams[id] ?? null,
+            eliminated: participant ? participant.eliminated : false,
+            isConnected: player.isConnected,
+            character: player.character ? {
+              id: player.character.id,
+              name: player.character.name,
+              avatar: player.character.avatar,
+              element: player.character.element
+            } : null,
+            health: player.health,
+            maxHealth: player.maxHealth,
+            mana: player.mana,
+            maxMana: player.maxMana,
+            effects: this.getActiveEffects(room)[id],
+            items: { ...player.items }
+          };
+        }),
+        gameData: {
+          turnCount: room.gameData.turnCount,
+          currentTurn: room.gameData.currentTurn,
+          turnDeadline: room.gameData.turnDeadline,
+          battleLog: room.gameData.battleLog,
+          startTime: room.gameData.startTime,
+          endTime: room.gameData.endTime,
+          winner: room.gameData.winner,
+          winners: room.gameData.winners || []
+        }
+      };
+    }
+  
+    /**
+     * Add a player to a room
+     * @param {string} socketId - Socket ID of the player
+     * @param {string} roomId - Room ID
+     * @param {object} access - How the player gets past a room password
+     * @param {string} access.password - The room's password
+     * @param {string} access.inviteToken - An unused invite from the host, which replaces the password
+     */
+    addPlayerToRoom(socketId, roomId, access = {}) {
+      // Make sure room exists
+      const room = this.rooms.get(roomId);
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+      
+      // Make sure player exists
+      const player = this.players.get(socketId);
+      if (!player) return { success: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
+      
+      // Banned players stay out, whatever they know
+      if (this.isBannedFromRoom(room, player)) {
+        return { success: false, code: ERROR_CODES.BANNED, error: 'You are banned from this room' };
+      }
+      
+      // Check if room is full
+      if (room.players.length >= room.maxPlayers) {
+        return { success: false, code: ERROR_CODES.ROOM_FULL, error: 'Room is full' };
+      }
+      
+      // Check if room is in an incompatible state
+      if (room.status !== 'waiting') {
+        return { success: false, code: ERROR_CODES.ROOM_NOT_JOINABLE, error: 'Room is not accepting new players' };
+      }
+      
+      const denied = this.useRoomAccess(room, access, room.isPrivate);
+      if (denied) return denied;
+      
+      // Remove player from any other rooms, spectating and the queue
+      this.leaveAllRooms(socketId);
+      this.removeSpectator(socketId);
+      this.matchmaking.leave(socketId);
+      
+      // Add player to the room
+      room.players.push(socketId);
+      this.playerToRoom.set(socketId, roomId);
+      
+      // If this is the second player, they're the guest
+      if (room.players.length === 2) {
+        room.guestId = socketId;
+      }
+      
+      // Fill whichever team is short
+      if (room.settings.mode === 'teams') {
+        room.teams[socketId] = this.getTeamSize(room, 0) <= this.getTeamSize(room, 1) ? 0 : 1;
+      }
+      
+      // Update room activity timestamp
+      room.lastActivity = Date.now();
+      
+      return { success: true, room };
+    }
+  
+    /**
+     * Check whether the host has banned a player from a room
+     * @param {object} room - Room data
+     * @param {object} player - Player data
+     */
+    isBannedFromRoom(room, player) {
+      return (room.bans || []).some(ban => ban.profileId === player.profileId);
+    }
+  
+    /**
+     * Check a player's way past a room's password; an invite gets past it, but only once
+     * @param {object} room - Room data
+     * @param {object} access - { password, inviteToken } as the player sent them
+     * @param {boolean} inviteRequired - Whether only an invite will do, whatever the password
+     * @returns {object|null} A failure result, or null if the player may come in
+     */
+    useRoomAccess(room, access, inviteRequired = false) {
+      const invites = room.invites || [];
+      if (access.inviteToken) {
+        if (!invites.includes(access.inviteToken)) {
+          return { success: false, code: ERROR_CODES.INVITE_INVALID, error: 'This invite is invalid or has already been used' };
+        }
+        room.invites = invites.filter(token => token !== access.inviteToken);
+        return null;
+      }
+      
+      if (inviteRequired) {
+        return { success: false, code: ERROR_CODES.INVITE_INVALID, error: 'This room is private and needs an invite' };
+      }
+      
+      if (room.password) {
+        if (!access.password) {
+          return { success: false, code: ERROR_CODES.PASSWORD_REQUIRED, error: 'This room needs a password' };
+        }
+        if (!this.checkRoomPassword(room, access.password)) {
+          return { success: false, code: ERROR_CODES.PASSWORD_INCORRECT, error: 'Wrong password' };
         }
       }
+      return null;
+    }
+  
+    /**
+     * Remove a player from a room
+     * @param {string} socketId - Socket ID of the player
+     * @param {string} roomId - Room ID
+     */
+    removePlayerFromRoom(socketId, roomId) {
+      const room = this.rooms.get(roomId);
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+      
+      // Remove player from room
+      room.players = room.players.filter(id => id !== socketId);
+      delete room.teams[socketId];
+      this.playerToRoom.delete(socketId);
       
       // If this was the guest, clear guest ID
       if (socketId === room.guestId) {
         room.guestId = null;
       }
       
-      // If game was in progress, end it
+      // A departing host hands the room to the longest-seated player left; bots never host
+      let previousHostId = null;
+      if (socketId === room.hostId) {
+        previousHostId = socketId;
+        room.hostId = room.players.find(id => !this.players.get(id)?.isBot) || null;
+        if (room.guestId === room.hostId) {
+          room.guestId = room.players.find(id => id !== room.hostId) || null;
+        }
+      }
+      
+      // A full room's countdown can't go ahead without them
+      if (room.status === 'ready') {
+        room.status = 'waiting';
+      }
+      
+      // Leaving mid-game forfeits; the game only ends once a single side is left standing
+      let gameEnded = false;
+      let turnAdvanced = false;
       if (room.status === 'in-progress') {
-        room.status = 'completed';
-        room.gameData.endTime = Date.now();
-        room.gameData.winner = room.players[0]; // Remaining player wins by default
+        this.recordEvent(room, 'player_left', { seat: this.getSeat(room, socketId) });
+        this.eliminatePlayer(room, socketId, 'abandoned');
+        
+        const victory = this.getVictory(room);
+        if (victory) {
+          this.endGame(room, victory.winnerId, 'abandoned');
+          gameEnded = true;
+        } else if (room.gameData.currentTurn === socketId) {
+          this.advanceTurn(room);
+          turnAdvanced = true;
+          gameEnded = room.status === 'completed';
+        }
+      }
+      
+      // The room closes once it is empty, or only a bot is left with nobody to play
+      if (room.players.every(id => this.players.get(id)?.isBot)) {
+        this.closeRoom(roomId);
+        return { success: true, room, roomClosed: true, gameEnded };
       }
       
       // Update room activity timestamp
       room.lastActivity = Date.now();
       
+      return { success: true, room, gameEnded, turnAdvanced, previousHostId };
+    }
+  
+    /**
+     * Mute or unmute a player in the host's room
+     * @param {string} hostId - Socket ID of the player issuing the mute
+     * @param {string} targetId - Socket ID of the player to mute
+     * @param {boolean} muted - Whether the player should be muted
+     */
+    setPlayerMuted(hostId, targetId, muted) {
+      const found = this.getHostTarget(hostId, targetId, 'mute');
+      if (!found.success) return found;
+      
+      const { room, target } = found;
+      this.chat.setMuted(room.id, target.profileId, muted);
+      
+      return { success: true, room, target };
+    }
+  
+    /**
+     * Find the room a player hosts, for host-only actions
+     * @param {string} hostId - Socket ID of the player taking the action
+     * @param {string} action - What the host is doing, for error messages, e.g. "invite players"
+     * @returns {object} { success, room }, or an error
+     */
+    getHostedRoom(hostId, action) {
+      const roomId = this.playerToRoom.get(hostId);
+      if (!roomId) return { success: false, code: ERROR_CODES.NOT_IN_ROOM, error: 'Player not in a room' };
+      
+      const room = this.rooms.get(roomId);
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+      
+      if (room.hostId !== hostId) {
+        return { success: false, code: ERROR_CODES.NOT_HOST, error: `Only the host can ${action}` };
+      }
+      
       return { success: true, room };
     }
   
+    /**
+     * Find the room a player hosts and another human player seated in it, for host-only actions
+     * @param {string} hostId - Socket ID of the player taking the action
+     * @param {string} targetId - Socket ID of the player it is aimed at
+     * @param {string} verb - What the host is doing, for error messages, e.g. "kick"
+     * @returns {object} { success, room, target }, or an error
+     */
+    getHostTarget(hostId, targetId, verb) {
+      const found = this.getHostedRoom(hostId, `${verb} players`);
+      if (!found.success) return found;
+      
+      const { room } = found;
+      
+      if (targetId === hostId) {
+        return { success: false, code: ERROR_CODES.INVALID_TARGET, error: `You cannot ${verb} yourself` };
+      }
+      
+      const target = this.players.get(targetId);
+      if (!target || this.playerToRoom.get(targetId) !== room.id) {
+        return { success: false, code: ERROR_CODES.INVALID_TARGET, error: 'Player is not in your room' };
+      }
+      
+      if (target.isBot) {
+        return { success: false, code: ERROR_CODES.INVALID_TARGET, error: `You cannot ${verb} a practice bot` };
+      }
+      
+      return { success: true, room, target };
+    }
+  
+    /**
+     * Remove a player from the host's room, optionally banning them from coming back
+     * @param {string} hostId - Socket ID of the host
+     * @param {string} targetId - Socket ID of the player to kick
+     * @param {boolean} ban - Whether to keep the player out of the room from now on
+     */
+    kickPlayer(hostId, targetId, ban = false) {
+      const found = this.getHostTarget(hostId, targetId, 'kick');
+      if (!found.success) return found;
+      
+      const { room, target } = found;
+      
+      // Kicking someone mid-game would hand the host a forfeit win
+      if (room.status === 'in-progress') {
+        return { success: false, code: ERROR_CODES.GAME_IN_PROGRESS, error: 'Players cannot be kicked during a game' };
+      }
+      
+      if (ban && !room.bans.some(entry => entry.profileId === target.profileId)) {
+        room.bans.push({ profileId: target.profileId, name: target.name, bannedAt: Date.now() });
+      }
+      
+      const result = this.removePlayerFromRoom(targetId, room.id);
+      if (!result.success) return result;
+      
+      return { success: true, room, target, banned: ban };
+    }
+  
+    /**
+     * Hand the host role to another player in the room
+     * @param {string} hostId - Socket ID of the current host
+     * @param {string} targetId - Socket ID of the new host
+     */
+    transferHost(hostId, targetId) {
+      const found = this.getHostTarget(hostId, targetId, 'hand the room to');
+      if (!found.success) return found;
+      
+      const { room, target } = found;
+      room.hostId = targetId;
+      if (room.guestId === targetId) {
+        room.guestId = hostId;
+      }
+      room.lastActivity = Date.now();
+      
+      return { success: true, room, host: target, previousHostId: hostId };
+    }
+  
+    /**
+     * Create a one-time invite to the host's room, which gets a player past its password
+     * @param {string} hostId - Socket ID of the host
+     */
+    createInvite(hostId) {
+      const found = this.getHostedRoom(hostId, 'invite players');
+      if (!found.success) return found;
+      
+      const { room } = found;
+      const token = uuidv4();
+      room.invites = room.invites.concat(token).slice(-MAX_OPEN_INVITES);
+      room.lastActivity = Date.now();
+      
+      return { success: true, room, token };
+    }
+  
+    /**
+     * Hash a room password for storage
+     * @param {string} password - Password chosen by the host
+     * @returns {object} { salt, hash } as hex strings
+     */
+    hashRoomPassword(password) {
+      const salt = crypto.randomBytes(16).toString('hex');
+      return { salt, hash: crypto.scryptSync(password, salt, 32).toString('hex') };
+    }
+  
+    /**
+     * Check a password against the one a room was created with
+     * @param {object} room - Room data
+     * @param {string} password - Password given by the joining player
+     */
+    checkRoomPassword(room, password) {
+      const expected = Buffer.from(room.password.hash, 'hex');
+      const actual = crypto.scryptSync(password, room.password.salt, expected.length);
+      return crypto.timingSafeEqual(expected, actual);
+    }
+  
     /**
      * Remove a player from all rooms they're in
      * @param {string} socketId - Socket ID of the player
@@ -265,9 +1271,18 @@ class GameStateManager {
     /**
      * Set player's character
      * @param {string} socketId - Socket ID of the player
-     * @param {object} character - Character data
+     * @param {string} characterId - ID of a character in the server catalog
      */
-    setPlayerCharacter(socketId, character) {
+    setPlayerCharacter(socketId, characterId) {
+      // Stats and abilities always come from the catalog, never from the client
+      const character = this.characterRegistry.getCharacter(characterId);
+      if (!character) return { success: false, code: ERROR_CODES.UNKNOWN_CHARACTER, error: 'Unknown character' };
+      
+      const currentRoom = this.rooms.get(this.playerToRoom.get(socketId));
+      if (currentRoom?.settings.bannedCharacters?.includes(characterId)) {
+        return { success: false, code: ERROR_CODES.CHARACTER_BANNED, error: `${character.name} is banned in this room` };
+      }
+      
       // Update player data
       const player = this.updatePlayer(socketId, { 
         character,
@@ -275,16 +1290,18 @@ class GameStateManager {
         maxHealth: character.health,
         mana: character.mana,
         maxMana: character.mana,
+        effects: [],
+        cooldowns: {},
         isReady: false // Reset ready status when changing character
       });
-      if (!player) return { success: false, error: 'Player not found' };
+      if (!player) return { success: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
       
       // Get the room player is in
       const roomId = this.playerToRoom.get(socketId);
-      if (!roomId) return { success: false, error: 'Player not in a room' };
+      if (!roomId) return { success: false, code: ERROR_CODES.NOT_IN_ROOM, error: 'Player not in a room' };
       
       const room = this.rooms.get(roomId);
-      if (!room) return { success: false, error: 'Room not found' };
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
       
       // Update room activity timestamp
       room.lastActivity = Date.now();
@@ -292,6 +1309,49 @@ class GameStateManager {
       return { success: true, player, room };
     }
   
+    /**
+     * Set the items a player brings into their next battle
+     * @param {string} socketId - Socket ID of the player
+     * @param {Array} itemIds - IDs of items in the server catalog, repeated to bring more than one
+     */
+    setPlayerLoadout(socketId, itemIds) {
+      const roomId = this.playerToRoom.get(socketId);
+      if (!roomId) return { success: false, code: ERROR_CODES.NOT_IN_ROOM, error: 'Player not in a room' };
+      
+      const room = this.rooms.get(roomId);
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+      
+      if (room.status !== 'waiting') {
+        return { success: false, code: ERROR_CODES.ROOM_NOT_JOINABLE, error: 'Loadouts are locked once everyone is ready' };
+      }
+      
+      if (itemIds.length > LOADOUT_SIZE) {
+        return { success: false, code: ERROR_CODES.LOADOUT_INVALID, error: `A loadout holds at most ${LOADOUT_SIZE} items` };
+      }
+      
+      const loadout = {};
+      for (const itemId of itemIds) {
+        const item = this.itemRegistry.getItem(itemId);
+        if (!item) return { success: false, code: ERROR_CODES.UNKNOWN_ITEM, error: 'Unknown item' };
+      
+        loadout[itemId] = (loadout[itemId] || 0) + 1;
+        if (loadout[itemId] > item.maxPerLoadout) {
+          return {
+            success: false,
+            code: ERROR_CODES.LOADOUT_INVALID,
+            error: `${item.name} is limited to ${item.maxPerLoadout} per loadout`
+          };
+        }
+      }
+      
+      const player = this.updatePlayer(socketId, { loadout, isReady: false }); // Ready again with the new loadout
+      if (!player) return { success: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
+      
+      room.lastActivity = Date.now();
+      
+      return { success: true, player, room, loadout };
+    }
+  
     /**
      * Set player's ready status
      * @param {string} socketId - Socket ID of the player
@@ -300,22 +1360,24 @@ class GameStateManager {
     setPlayerReady(socketId, isReady) {
       // Update player data
       const player = this.updatePlayer(socketId, { isReady });
-      if (!player) return { success: false, error: 'Player not found' };
+      if (!player) return { success: false, code: ERROR_CODES.PLAYER_NOT_FOUND, error: 'Player not found' };
       
       // Get the room player is in
       const roomId = this.playerToRoom.get(socketId);
-      if (!roomId) return { success: false, error: 'Player not in a room' };
+      if (!roomId) return { success: false, code: ERROR_CODES.NOT_IN_ROOM, error: 'Player not in a room' };
       
       const room = this.rooms.get(roomId);
-      if (!room) return { success: false, error: 'Room not found' };
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
       
       // Check if all players are ready
-      const allReady = room.players.length === 2 && 
+      const allReady = !this.getStartProblem(room) &&
                       room.players.every(id => this.players.get(id).isReady);
       
-      // Update room status if all ready
+      // Update room status if all ready, and back again if someone changes their mind before the start
       if (allReady && room.status === 'waiting') {
         room.status = 'ready';
+      } else if (!allReady && room.status === 'ready') {
+        room.status = 'waiting';
       }
       
       // Update room activity timestamp
@@ -327,31 +1389,100 @@ class GameStateManager {
     /**
      * Start a game
      * @param {string} roomId - Room ID
+     * @param {object} options - Start options
+     * @param {string|number|null} options.seed - Seed for combat rolls, random by default; null resolves every
+     * roll at its fixed value, as games did before combat randomness
      */
-    startGame(roomId) {
+    startGame(roomId, options = {}) {
       const room = this.rooms.get(roomId);
-      if (!room) return { success: false, error: 'Room not found' };
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
       
       // Verify room is in a state to start
       if (room.status !== 'ready') {
-        return { success: false, error: 'Not all players are ready' };
+        return { success: false, code: ERROR_CODES.PLAYERS_NOT_READY, error: 'Not all players are ready' };
       }
       
-      if (room.players.length !== 2) {
-        return { success: false, error: 'Need exactly 2 players to start' };
+      const problem = this.getStartProblem(room);
+      if (problem) {
+        return { success: false, code: ERROR_CODES.PLAYERS_NOT_READY, error: problem };
       }
       
       // Set initial game state
+      const seed = options.seed !== undefined ? options.seed : createSeed();
       room.status = 'in-progress';
       room.gameData = {
         turnCount: 1,
-        currentTurn: room.hostId, // Host goes first
-        battleLog: ['Battle started!', `${this.players.get(room.hostId).name} goes first!`],
+        currentTurn: null, // Picked by the room's rules below
+        turnDeadline: this.getTurnDeadline(room),
+        battleLog: ['Battle started!'],
         startTime: Date.now(),
         endTime: null,
-        winner: null
+        winner: null,
+        winners: [],
+        winningTeam: null,
+        endReason: null,
+        matchId: null,
+        ratingChanges: null,
+        // Combat roll generator; kept from players while the game runs so they can't predict rolls
+        rng: seed === null ? null : createGenerator(seed),
+        // Snapshot of who played, so the match can be recorded even after someone leaves
+        participants: room.players.map(id => {
+          const player = this.players.get(id);
+          return {
+            playerId: id,
+            profileId: player.profileId,
+            isGuest: player.isGuest,
+            isBot: player.isBot,
+            name: player.name,
+            characterId: player.character.id,
+            team: room.settings.mode === 'teams' ? room.teams[id] : null,
+            eliminated: false
+          };
+        })
       };
       
+      // Everyone starts fresh, with the health and mana the room's rules give them
+      room.players.forEach(id => {
+        const player = this.players.get(id);
+        player.maxHealth = Math.round(player.character.health * room.settings.healthMultiplier);
+        player.health = player.maxHealth;
+        player.maxMana = Math.round(player.character.mana * room.settings.manaMultiplier);
+        player.mana = player.maxMana;
+        player.consecutiveTimeouts = 0;
+        player.effects = [];
+        player.cooldowns = {};
+        player.items = { ...player.loadout };
+      });
+      
+      room.gameData.currentTurn = this.chooseFirstPlayer(room);
+      room.gameData.battleLog.push(`${this.players.get(room.gameData.currentTurn).name} goes first!`);
+      
+      // Start the replay with everything needed to re-simulate the battle
+      this.replays.set(room.id, []);
+      this.recordEvent(room, 'game_start', {
+        settings: { ...room.settings },
+        seed,
+        hostSeat: this.getSeat(room, room.hostId),
+        firstSeat: this.getSeat(room, room.gameData.currentTurn),
+        players: room.gameData.participants.map(participant => {
+          const player = this.players.get(participant.playerId);
+          return {
+            seat: this.getSeat(room, participant.playerId),
+            profileId: participant.profileId,
+            name: participant.name,
+            team: participant.team,
+            character: JSON.parse(JSON.stringify(player.character)),
+            loadout: { ...player.loadout }
+          };
+        }),
+        // The items as they were when the game was played, like the characters
+        items: Array.from(new Set(room.players.flatMap(id => Object.keys(this.players.get(id).loadout))))
+          .map(itemId => this.itemRegistry.getItem(itemId))
+          .filter(Boolean),
+        state: this.snapshotPlayers(room)
+      });
+      this.metrics.recordGameStarted();
+      
       // Update room activity timestamp
       room.lastActivity = Date.now();
       
@@ -359,128 +1490,1105 @@ class GameStateManager {
     }
   
     /**
-     * Process a game action
-     * @param {string} socketId - Socket ID of the acting player
-     * @param {object} action - Action data
+     * Pick who takes the first turn, as the room's rules say. Draws come from the game's combat roll
+     * generator, so a replay picks the same player
+     * @param {object} room - Room data, with its game just started
+     * @returns {string} Socket ID of the first player
      */
-    processGameAction(socketId, action) {
-      // Get the room the player is in
-      const roomId = this.playerToRoom.get(socketId);
-      if (!roomId) return { success: false, error: 'Player not in a room' };
+    chooseFirstPlayer(room) {
+      const roll = () => (room.gameData.rng ? this.rollRandom(room) : Math.random());
       
-      const room = this.rooms.get(roomId);
-      if (!room) return { success: false, error: 'Room not found' };
+      switch (room.settings.firstTurn) {
+        case 'random':
+          return room.players[Math.floor(roll() * room.players.length)];
+        case 'coin_flip': {
+          // Heads the host's side starts, tails the other side's first seat
+          const heads = roll() < 0.5;
+          room.gameData.battleLog.push(`The coin lands ${heads ? 'heads' : 'tails'}!`);
+          return heads ? room.hostId : room.players.find(id => !this.areAllies(room, room.hostId, id));
+        }
+        default:
+          return room.hostId;
+      }
+    }
+  
+    /**
+     * Get a player's seat (their index in the game's participants), which stays stable across reconnects
+     * @param {object} room - Room data
+     * @param {string} playerId - Socket ID of the player
+     */
+    getSeat(room, playerId) {
+      return (room.gameData.participants || []).findIndex(participant => participant.playerId === playerId);
+    }
+  
+    /**
+     * Count the players on a team
+     * @param {object} room - Room data
+     * @param {number} team - Team index
+     */
+    getTeamSize(room, team) {
+      return Object.values(room.teams).filter(member => member === team).length;
+    }
+  
+    /**
+     * Explain why a room's game can't start yet with the players it has
+     * @param {object} room - Room data
+     * @returns {string|null} The problem, or null if the game can start
+     */
+    getStartProblem(room) {
+      const mode = ROOM_MODES[room.settings.mode];
       
-      // Verify game is in progress
-      if (room.status !== 'in-progress') {
-        return { success: false, error: 'Game is not in progress' };
+      if (room.players.length < mode.minPlayers) {
+        return `Need at least ${mode.minPlayers} players to start`;
       }
       
-      // Verify it's the player's turn
-      if (room.gameData.currentTurn !== socketId) {
-        return { success: false, error: 'Not your turn' };
+      if (mode.teamCount) {
+        for (let team = 0; team < mode.teamCount; team++) {
+          if (this.getTeamSize(room, team) !== mode.teamSize) {
+            return `Each team needs ${mode.teamSize} players`;
+          }
+        }
       }
       
-      // Get both players
-      const actingPlayer = this.players.get(socketId);
-      const targetPlayer = this.players.get(
-        socketId === room.hostId ? room.guestId : room.hostId
-      );
+      // The rules may have changed since someone picked their character
+      const banned = room.players
+        .map(id => this.players.get(id)?.character)
+        .find(character => character && room.settings.bannedCharacters?.includes(character.id));
+      if (banned) {
+        return `${banned.name} is banned in this room`;
+      }
+      
+      return null;
+    }
+  
+    /**
+     * Move a player to another team in a team room
+     * @param {string} socketId - Socket ID of the player
+     * @param {number} team - Team index
+     */
+    setPlayerTeam(socketId, team) {
+      const roomId = this.playerToRoom.get(socketId);
+      if (!roomId) return { success: false, code: ERROR_CODES.NOT_IN_ROOM, error: 'Player not in a room' };
+      
+      const room = this.rooms.get(roomId);
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
       
-      if (!actingPlayer || !targetPlayer) {
-        return { success: false, error: 'Player data missing' };
+      const mode = ROOM_MODES[room.settings.mode];
+      if (!mode.teamCount) {
+        return { success: false, code: ERROR_CODES.NOT_TEAM_ROOM, error: 'This room has no teams' };
       }
       
-      // Process the action based on type
-      let result = {};
-      switch (action.type) {
-        case 'ability':
-          result = this.processAbilityUse(actingPlayer, targetPlayer, action, room);
-          break;
-        case 'surrender':
-          result = this.processSurrender(actingPlayer, targetPlayer, room);
-          break;
-        default:
-          return { success: false, error: 'Unknown action type' };
+      if (room.status !== 'waiting') {
+        return { success: false, code: ERROR_CODES.ROOM_NOT_JOINABLE, error: 'Teams are locked once everyone is ready' };
       }
       
-      // Check for game over
-      if (actingPlayer.health <= 0 || targetPlayer.health <= 0) {
-        const winner = actingPlayer.health <= 0 ? targetPlayer.id : actingPlayer.id;
-        room.status = 'completed';
-        room.gameData.endTime = Date.now();
-        room.gameData.winner = winner;
-        
-        // Add game over message to battle log
-        const winnerName = this.players.get(winner).name;
-        room.gameData.battleLog.push(`${winnerName} wins the battle!`);
-        
-        result.gameOver = true;
-        result.winner = winner;
-      } else {
-        // Advance to next turn if game not over
-        room.gameData.currentTurn = room.gameData.currentTurn === room.hostId ? room.guestId : room.hostId;
-        room.gameData.turnCount++;
-        
-        // Add turn change message to battle log
-        const nextPlayerName = this.players.get(room.gameData.currentTurn).name;
-        room.gameData.battleLog.push(`${nextPlayerName}'s turn!`);
+      if (!Number.isInteger(team) || team < 0 || team >= mode.teamCount) {
+        return { success: false, code: ERROR_CODES.INVALID_TARGET, error: 'No such team' };
       }
       
-      // Update room activity timestamp
+      if (room.teams[socketId] !== team && this.getTeamSize(room, team) >= mode.teamSize) {
+        return { success: false, code: ERROR_CODES.TEAM_FULL, error: 'That team is full' };
+      }
+      
+      room.teams[socketId] = team;
+      const player = this.updatePlayer(socketId, { isReady: false }); // Ready again on the new side
       room.lastActivity = Date.now();
       
-      return { success: true, ...result, room };
+      return { success: true, room, player, team };
     }
   
     /**
-     * Process an ability use action
-     * @param {object} actingPlayer - Player using the ability
-     * @param {object} targetPlayer - Target player
-     * @param {object} action - Action data
+     * Check whether two players are on the same side; in modes without teams that is only themselves
      * @param {object} room - Room data
+     * @param {string} playerId - Socket ID of one player
+     * @param {string} otherId - Socket ID of the other player
      */
-    processAbilityUse(actingPlayer, targetPlayer, action, room) {
-      // Verify player has this ability
-      const ability = actingPlayer.character?.abilities.find(a => a.id === action.abilityId);
-      if (!ability) {
-        return { success: false, error: 'Ability not found' };
-      }
+    areAllies(room, playerId, otherId) {
+      if (playerId === otherId) return true;
+      if (room.settings.mode !== 'teams') return false;
       
-      // Check mana cost
-      if (actingPlayer.mana < ability.manaCost) {
-        return { success: false, error: 'Not enough mana' };
-      }
+      const team = id => room.gameData.participants?.find(participant => participant.playerId === id)?.team ?? room.teams[id];
+      return team(playerId) === team(otherId);
+    }
+  
+    /**
+     * Get the participants still in the fight
+     * @param {object} room - Room data
+     */
+    getLivingParticipants(room) {
+      return room.gameData.participants.filter(participant => (
+        !participant.eliminated && room.players.includes(participant.playerId)
+      ));
+    }
+  
+    /**
+     * Take a player out of the fight
+     * @param {object} room - Room data
+     * @param {string} playerId - Socket ID of the player
+     * @param {string} reason - knockout, surrender, timeout or abandoned
+     * @returns {boolean} Whether the player was still in the fight
+     */
+    eliminatePlayer(room, playerId, reason) {
+      const participant = room.gameData.participants.find(entry => entry.playerId === playerId);
+      if (!participant || participant.eliminated) return false;
+      
+      participant.eliminated = true;
+      participant.eliminatedOnTurn = room.gameData.turnCount;
+      
+      room.gameData.battleLog.push(`${participant.name} has been eliminated!`);
+      this.recordEvent(room, 'elimination', { seat: this.getSeat(room, playerId), reason });
+      return true;
+    }
+  
+    /**
+     * Eliminate every participant whose health has run out
+     * @param {object} room - Room data
+     * @param {string} reason - How they were defeated
+     * @returns {Array} Socket IDs of the players eliminated
+     */
+    eliminateDefeated(room, reason) {
+      return this.getLivingParticipants(room)
+        .filter(participant => (this.players.get(participant.playerId)?.health || 0) <= 0)
+        .filter(participant => this.eliminatePlayer(room, participant.playerId, reason))
+        .map(participant => participant.playerId);
+    }
+  
+    /**
+     * Name the side a participant fights for: their team in team rooms, otherwise just themselves
+     * @param {object} room - Room data
+     * @param {object} participant - Entry from the game's participants
+     */
+    getSide(room, participant) {
+      return room.settings.mode === 'teams' ? `team:${participant.team}` : participant.playerId;
+    }
+  
+    /**
+     * Work out whether the fight is over, i.e. at most one side still has someone standing
+     * @param {object} room - Room data
+     * @returns {object|null} { winnerId } with a surviving player of the winning side (null if nobody
+     * survived), or null while the fight goes on
+     */
+    getVictory(room) {
+      const living = this.getLivingParticipants(room);
+      const sides = new Set(living.map(participant => this.getSide(room, participant)));
+      
+      if (sides.size > 1) return null;
+      return { winnerId: living.length > 0 ? living[0].playerId : null };
+    }
+  
+    /**
+     * Find who acts after the current player: the next participant in seat order still in the fight
+     * @param {object} room - Room data
+     */
+    getNextTurnPlayerId(room) {
+      const participants = room.gameData.participants;
+      const seat = this.getSeat(room, room.gameData.currentTurn);
+      
+      for (let offset = 1; offset <= participants.length; offset++) {
+        const next = participants[(seat + offset) % participants.length];
+        if (!next.eliminated && room.players.includes(next.playerId)) {
+          return next.playerId;
+        }
+      }
+      return room.gameData.currentTurn;
+    }
+  
+    /**
+     * Work out who an ability may be aimed at: anything that hurts needs an enemy, friendly effects
+     * can go to an ally, and everything else only affects the user
+     * @param {object} ability - Ability definition
+     * @returns {string} enemy, ally or self
+     */
+    getAbilityTargeting(ability) {
+      const effects = ability.effects || [];
+      if (ability.damage > 0 || effects.some(effect => effect.target === 'enemy')) return 'enemy';
+      if (effects.some(effect => effect.target === 'ally')) return 'ally';
+      return 'self';
+    }
+  
+    /**
+     * Resolve and check the target of an action
+     * @param {object} room - Room data
+     * @param {object} actingPlayer - Player taking the action
+     * @param {string} targeting - enemy, ally or self
+     * @param {string} targetId - Socket ID the client aimed at, if any
+     * @returns {object} { success, target } or { success: false, code, error }
+     */
+    resolveTarget(room, actingPlayer, targeting, targetId) {
+      const living = this.getLivingParticipants(room).map(participant => participant.playerId);
+      
+      if (targeting === 'self') {
+        if (targetId && targetId !== actingPlayer.id) {
+          return { success: false, code: ERROR_CODES.INVALID_TARGET, error: 'This can only be used on yourself' };
+        }
+        return { success: true, target: actingPlayer };
+      }
+      
+      if (!targetId) {
+        // Friendly effects default to the user; attacks only need aiming when there is a choice
+        if (targeting === 'ally') return { success: true, target: actingPlayer };
+        
+        const enemies = living.filter(id => !this.areAllies(room, actingPlayer.id, id));
+        if (enemies.length !== 1) {
+          return { success: false, code: ERROR_CODES.INVALID_TARGET, error: 'Choose a target' };
+        }
+        targetId = enemies[0];
+      }
+      
+      if (!living.includes(targetId)) {
+        return { success: false, code: ERROR_CODES.INVALID_TARGET, error: 'Target is not in the fight' };
+      }
+      
+      const allied = this.areAllies(room, actingPlayer.id, targetId);
+      if (targeting === 'enemy' && allied) {
+        const error = targetId === actingPlayer.id ? 'You cannot attack yourself' : 'You cannot attack an ally';
+        return { success: false, code: ERROR_CODES.INVALID_TARGET, error };
+      }
+      if (targeting === 'ally' && !allied) {
+        return { success: false, code: ERROR_CODES.INVALID_TARGET, error: 'This can only be used on yourself or an ally' };
+      }
+      
+      return { success: true, target: this.players.get(targetId) };
+    }
+  
+    /**
+     * Append an event to the current game's replay
+     * @param {object} room - Room data
+     * @param {string} type - Event type
+     * @param {object} data - Event data
+     */
+    recordEvent(room, type, data = {}) {
+      const events = this.replays.get(room.id);
+      if (!events) return;
+      
+      events.push({
+        seq: events.length,
+        type,
+        timestamp: Date.now(),
+        turnCount: room.gameData.turnCount,
+        ...data
+      });
+    }
+  
+    /**
+     * Capture the combat state of every seat
+     * @param {object} room - Room data
+     */
+    snapshotPlayers(room) {
+      return room.gameData.participants.map(participant => {
+        const player = this.players.get(participant.playerId);
+        if (!player) return null;
+        
+        return {
+          health: player.health,
+          mana: player.mana,
+          effects: player.effects.map(effect => ({
+            type: effect.type,
+            duration: effect.duration,
+            magnitude: effect.magnitude
+          })),
+          cooldowns: { ...player.cooldowns }
+        };
+      });
+    }
+  
+    /**
+     * Process a game action
+     * @param {string} socketId - Socket ID of the acting player
+     * @param {object} action - Action data
+     */
+    processGameAction(socketId, action) {
+      // Get the room the player is in
+      const roomId = this.playerToRoom.get(socketId);
+      if (!roomId) return { success: false, code: ERROR_CODES.NOT_IN_ROOM, error: 'Player not in a room' };
+      
+      const room = this.rooms.get(roomId);
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+      
+      // Verify game is in progress
+      if (room.status !== 'in-progress') {
+        return { success: false, code: ERROR_CODES.GAME_NOT_IN_PROGRESS, error: 'Game is not in progress' };
+      }
+      
+      // Verify it's the player's turn
+      if (room.gameData.currentTurn !== socketId) {
+        return { success: false, code: ERROR_CODES.NOT_YOUR_TURN, error: 'Not your turn' };
+      }
+      
+      const actingPlayer = this.players.get(socketId);
+      if (!actingPlayer) {
+        return { success: false, code: ERROR_CODES.STATE_ERROR, error: 'Player data missing' };
+      }
+      
+      // Remember where this action's log entries start, and the state before it
+      const logStart = room.gameData.battleLog.length;
+      const stateBefore = this.snapshotPlayers(room);
+      
+      // Process the action based on type; only abilities are aimed at someone
+      let result = {};
+      switch (action.type) {
+        case 'ability':
+          result = this.processAbilityUse(actingPlayer, action, room);
+          break;
+        case 'defend':
+          result = this.processDefend(actingPlayer, room);
+          break;
+        case 'item':
+          result = this.processItemUse(actingPlayer, action, room);
+          break;
+        case 'pass':
+          result = this.processPass(actingPlayer, room);
+          break;
+        case 'surrender':
+          result = this.processSurrender(actingPlayer, room);
+          break;
+        default:
+          return { success: false, code: ERROR_CODES.UNKNOWN_ACTION, error: 'Unknown action type' };
+      }
+      
+      // Rejected actions leave the turn with the player
+      if (!result.success) {
+        return result;
+      }
+      
+      // Acting in time resets the player's timeout streak
+      actingPlayer.consecutiveTimeouts = 0;
+      
+      const stateAfter = this.snapshotPlayers(room);
+      this.recordEvent(room, 'action', {
+        seat: this.getSeat(room, socketId),
+        action: {
+          type: action.type,
+          abilityId: action.abilityId,
+          itemId: action.itemId,
+          targetSeat: result.targetPlayer ? this.getSeat(room, result.targetPlayer.id) : undefined
+        },
+        outcome: result.outcome,
+        // Seats whose player has left have no state
+        deltas: stateAfter.map((after, seat) => (after && stateBefore[seat] ? {
+          health: after.health - stateBefore[seat].health,
+          mana: after.mana - stateBefore[seat].mana
+        } : null)),
+        state: stateAfter
+      });
+      
+      // Knocked-out players drop out; the game ends once one side is left standing
+      const reason = result.surrender ? 'surrender' : 'knockout';
+      result.eliminated = this.eliminateDefeated(room, reason);
+      
+      const victory = this.getVictory(room);
+      if (victory) {
+        this.endGame(room, victory.winnerId, reason);
+      } else {
+        // Advance to next turn if game not over; turn-start effects can still end it
+        this.advanceTurn(room);
+      }
+      
+      if (room.status === 'completed') {
+        result.gameOver = true;
+        result.winner = room.gameData.winner;
+      }
+      
+      // Update room activity timestamp
+      room.lastActivity = Date.now();
+      
+      return {
+        success: true,
+        ...result,
+        logEntries: room.gameData.battleLog.slice(logStart),
+        room
+      };
+    }
+  
+    /**
+     * Hand the turn to the next player still in the fight, running end-of-turn and start-of-turn effects
+     * @param {object} room - Room data
+     */
+    advanceTurn(room) {
+      this.endTurn(room, this.players.get(room.gameData.currentTurn));
+      
+      // Stunned players lose their turn, so keep passing until someone can act
+      let skipped = true;
+      while (skipped && room.status === 'in-progress') {
+        // A skipped turn still counts towards the room's turn limit
+        if (room.settings.maxTurns > 0 && room.gameData.turnCount >= room.settings.maxTurns) {
+          this.endGameOnTurnLimit(room);
+          return;
+        }
+        
+        room.gameData.currentTurn = this.getNextTurnPlayerId(room);
+        room.gameData.turnCount++;
+        room.gameData.turnDeadline = this.getTurnDeadline(room);
+        
+        // Add turn change message to battle log
+        const nextPlayer = this.players.get(room.gameData.currentTurn);
+        room.gameData.battleLog.push(`${nextPlayer.name}'s turn!`);
+        
+        skipped = this.startTurn(room, nextPlayer);
+        
+        this.recordEvent(room, 'turn_start', {
+          seat: this.getSeat(room, nextPlayer.id),
+          skipped,
+          state: this.snapshotPlayers(room)
+        });
+      }
+    }
+  
+    /**
+     * End a game that has played all the turns its room allows: the side with the largest share of its
+     * health left wins, and an even split is a draw
+     * @param {object} room - Room data
+     */
+    endGameOnTurnLimit(room) {
+      const sides = new Map(); // side -> { playerId, health, maxHealth }
+      this.getLivingParticipants(room).forEach(participant => {
+        const player = this.players.get(participant.playerId);
+        const key = this.getSide(room, participant);
+        const side = sides.get(key) || { playerId: participant.playerId, health: 0, maxHealth: 0 };
+        side.health += Math.max(0, player.health);
+        side.maxHealth += player.maxHealth;
+        sides.set(key, side);
+      });
+      
+      const ranked = Array.from(sides.values())
+        .map(side => ({ ...side, share: side.maxHealth > 0 ? side.health / side.maxHealth : 0 }))
+        .sort((a, b) => b.share - a.share);
+      const leader = ranked.length === 1 || (ranked.length > 1 && ranked[0].share > ranked[1].share) ? ranked[0] : null;
+      
+      const log = room.gameData.battleLog;
+      log.push(`Turn limit of ${room.settings.maxTurns} reached! The side with the most health left wins.`);
+      if (!leader) {
+        log.push('The battle ends in a draw!');
+      }
+      this.endGame(room, leader ? leader.playerId : null, 'turn_limit');
+    }
+  
+    /**
+     * Apply start-of-turn effects: mana regeneration, damage and healing ticks, then stuns
+     * @param {object} room - Room data
+     * @param {object} player - Player whose turn is starting
+     * @returns {boolean} Whether the player loses this turn, including by being knocked out
+     */
+    startTurn(room, player) {
+      const log = room.gameData.battleLog;
+      
+      const regained = this.restoreMana(player, player.character?.manaRegen || 0);
+      if (regained > 0) {
+        log.push(`${player.name} regains ${regained} mana.`);
+      }
+      
+      player.effects.forEach(effect => {
+        const definition = getEffectType(effect.type);
+        
+        if (definition.kind === 'tick_damage') {
+          const lost = Math.min(player.health, effect.magnitude);
+          player.health -= lost;
+          log.push(`${player.name} takes ${lost} ${definition.name.toLowerCase()} damage!`);
+        } else if (definition.kind === 'tick_heal') {
+          const healed = this.healPlayer(player, effect.magnitude);
+          log.push(`${player.name} regenerates ${healed} health!`);
+        }
+      });
+      
+      if (player.health <= 0) {
+        this.eliminatePlayer(room, player.id, 'knockout');
+        
+        const victory = this.getVictory(room);
+        if (victory) {
+          this.endGame(room, victory.winnerId, 'knockout');
+          return false;
+        }
+        return true;
+      }
+      
+      if (player.effects.some(effect => effect.type === 'stun')) {
+        log.push(`${player.name} is stunned and loses their turn!`);
+        this.endTurn(room, player);
+        return true;
+      }
+      
+      return false;
+    }
+  
+    /**
+     * Apply end-of-turn effects: count down durations and expire finished effects
+     * @param {object} room - Room data
+     * @param {object} player - Player whose turn is ending
+     */
+    endTurn(room, player) {
+      if (!player) return;
+      
+      Object.keys(player.cooldowns).forEach(abilityId => {
+        player.cooldowns[abilityId]--;
+        if (player.cooldowns[abilityId] <= 0) {
+          delete player.cooldowns[abilityId];
+        }
+      });
+      
+      player.effects = player.effects.filter(effect => {
+        // Effects applied this turn only start counting down on the player's next turn
+        if (effect.appliedOnTurn === room.gameData.turnCount) return true;
+        
+        effect.duration--;
+        if (effect.duration > 0) return true;
+        
+        room.gameData.battleLog.push(`${player.name}'s ${effect.name} wore off.`);
+        return false;
+      });
+    }
+  
+    /**
+     * Draw the next number from the game's combat roll generator
+     * @param {object} room - Room data
+     * @returns {number} A number in [0, 1)
+     */
+    rollRandom(room) {
+      const { value, state } = nextRandom(room.gameData.rng);
+      room.gameData.rng.state = state;
+      return value;
+    }
+  
+    /**
+     * Get the odds an ability's attack rolls use, filling in the defaults it doesn't set
+     * @param {object} ability - Ability definition
+     * @returns {object} { accuracy, critChance, critMultiplier, damageVariance }
+     */
+    getAttackOdds(ability) {
+      return {
+        accuracy: ability.accuracy ?? DEFAULT_ACCURACY,
+        critChance: ability.critChance ?? DEFAULT_CRIT_CHANCE,
+        critMultiplier: ability.critMultiplier ?? DEFAULT_CRIT_MULTIPLIER,
+        damageVariance: ability.damageVariance ?? DEFAULT_DAMAGE_VARIANCE
+      };
+    }
+  
+    /**
+     * Roll whether an attack lands, whether it is critical and how hard it hits
+     * @param {object} room - Room data
+     * @param {object} ability - Ability being used
+     * @returns {object} { outcome, damage } where outcome is hit, miss or crit and damage is before modifiers
+     */
+    rollAttack(room, ability) {
+      // Games without a generator resolve every roll at its fixed value
+      if (!room.gameData.rng) {
+        return { outcome: 'hit', damage: ability.damage };
+      }
+      
+      const odds = this.getAttackOdds(ability);
+      if (this.rollRandom(room) * 100 >= odds.accuracy) {
+        return { outcome: 'miss', damage: 0 };
+      }
+      
+      let damage = ability.damage * (1 + ((this.rollRandom(room) * 2 - 1) * odds.damageVariance) / 100);
+      
+      const crit = this.rollRandom(room) * 100 < odds.critChance;
+      if (crit) {
+        damage *= odds.critMultiplier;
+      }
+      
+      return { outcome: crit ? 'crit' : 'hit', damage: Math.round(damage) };
+    }
+  
+    /**
+     * Apply an ability's effects to their targets
+     * @param {Array} effects - Effect definitions from the ability
+     * @param {object} actingPlayer - Player using the ability
+     * @param {object} targetPlayer - Player the ability was aimed at
+     * @param {object} room - Room data
+     */
+    applyEffects(effects = [], actingPlayer, targetPlayer, room) {
+      const log = room.gameData.battleLog;
+      
+      // Ally effects on an attack fall back to the user, since the target is an enemy
+      const ally = this.areAllies(room, actingPlayer.id, targetPlayer.id) ? targetPlayer : actingPlayer;
+      
+      return effects.map(effect => {
+        const definition = getEffectType(effect.type);
+        const recipient = { self: actingPlayer, ally, enemy: targetPlayer }[effect.target];
+        
+        if (definition.kind === 'instant_heal') {
+          const healed = this.healPlayer(recipient, effect.magnitude);
+          log.push(`${recipient.name} recovers ${healed} health!`);
+          return { type: effect.type, playerId: recipient.id, amount: healed };
+        }
+        
+        if (definition.kind === 'instant_mana') {
+          const restored = this.restoreMana(recipient, effect.magnitude);
+          log.push(`${recipient.name} recovers ${restored} mana!`);
+          return { type: effect.type, playerId: recipient.id, amount: restored };
+        }
+        
+        if (definition.kind === 'cleanse') {
+          const removed = recipient.effects.filter(existing => getEffectType(existing.type).negative);
+          recipient.effects = recipient.effects.filter(existing => !removed.includes(existing));
+          log.push(removed.length > 0
+            ? `${recipient.name} is cleansed of ${removed.map(existing => existing.name).join(', ')}!`
+            : `${recipient.name} has nothing to cleanse.`);
+          return { type: effect.type, playerId: recipient.id, removed: removed.map(existing => existing.type) };
+        }
+        
+        // Re-applying an effect refreshes it rather than stacking
+        recipient.effects = recipient.effects.filter(existing => existing.type !== effect.type);
+        recipient.effects.push({
+          type: effect.type,
+          name: definition.name,
+          duration: effect.duration,
+          magnitude: effect.magnitude || 0,
+          appliedOnTurn: room.gameData.turnCount
+        });
+        log.push(`${recipient.name} is affected by ${definition.name}!`);
+        
+        return { type: effect.type, playerId: recipient.id, duration: effect.duration };
+      });
+    }
+  
+    /**
+     * Work out the damage a hit does before shields, taking buffs, debuffs, type effectiveness and the
+     * defender's stats into account; changes nothing, so it can also be used to weigh up moves
+     * @param {object} attacker - Player dealing the damage
+     * @param {object} defender - Player receiving the damage
+     * @param {number} baseDamage - Damage before modifiers
+     * @param {string} damageType - Damage type of the ability
+     * @returns {object} { damage, effectiveness }
+     */
+    calculateDamage(attacker, defender, baseDamage, damageType = 'physical') {
+      const attackModifier = this.getEffectModifier(attacker, 'attack_modifier');
+      const defenseModifier = this.getEffectModifier(defender, 'defense_modifier');
+      
+      // Characters without the newer stats, e.g. in old replays, take damage as they always did
+      const { element, defense = 0, resistances = {} } = defender.character || {};
+      const multiplier = getEffectiveness(damageType, element);
+      const resistance = resistances[damageType] || 0;
+      
+      const damage = Math.round(baseDamage * (1 + attackModifier / 100) * (1 - defenseModifier / 100)
+        * multiplier * (1 - resistance / 100) * (100 / (100 + defense)));
+      
+      return { damage: Math.max(0, damage), effectiveness: describeEffectiveness(multiplier) };
+    }
+  
+    /**
+     * Deal damage to a player, then let their shield soak up what it can
+     * @param {object} attacker - Player dealing the damage
+     * @param {object} defender - Player receiving the damage
+     * @param {number} baseDamage - Damage before modifiers
+     * @param {object} room - Room data
+     * @param {string} damageType - Damage type of the ability
+     * @returns {object} { damage, absorbed, effectiveness }
+     */
+    applyDamage(attacker, defender, baseDamage, room, damageType = 'physical') {
+      let { damage, effectiveness } = this.calculateDamage(attacker, defender, baseDamage, damageType);
+      
+      if (effectiveness === 'super_effective') {
+        room.gameData.battleLog.push('Super effective!');
+      } else if (effectiveness === 'resisted') {
+        room.gameData.battleLog.push('Not very effective...');
+      }
+      
+      // Shields soak up damage before health does
+      let absorbed = 0;
+      const shield = defender.effects.find(effect => effect.type === 'shield');
+      if (shield && damage > 0) {
+        absorbed = Math.min(shield.magnitude, damage);
+        shield.magnitude -= absorbed;
+        damage -= absorbed;
+        room.gameData.battleLog.push(`${defender.name}'s shield absorbed ${absorbed} damage!`);
+        
+        if (shield.magnitude <= 0) {
+          defender.effects = defender.effects.filter(effect => effect !== shield);
+          room.gameData.battleLog.push(`${defender.name}'s shield broke!`);
+        }
+      }
+      
+      defender.health = Math.max(0, defender.health - damage);
+      
+      return { damage, absorbed, effectiveness };
+    }
+  
+    /**
+     * Sum the percentage modifiers of one kind on a player, capped so damage never inverts
+     * @param {object} player - Player data
+     * @param {string} kind - 'attack_modifier' or 'defense_modifier'
+     */
+    getEffectModifier(player, kind) {
+      const total = player.effects.reduce((sum, effect) => {
+        const definition = getEffectType(effect.type);
+        return definition.kind === kind ? sum + definition.sign * effect.magnitude : sum;
+      }, 0);
+      return Math.max(-90, Math.min(90, total));
+    }
+  
+    /**
+     * Restore health without exceeding the maximum
+     * @param {object} player - Player data
+     * @param {number} amount - Health to restore
+     * @returns {number} Health actually restored
+     */
+    healPlayer(player, amount) {
+      const healed = Math.max(0, Math.min(amount, player.maxHealth - player.health));
+      player.health += healed;
+      return healed;
+    }
+  
+    /**
+     * Restore mana without exceeding the maximum
+     * @param {object} player - Player data
+     * @param {number} amount - Mana to restore
+     * @returns {number} Mana actually restored
+     */
+    restoreMana(player, amount) {
+      const restored = Math.max(0, Math.min(amount, player.maxMana - player.mana));
+      player.mana += restored;
+      return restored;
+    }
+  
+    /**
+     * Get the active effects of every player in a room, for clients
+     * @param {object} room - Room data
+     */
+    getActiveEffects(room) {
+      const effects = {};
+      room.players.forEach(id => {
+        const player = this.players.get(id);
+        effects[id] = (player?.effects || []).map(effect => ({
+          type: effect.type,
+          name: effect.name,
+          duration: effect.duration,
+          magnitude: effect.magnitude
+        }));
+      });
+      return effects;
+    }
+  
+    /**
+     * Get the timestamp by which the current turn must be taken
+     * @param {object} room - Room data
+     */
+    getTurnDeadline(room) {
+      const limit = room.settings?.turnTimeLimit;
+      return limit ? Date.now() + limit * 1000 : null;
+    }
+  
+    /**
+     * Finish a game, declare the winner and record the match
+     * @param {object} room - Room data
+     * @param {string|null} winnerId - Socket ID of the winning player (any member of the winning team), or null for a draw
+     * @param {string} reason - How the game ended: knockout, surrender, timeout, abandoned, turn_limit or admin
+     */
+    endGame(room, winnerId, reason) {
+      const participants = room.gameData.participants;
+      const winners = winnerId
+        ? participants.filter(participant => this.areAllies(room, winnerId, participant.playerId))
+        : [];
+      
+      room.status = 'completed';
+      room.gameData.endTime = Date.now();
+      room.gameData.winner = winnerId;
+      room.gameData.winners = winners.map(participant => participant.playerId);
+      room.gameData.winningTeam = room.settings.mode === 'teams' && winners.length > 0 ? winners[0].team : null;
+      room.gameData.endReason = reason;
+      room.gameData.turnDeadline = null;
+      
+      // Add game over message to battle log
+      const winner = this.players.get(winnerId);
+      if (room.gameData.winningTeam !== null) {
+        room.gameData.battleLog.push(`Team ${room.gameData.winningTeam + 1} (${winners.map(entry => entry.name).join(' & ')}) wins the battle!`);
+      } else if (winner) {
+        room.gameData.battleLog.push(`${winner.name} wins the battle!`);
+      }
+      
+      this.recordEvent(room, 'game_end', {
+        winnerSeat: this.getSeat(room, winnerId),
+        reason,
+        state: this.snapshotPlayers(room)
+      });
+      
+      const match = this.playerStore.recordMatch({
+        roomId: room.id,
+        players: participants,
+        winnerProfileId: winners.length > 0 ? winners[0].profileId : null,
+        winnerProfileIds: winners.map(participant => participant.profileId),
+        rated: room.settings.mode === 'duel' && !room.isPractice, // Ratings only model one-on-one games between people
+        practice: room.isPractice === true,
+        reason,
+        startTime: room.gameData.startTime,
+        endTime: room.gameData.endTime,
+        turnCount: room.gameData.turnCount,
+        battleLog: room.gameData.battleLog,
+        replay: { version: REPLAY_VERSION, events: this.replays.get(room.id) || [] }
+      });
+      this.replays.delete(room.id);
+      room.gameData.matchId = match.id;
+      this.metrics.recordGameFinished(room);
+      
+      // Rating changes keyed by player ID, so clients can show their own "+18"
+      room.gameData.ratingChanges = {};
+      room.gameData.participants.forEach(participant => {
+        const change = match.ratingChanges[participant.profileId];
+        if (change) {
+          room.gameData.ratingChanges[participant.playerId] = { profileId: participant.profileId, ...change };
+        }
+      });
+    }
+  
+    /**
+     * End a game on an operator's say-so, e.g. when it is stuck
+     * @param {string} roomId - Room ID
+     * @param {string|null} winner - Socket ID or profile ID of the winning player, or null for a draw
+     */
+    forceEndGame(roomId, winner) {
+      const room = this.rooms.get(roomId);
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+      
+      if (room.status !== 'in-progress') {
+        return { success: false, code: ERROR_CODES.GAME_NOT_IN_PROGRESS, error: 'Game is not in progress' };
+      }
+      
+      let winnerId = null;
+      if (winner) {
+        winnerId = room.players.find(id => id === winner || this.players.get(id)?.profileId === winner);
+        if (!winnerId) {
+          return { success: false, code: ERROR_CODES.INVALID_TARGET, error: 'Winner is not playing in this room' };
+        }
+      }
+      
+      room.gameData.battleLog.push('The battle was ended by an administrator.');
+      this.endGame(room, winnerId, 'admin');
+      room.lastActivity = Date.now();
+      
+      return { success: true, room };
+    }
+  
+    /**
+     * Handle a player running out of time on their turn
+     * @param {string} roomId - Room ID
+     * @param {number} turnCount - Turn the timer was started for, to ignore stale timers
+     */
+    processTurnTimeout(roomId, turnCount) {
+      const room = this.rooms.get(roomId);
+      if (!room) return { success: false, code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Room not found' };
+      
+      if (room.status !== 'in-progress') {
+        return { success: false, code: ERROR_CODES.GAME_NOT_IN_PROGRESS, error: 'Game is not in progress' };
+      }
+      
+      if (room.gameData.turnCount !== turnCount || !room.gameData.turnDeadline) {
+        return { success: false, code: ERROR_CODES.NOT_YOUR_TURN, error: 'Turn already ended' };
+      }
+      
+      const timedOutId = room.gameData.currentTurn;
+      const player = this.players.get(timedOutId);
+      if (!player) {
+        return { success: false, code: ERROR_CODES.STATE_ERROR, error: 'Player data missing' };
+      }
+      
+      const logStart = room.gameData.battleLog.length;
+      
+      player.consecutiveTimeouts++;
+      room.gameData.battleLog.push(`${player.name} ran out of time!`);
+      this.recordEvent(room, 'turn_timeout', {
+        seat: this.getSeat(room, timedOutId),
+        consecutiveTimeouts: player.consecutiveTimeouts
+      });
+      
+      const result = {
+        success: true,
+        room,
+        playerId: timedOutId,
+        consecutiveTimeouts: player.consecutiveTimeouts,
+        maxTurnTimeouts: room.settings.maxTurnTimeouts,
+        forfeited: false
+      };
+      
+      if (player.consecutiveTimeouts >= room.settings.maxTurnTimeouts) {
+        room.gameData.battleLog.push(`${player.name} forfeits after ${player.consecutiveTimeouts} missed turns!`);
+        this.eliminatePlayer(room, timedOutId, 'timeout');
+        result.forfeited = true;
+      }
+      
+      const victory = result.forfeited ? this.getVictory(room) : null;
+      if (victory) {
+        this.endGame(room, victory.winnerId, 'timeout');
+      } else {
+        this.advanceTurn(room);
+      }
+      
+      if (room.status === 'completed') {
+        result.gameOver = true;
+        result.winner = room.gameData.winner;
+      }
+      
+      result.logEntries = room.gameData.battleLog.slice(logStart);
+      room.lastActivity = Date.now();
+      
+      return result;
+    }
+  
+    /**
+     * Process an ability use action
+     * @param {object} actingPlayer - Player using the ability
+     * @param {object} action - Action data, with the targetId it is aimed at
+     * @param {object} room - Room data
+     */
+    processAbilityUse(actingPlayer, action, room) {
+      // Verify player has this ability
+      const ability = actingPlayer.character?.abilities.find(a => a.id === action.abilityId);
+      if (!ability) {
+        return { success: false, code: ERROR_CODES.ABILITY_NOT_FOUND, error: 'Ability not found' };
+      }
+      
+      const targeting = this.getAbilityTargeting(ability);
+      const resolved = this.resolveTarget(room, actingPlayer, targeting, action.targetId);
+      if (!resolved.success) {
+        return resolved;
+      }
+      const targetPlayer = resolved.target;
+      
+      // Check cooldown
+      const cooldown = actingPlayer.cooldowns[ability.id];
+      if (cooldown > 0) {
+        return {
+          success: false,
+          code: ERROR_CODES.ABILITY_ON_COOLDOWN,
+          error: `${ability.name} is on cooldown for ${cooldown} more turn${cooldown === 1 ? '' : 's'}`
+        };
+      }
+      
+      // Check mana cost
+      if (actingPlayer.mana < ability.manaCost) {
+        return { success: false, code: ERROR_CODES.NOT_ENOUGH_MANA, error: 'Not enough mana' };
+      }
       
       // Apply mana cost
       actingPlayer.mana = Math.max(0, actingPlayer.mana - ability.manaCost);
       
-      // Calculate damage
-      let damage = ability.damage;
-      
-      // Apply damage to target
-      targetPlayer.health = Math.max(0, targetPlayer.health - damage);
+      // Start the cooldown; the extra turn covers the end of the current one
+      if (ability.cooldown > 0) {
+        actingPlayer.cooldowns[ability.id] = ability.cooldown + 1;
+      }
       
       // Add to battle log
       room.gameData.battleLog.push(`${actingPlayer.name} used ${ability.name}!`);
-      room.gameData.battleLog.push(`${targetPlayer.name} took ${damage} damage!`);
+      
+      // Only abilities aimed at an enemy can miss; friendly ones always land
+      const roll = targeting === 'enemy' ? this.rollAttack(room, ability) : { outcome: 'hit', damage: 0 };
+      
+      // Apply damage to target
+      let damage = 0;
+      let absorbed = 0;
+      let effectiveness = null;
+      if (roll.outcome === 'miss') {
+        room.gameData.battleLog.push(`${ability.name} missed ${targetPlayer.name}!`);
+      } else if (ability.damage > 0) {
+        if (roll.outcome === 'crit') {
+          room.gameData.battleLog.push('Critical hit!');
+        }
+        ({ damage, absorbed, effectiveness } = this.applyDamage(actingPlayer, targetPlayer, roll.damage, room, ability.damageType));
+        room.gameData.battleLog.push(`${targetPlayer.name} took ${damage} damage!`);
+        
+        // One-shot boosts are spent on the hit they strengthened
+        actingPlayer.effects = actingPlayer.effects.filter(effect => {
+          if (!getEffectType(effect.type).consumedOnAttack) return true;
+          room.gameData.battleLog.push(`${actingPlayer.name}'s ${effect.name} is spent.`);
+          return false;
+        });
+      }
+      
+      // Apply any effects the ability carries; a miss still grants the user its own effects
+      const abilityEffects = roll.outcome === 'miss'
+        ? (ability.effects || []).filter(effect => effect.target !== 'enemy')
+        : ability.effects;
+      const effects = this.applyEffects(abilityEffects, actingPlayer, targetPlayer, room);
       
       return { 
         success: true, 
         ability, 
+        outcome: roll.outcome,
+        effectiveness,
         damage,
+        absorbed,
+        effects,
         actingPlayer,
         targetPlayer
       };
     }
   
+    /**
+     * Process an item action: use up one of the player's items on themselves
+     * @param {object} actingPlayer - Player using the item
+     * @param {object} action - Action data with itemId
+     * @param {object} room - Room data
+     */
+    processItemUse(actingPlayer, action, room) {
+      if (!(actingPlayer.items?.[action.itemId] > 0)) {
+        return { success: false, code: ERROR_CODES.ITEM_NOT_AVAILABLE, error: 'You have none of that item left' };
+      }
+      
+      const item = this.itemRegistry.getItem(action.itemId);
+      if (!item) {
+        return { success: false, code: ERROR_CODES.UNKNOWN_ITEM, error: 'Unknown item' };
+      }
+      
+      actingPlayer.items[item.id]--;
+      room.gameData.battleLog.push(`${actingPlayer.name} used ${item.name}!`);
+      
+      const effects = this.applyEffects(item.effects, actingPlayer, actingPlayer, room);
+      
+      return {
+        success: true,
+        item,
+        itemsLeft: actingPlayer.items[item.id],
+        effects,
+        actingPlayer
+      };
+    }
+  
+    /**
+     * Process a defend action: brace for reduced damage until the player's next turn
+     * @param {object} actingPlayer - Player defending
+     * @param {object} room - Room data
+     */
+    processDefend(actingPlayer, room) {
+      room.gameData.battleLog.push(`${actingPlayer.name} takes a defensive stance!`);
+      
+      actingPlayer.effects = actingPlayer.effects.filter(effect => effect.type !== 'guard');
+      actingPlayer.effects.push({
+        type: 'guard',
+        name: getEffectType('guard').name,
+        duration: 1,
+        magnitude: DEFEND_DAMAGE_REDUCTION,
+        appliedOnTurn: room.gameData.turnCount
+      });
+      
+      return {
+        success: true,
+        defend: true,
+        actingPlayer
+      };
+    }
+  
+    /**
+     * Process a pass action: skip the turn to recover mana
+     * @param {object} actingPlayer - Player passing
+     * @param {object} room - Room data
+     */
+    processPass(actingPlayer, room) {
+      const manaRestored = this.restoreMana(actingPlayer, Math.ceil(actingPlayer.maxMana * PASS_MANA_RESTORE));
+      room.gameData.battleLog.push(`${actingPlayer.name} passes and recovers ${manaRestored} mana.`);
+      
+      return {
+        success: true,
+        pass: true,
+        manaRestored,
+        actingPlayer
+      };
+    }
+  
     /**
      * Process a surrender action
      * @param {object} actingPlayer - Player surrendering
-     * @param {object} targetPlayer - Opponent player
      * @param {object} room - Room data
      */
-    processSurrender(actingPlayer, targetPlayer, room) {
+    processSurrender(actingPlayer, room) {
       // Set surrendering player's health to 0
       actingPlayer.health = 0;
       
@@ -490,39 +2598,104 @@ class GameStateManager {
       return { 
         success: true,
         surrender: true,
-        actingPlayer,
-        targetPlayer
+        actingPlayer
       };
     }
   
+    /**
+     * Delete a room along with every player's and spectator's binding to it
+     * @param {string} roomId - Room ID
+     * @returns {object|null} The closed room, or null if it did not exist
+     */
+    closeRoom(roomId) {
+      const room = this.rooms.get(roomId);
+      if (!room) return null;
+      
+      room.players.forEach(playerId => {
+        if (this.playerToRoom.get(playerId) === roomId) {
+          this.playerToRoom.delete(playerId);
+        }
+        
+        // Bots only exist for the room they were made for
+        if (this.players.get(playerId)?.isBot) {
+          this.players.delete(playerId);
+        }
+      });
+      room.spectators.forEach(spectatorId => {
+        this.spectatorToRoom.delete(spectatorId);
+      });
+      
+      this.replays.delete(roomId);
+      this.chat.clearRoom(roomId);
+      this.rooms.delete(roomId);
+      return room;
+    }
+  
+    /**
+     * Work out when a room will be closed, either for inactivity or because its game finished a while ago
+     * @param {object} room - Room data
+     * @param {number} roomTimeout - Milliseconds of inactivity after which a room is closed
+     * @param {number} completedRetention - Milliseconds a finished game's room is kept around
+     * @returns {object} { expiresAt, reason }
+     */
+    getRoomExpiry(room, roomTimeout, completedRetention) {
+      const inactiveAt = room.lastActivity + roomTimeout;
+      
+      if (room.status === 'completed' && room.gameData.endTime) {
+        const purgeAt = room.gameData.endTime + completedRetention;
+        if (purgeAt < inactiveAt) {
+          return { expiresAt: purgeAt, reason: 'completed' };
+        }
+      }
+      
+      return { expiresAt: inactiveAt, reason: 'inactive' };
+    }
+  
     /**
      * Clean up inactive rooms and players
-     * @param {number} roomTimeout - Milliseconds after which to close inactive rooms
-     * @param {number} playerTimeout - Milliseconds after which to remove inactive players
+     * @param {object} options - Lifecycle settings
+     * @param {number} options.roomTimeout - Milliseconds after which to close inactive rooms
+     * @param {number} options.playerTimeout - Milliseconds after which to remove inactive players
+     * @param {number} options.warningPeriod - Milliseconds before closing a room at which to warn it
+     * @param {number} options.completedRetention - Milliseconds to keep rooms whose game has finished
+     * @param {Function} options.isConnected - Whether a player still has a live connection, which keeps them registered
+     * @returns {object} { expiring: [{ room, expiresAt, reason }], closed: [{ room, reason }], removedPlayers }
      */
-    cleanupInactive(roomTimeout = 30 * 60 * 1000, playerTimeout = 60 * 60 * 1000) {
+    cleanupInactive(options = {}) {
+      const {
+        roomTimeout = 30 * 60 * 1000,
+        playerTimeout = 60 * 60 * 1000,
+        warningPeriod = 0,
+        completedRetention = roomTimeout,
+        isConnected = () => false
+      } = options;
       const now = Date.now();
+      const expiring = [];
+      const closed = [];
       
-      // Clean up inactive rooms
-      this.rooms.forEach((room, roomId) => {
-        if (now - room.lastActivity > roomTimeout) {
-          // Notify all players in the room
-          room.players.forEach(playerId => {
-            this.playerToRoom.delete(playerId);
-          });
-          
-          // Delete the room
-          this.rooms.delete(roomId);
+      // Close expired rooms, and warn the ones about to expire once per expiry time
+      Array.from(this.rooms.values()).forEach(room => {
+        const { expiresAt, reason } = this.getRoomExpiry(room, roomTimeout, completedRetention);
+        
+        if (now >= expiresAt) {
+          this.closeRoom(room.id);
+          closed.push({ room, reason });
+        } else if (now >= expiresAt - warningPeriod && room.expiryWarningFor !== expiresAt) {
+          room.expiryWarningFor = expiresAt;
+          expiring.push({ room, expiresAt, reason });
         }
       });
       
-      // Clean up inactive players
-      this.players.forEach((player, playerId) => {
-        if (now - player.lastActive > playerTimeout && !this.playerToRoom.has(playerId)) {
-          // Only remove players who aren't in a room
-          this.players.delete(playerId);
+      // Only remove players who aren't in a room and have nobody connected behind them
+      const removedPlayers = [];
+      Array.from(this.players.values()).forEach(player => {
+        if (now - player.lastActive > playerTimeout && !this.playerToRoom.has(player.id) && !isConnected(player.id)) {
+          this.unregisterPlayer(player.id);
+          removedPlayers.push(player.id);
         }
       });
+      
+      return { expiring, closed, removedPlayers };
     }
   }
   
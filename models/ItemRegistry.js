@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { validateEffect } = require('./StatusEffects');
+
+const DEFAULT_ITEMS_FILE = path.join(__dirname, '..', 'data', 'items.json');
+
+/**
+ * ItemRegistry - Server-side catalog of consumable items players can bring into battle
+ */
+class ItemRegistry {
+  /**
+   * @param {string} filePath - Path to the items data file
+   */
+  constructor(filePath = process.env.ITEMS_FILE || DEFAULT_ITEMS_FILE) {
+    this.filePath = filePath;
+    this.items = new Map(); // itemId -> item definition
+    this.load();
+  }
+
+  /**
+   * Load (or reload) the catalog from the data file
+   */
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    const items = new Map();
+
+    (raw.items || []).forEach(item => {
+      this.validateItem(item);
+      if (items.has(item.id)) {
+        throw new Error(`Duplicate item id "${item.id}" in ${this.filePath}`);
+      }
+      items.set(item.id, item);
+    });
+
+    this.items = items;
+    return this.items.size;
+  }
+
+  /**
+   * Make sure an item definition has everything the combat code relies on
+   * @param {object} item - Item definition from the data file
+   */
+  validateItem(item) {
+    if (!item || typeof item.id !== 'string' || !item.id) {
+      throw new Error('Item definition is missing an id');
+    }
+
+    if (!Number.isInteger(item.maxPerLoadout) || item.maxPerLoadout < 1) {
+      throw new Error(`Item "${item.id}" has an invalid maxPerLoadout`);
+    }
+
+    if (!Array.isArray(item.effects) || item.effects.length === 0) {
+      throw new Error(`Item "${item.id}" has no effects`);
+    }
+
+    item.effects.forEach(effect => {
+      const problem = validateEffect(effect);
+      if (problem) {
+        throw new Error(`Item "${item.id}": ${problem}`);
+      }
+      if (effect.target !== 'self') {
+        throw new Error(`Item "${item.id}": items can only affect their user`);
+      }
+    });
+  }
+
+  /**
+   * Check whether an item id exists in the catalog
+   * @param {string} itemId - Item ID
+   */
+  has(itemId) {
+    return this.items.has(itemId);
+  }
+
+  /**
+   * Get a fresh copy of an item definition
+   * @param {string} itemId - Item ID
+   */
+  getItem(itemId) {
+    const item = this.items.get(itemId);
+    return item ? JSON.parse(JSON.stringify(item)) : null;
+  }
+
+  /**
+   * Get the full catalog for clients
+   */
+  getCatalog() {
+    return Array.from(this.items.values()).map(item => JSON.parse(JSON.stringify(item)));
+  }
+}
+
+module.exports = ItemRegistry;
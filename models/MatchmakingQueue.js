@@ -0,0 +1,158 @@
+/**
+ * MatchmakingQueue - Pairs waiting players by rating, widening the acceptable gap the longer they wait
+ */
+
+const BASE_RATING_RANGE = parseInt(process.env.MATCHMAKING_BASE_RANGE, 10) || 100;
+const RATING_RANGE_GROWTH = parseInt(process.env.MATCHMAKING_RANGE_GROWTH, 10) || 50; // per growth interval
+const RANGE_GROWTH_INTERVAL = 10 * 1000;
+const MAX_RATING_RANGE = parseInt(process.env.MATCHMAKING_MAX_RANGE, 10) || 800;
+
+// How many recent waits feed the estimated wait time
+const WAIT_SAMPLE_SIZE = 20;
+
+class MatchmakingQueue {
+  constructor() {
+    this.entries = new Map(); // playerId -> { playerId, rating, joinedAt }
+    this.recentWaits = []; // milliseconds waited by recently matched players
+  }
+
+  /**
+   * Add a player to the queue
+   * @param {string} playerId - Socket ID of the player
+   * @param {number} rating - Player's current rating
+   */
+  join(playerId, rating) {
+    if (!this.entries.has(playerId)) {
+      this.entries.set(playerId, { playerId, rating, joinedAt: Date.now() });
+    }
+    return this.entries.get(playerId);
+  }
+
+  /**
+   * Remove a player from the queue
+   * @param {string} playerId - Socket ID of the player
+   * @returns {boolean} Whether the player was queued
+   */
+  leave(playerId) {
+    return this.entries.delete(playerId);
+  }
+
+  /**
+   * Check whether a player is queued
+   * @param {string} playerId - Socket ID of the player
+   */
+  has(playerId) {
+    return this.entries.has(playerId);
+  }
+
+  /**
+   * Move a queued player to a new socket ID
+   * @param {string} oldPlayerId - Previous socket ID
+   * @param {string} newPlayerId - New socket ID
+   */
+  rebind(oldPlayerId, newPlayerId) {
+    const entry = this.entries.get(oldPlayerId);
+    if (!entry) return;
+
+    this.entries.delete(oldPlayerId);
+    entry.playerId = newPlayerId;
+    this.entries.set(newPlayerId, entry);
+  }
+
+  /**
+   * Get the rating gap a player currently accepts
+   * @param {object} entry - Queue entry
+   * @param {number} now - Current timestamp
+   */
+  getRatingRange(entry, now = Date.now()) {
+    const steps = Math.floor((now - entry.joinedAt) / RANGE_GROWTH_INTERVAL);
+    return Math.min(MAX_RATING_RANGE, BASE_RATING_RANGE + steps * RATING_RANGE_GROWTH);
+  }
+
+  /**
+   * Get queued entries, longest waiting first
+   */
+  getOrderedEntries() {
+    return Array.from(this.entries.values()).sort((a, b) => a.joinedAt - b.joinedAt);
+  }
+
+  /**
+   * Pair up every player that has an acceptable opponent and remove them from the queue
+   * @param {number} now - Current timestamp
+   * @returns {Array} Pairs of queue entries
+   */
+  findMatches(now = Date.now()) {
+    const waiting = this.getOrderedEntries();
+    const matched = new Set();
+    const pairs = [];
+
+    waiting.forEach(entry => {
+      if (matched.has(entry.playerId)) return;
+
+      // Closest rating that both players are willing to accept
+      let best = null;
+      waiting.forEach(candidate => {
+        if (candidate === entry || matched.has(candidate.playerId)) return;
+
+        const gap = Math.abs(entry.rating - candidate.rating);
+        const acceptable = Math.min(this.getRatingRange(entry, now), this.getRatingRange(candidate, now));
+        if (gap <= acceptable && (!best || gap < Math.abs(entry.rating - best.rating))) {
+          best = candidate;
+        }
+      });
+
+      if (best) {
+        matched.add(entry.playerId);
+        matched.add(best.playerId);
+        pairs.push([entry, best]);
+      }
+    });
+
+    pairs.forEach(pair => pair.forEach(entry => {
+      this.entries.delete(entry.playerId);
+      this.recordWait(now - entry.joinedAt);
+    }));
+
+    return pairs;
+  }
+
+  /**
+   * Remember how long a matched player waited
+   * @param {number} waited - Milliseconds waited
+   */
+  recordWait(waited) {
+    this.recentWaits.push(waited);
+    if (this.recentWaits.length > WAIT_SAMPLE_SIZE) {
+      this.recentWaits.shift();
+    }
+  }
+
+  /**
+   * Get a queued player's position and estimated remaining wait
+   * @param {string} playerId - Socket ID of the player
+   * @param {number} now - Current timestamp
+   */
+  getStatus(playerId, now = Date.now()) {
+    const entry = this.entries.get(playerId);
+    if (!entry) return null;
+
+    const position = this.getOrderedEntries().indexOf(entry) + 1;
+    const waited = now - entry.joinedAt;
+
+    let estimatedWait = null;
+    if (this.recentWaits.length > 0) {
+      const average = this.recentWaits.reduce((sum, wait) => sum + wait, 0) / this.recentWaits.length;
+      estimatedWait = Math.max(0, Math.round(average - waited));
+    }
+
+    return {
+      position,
+      queueSize: this.entries.size,
+      waited,
+      estimatedWait,
+      ratingRange: this.getRatingRange(entry, now)
+    };
+  }
+}
+
+module.exports = MatchmakingQueue;
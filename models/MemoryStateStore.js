@@ -0,0 +1,82 @@
+/**
+ * MemoryStateStore - Keeps rooms, players and replays in process-local Maps
+ *
+ * This is the state store interface GameStateManager works against. The Maps are the working set that
+ * every GameStateManager method reads and mutates synchronously. The async methods let a shared store
+ * refresh a room before it is mutated and publish it afterwards; with only one process there is nothing
+ * to refresh or publish, so here they just make sure mutations of the same room run one at a time.
+ */
+class MemoryStateStore {
+  constructor() {
+    this.shared = false; // Whether other server instances see the same rooms
+    this.rooms = new Map(); // roomId -> roomData
+    this.players = new Map(); // socketId -> playerData
+    this.playerToRoom = new Map(); // socketId -> roomId
+    this.replays = new Map(); // roomId -> replay event stream of the current game
+    this.locks = new Map(); // lock key -> promise that settles when the last queued holder is done
+  }
+
+  /**
+   * Refresh a room, its seated players and its replay from the store
+   * @param {string} roomId - Room ID
+   * @returns {Promise<object|null>} The room, or null if it no longer exists
+   */
+  async loadRoom(roomId) {
+    return this.rooms.get(roomId) || null;
+  }
+
+  /**
+   * Refresh every room from the store
+   */
+  async loadRooms() {}
+
+  /**
+   * Publish a room, its seated players and its replay, or its removal if it no longer exists locally
+   * @param {string} roomId - Room ID
+   */
+  async saveRoom(roomId) {}
+
+  /**
+   * Claim a new room's code, so no other instance can use it
+   * @param {string} roomId - Room ID
+   * @returns {Promise<boolean>} Whether the code was free; with one process, generateRoomCode has already checked
+   */
+  async claimRoomId(roomId) {
+    return true;
+  }
+
+  /**
+   * Run a function while holding a lock
+   * @param {string} key - Lock key
+   * @param {Function} fn - Function to run, may be async
+   */
+  async withLock(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => held);
+    this.locks.set(key, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.locks.get(key) === tail) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Run a function while holding several locks, taken in the order given
+   * @param {Array} keys - Lock keys, sorted so concurrent callers cannot deadlock
+   * @param {Function} fn - Function to run, may be async
+   */
+  async withLocks(keys, fn) {
+    const run = keys.reduceRight((next, key) => () => this.withLock(key, next), fn);
+    return run();
+  }
+}
+
+module.exports = MemoryStateStore;
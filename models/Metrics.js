@@ -0,0 +1,220 @@
+const METRIC_PREFIX = 'chronoclash_';
+
+// Histogram buckets, in seconds for latencies and durations and in turns for game length
+const LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+const GAME_DURATION_BUCKETS = [30, 60, 120, 300, 600, 1200, 1800, 3600];
+const GAME_TURN_BUCKETS = [2, 5, 10, 20, 30, 50, 100];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {name="value",...}
+ * @param {object} labels - Label names and values
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Metrics - Counters, gauges and histograms rendered in the Prometheus text exposition format
+ *
+ * Counters and histograms are updated as things happen. Gauges describe the current state, so they are
+ * given a collect function that is called on every scrape instead. Every number is for this server
+ * instance only; Prometheus adds instances up.
+ */
+class Metrics {
+  constructor() {
+    this.startedAt = Date.now();
+    this.metrics = new Map(); // name -> { type, help, buckets, collect, series: Map(label key -> series) }
+
+    this.counter('games_started_total', 'Games started');
+    this.getSeries('games_started_total', {}); // Reported as 0 before the first game rather than missing
+    this.counter('games_finished_total', 'Games finished, by how they ended');
+    this.histogram('game_duration_seconds', 'Length of finished games', GAME_DURATION_BUCKETS);
+    this.histogram('game_turns', 'Turns played in finished games', GAME_TURN_BUCKETS);
+    this.gauge('game_duration_seconds_average', 'Average length of games finished since the server started',
+      () => this.average('game_duration_seconds'));
+    this.gauge('game_turns_average', 'Average turns played in games finished since the server started',
+      () => this.average('game_turns'));
+    this.counter('socket_events_total', 'Socket events handled, by event');
+    this.histogram('socket_event_duration_seconds', 'Time spent handling socket events, by event', LATENCY_BUCKETS);
+    this.counter('socket_errors_total', 'Errors sent to clients, by error event and code');
+    this.gauge('process_uptime_seconds', 'Seconds since the server started', () => (Date.now() - this.startedAt) / 1000);
+    this.gauge('process_memory_bytes', 'Process memory use, by kind', () => {
+      const usage = process.memoryUsage();
+      return ['rss', 'heapTotal', 'heapUsed', 'external'].map(kind => ({ labels: { kind }, value: usage[kind] }));
+    });
+  }
+
+  /**
+   * Define a counter
+   * @param {string} name - Metric name without the prefix
+   * @param {string} help - Description
+   */
+  counter(name, help) {
+    this.metrics.set(name, { type: 'counter', help, series: new Map() });
+  }
+
+  /**
+   * Define a gauge, read on every scrape
+   * @param {string} name - Metric name without the prefix
+   * @param {string} help - Description
+   * @param {Function} collect - Returns a number, or an array of { labels, value }
+   */
+  gauge(name, help, collect) {
+    this.metrics.set(name, { type: 'gauge', help, collect });
+  }
+
+  /**
+   * Define a histogram
+   * @param {string} name - Metric name without the prefix
+   * @param {string} help - Description
+   * @param {Array} buckets - Upper bounds of the buckets, ascending
+   */
+  histogram(name, help, buckets) {
+    this.metrics.set(name, { type: 'histogram', help, buckets, series: new Map() });
+  }
+
+  /**
+   * Get the series of a metric for a label set, creating it on first use
+   * @param {string} name - Metric name without the prefix
+   * @param {object} labels - Label names and values
+   */
+  getSeries(name, labels) {
+    const metric = this.metrics.get(name);
+    const key = formatLabels(labels);
+
+    let series = metric.series.get(key);
+    if (!series) {
+      series = metric.type === 'histogram'
+        ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 };
+      metric.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} name - Metric name without the prefix
+   * @param {object} labels - Label names and values
+   * @param {number} amount - Amount to add
+   */
+  increment(name, labels = {}, amount = 1) {
+    this.getSeries(name, labels).value += amount;
+  }
+
+  /**
+   * Record an observation in a histogram
+   * @param {string} name - Metric name without the prefix
+   * @param {object} labels - Label names and values
+   * @param {number} value - Observed value
+   */
+  observe(name, labels, value) {
+    const series = this.getSeries(name, labels);
+    const { buckets } = this.metrics.get(name);
+
+    buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Work out the mean of every observation a histogram has recorded
+   * @param {string} name - Metric name without the prefix
+   */
+  average(name) {
+    let sum = 0;
+    let count = 0;
+    this.metrics.get(name).series.forEach(series => {
+      sum += series.sum;
+      count += series.count;
+    });
+    return count > 0 ? sum / count : 0;
+  }
+
+  /**
+   * Count a game that has started
+   */
+  recordGameStarted() {
+    this.increment('games_started_total');
+  }
+
+  /**
+   * Count a game that has finished and record how long it lasted
+   * @param {object} room - Room data of the finished game
+   */
+  recordGameFinished(room) {
+    const { startTime, endTime, turnCount, endReason } = room.gameData;
+
+    this.increment('games_finished_total', { reason: endReason });
+    this.observe('game_duration_seconds', {}, (endTime - startTime) / 1000);
+    this.observe('game_turns', {}, turnCount);
+  }
+
+  /**
+   * Record a handled socket event
+   * @param {string} event - Inbound event name
+   * @param {number} seconds - Time the handler took
+   */
+  recordSocketEvent(event, seconds) {
+    this.increment('socket_events_total', { event });
+    this.observe('socket_event_duration_seconds', { event }, seconds);
+  }
+
+  /**
+   * Record an error sent to a client
+   * @param {string} errorEvent - Error event name, e.g. join_room_error
+   * @param {string} code - Error code, if the payload had one
+   */
+  recordError(errorEvent, code) {
+    this.increment('socket_errors_total', { event: errorEvent, code: code || 'unknown' });
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   */
+  render() {
+    const lines = [];
+
+    this.metrics.forEach((metric, name) => {
+      const fullName = METRIC_PREFIX + name;
+      lines.push(`# HELP ${fullName} ${metric.help}`);
+      lines.push(`# TYPE ${fullName} ${metric.type}`);
+
+      if (metric.type === 'gauge') {
+        const collected = metric.collect();
+        const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        samples.forEach(({ labels, value }) => lines.push(`${fullName}${formatLabels(labels)} ${value}`));
+        return;
+      }
+
+      metric.series.forEach(series => {
+        if (metric.type === 'counter') {
+          lines.push(`${fullName}${formatLabels(series.labels)} ${series.value}`);
+          return;
+        }
+
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${fullName}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+        });
+        lines.push(`${fullName}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${fullName}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${fullName}_count${formatLabels(series.labels)} ${series.count}`);
+      });
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,505 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_RATING, calculateDelta } = require('./Rating');
+
+const DEFAULT_STORE_FILE = path.join(__dirname, '..', 'storage', 'players.json');
+
+// How long changes are gathered before they are written out together
+const DEFAULT_SAVE_DELAY = parseInt(process.env.PLAYER_STORE_SAVE_DELAY_MS, 10) || 1000;
+
+// Replays are kept for this many of the most recent matches; older match records lose theirs
+const DEFAULT_MAX_REPLAYS = parseInt(process.env.MAX_STORED_REPLAYS, 10) || 1000;
+
+/**
+ * Hash a guest token for storage; tokens are long and random, so a plain digest is enough
+ * @param {string} token - Guest token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * PlayerStore - Persists player profiles, match history and bans to a local JSON file
+ *
+ * Everything is kept in memory, so reads are synchronous and cheap. Changes are gathered
+ * for a moment and then written back to disk in the background; call flush() before exiting
+ * to write out the last of them. Pass filePath: null to keep the store in memory only.
+ */
+class PlayerStore {
+  /**
+   * @param {object} options - Store options
+   * @param {string|null} options.filePath - JSON file to persist to
+   * @param {number} options.saveDelay - Milliseconds to gather changes before writing them
+   * @param {number} options.maxReplays - How many of the most recent matches keep their replay
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath !== undefined
+      ? options.filePath
+      : (process.env.PLAYER_STORE_FILE || DEFAULT_STORE_FILE);
+    this.saveDelay = options.saveDelay ?? DEFAULT_SAVE_DELAY;
+    this.maxReplays = options.maxReplays ?? DEFAULT_MAX_REPLAYS;
+    this.profiles = new Map(); // profileId -> profile
+    this.matches = new Map(); // matchId -> match record
+    this.bans = new Map(); // profileId -> { profileId, reason, bannedAt, expiresAt }
+    this.pendingGuests = new Map(); // profileId -> guestTokenHash of guests with nothing stored yet; never saved
+    this.replayIds = []; // IDs of matches that still have a replay, oldest first
+    this.dirty = false; // Whether there are changes not yet on disk
+    this.saveTimer = null;
+    this.writing = null; // Promise of the write in progress
+    this.load();
+  }
+
+  /**
+   * Load the store from disk, if a file exists
+   */
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    (raw.profiles || []).forEach(profile => this.profiles.set(profile.id, this.normalizeProfile(profile)));
+    (raw.matches || []).forEach(match => {
+      this.matches.set(match.id, match);
+      if (match.replay) this.replayIds.push(match.id);
+    });
+    (raw.bans || []).forEach(ban => this.bans.set(ban.profileId, ban));
+    this.pruneReplays();
+  }
+
+  /**
+   * Schedule a write of the store to disk, so changes made close together are written once
+   */
+  save() {
+    if (!this.filePath) return;
+
+    this.dirty = true;
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.flush().catch(error => {
+        console.error('Failed to save the player store:', error.message);
+      });
+    }, this.saveDelay);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write any unsaved changes to disk now, replacing the file atomically
+   * @returns {Promise} Resolves once the changes are on disk
+   */
+  async flush() {
+    if (!this.filePath) return;
+
+    // Writes never overlap; changes made during one are picked up by the next
+    while (this.writing) {
+      await this.writing.catch(() => {});
+    }
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.dirty) return;
+
+    this.dirty = false;
+    this.writing = this.writeFile().catch(error => {
+      this.dirty = true;
+      throw error;
+    }).finally(() => {
+      this.writing = null;
+      if (this.dirty) this.save();
+    });
+    await this.writing;
+  }
+
+  /**
+   * Write the whole store to a temporary file and move it into place
+   */
+  async writeFile() {
+    // Bans that have run out are dropped here rather than when they are read
+    const now = Date.now();
+    this.bans.forEach((ban, profileId) => {
+      if (ban.expiresAt && ban.expiresAt <= now) this.bans.delete(profileId);
+    });
+
+    const data = JSON.stringify({
+      profiles: Array.from(this.profiles.values()),
+      matches: Array.from(this.matches.values()),
+      bans: Array.from(this.bans.values())
+    });
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpFile = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpFile, data);
+    await fs.promises.rename(tmpFile, this.filePath);
+  }
+
+  /**
+   * Drop the replays of the oldest matches once more than maxReplays are kept
+   */
+  pruneReplays() {
+    while (this.replayIds.length > this.maxReplays) {
+      const match = this.matches.get(this.replayIds.shift());
+      if (match) match.replay = null;
+    }
+  }
+
+  /**
+   * Fill in fields added after a profile was first saved
+   * @param {object} profile - Stored profile
+   */
+  normalizeProfile(profile) {
+    if (!Number.isFinite(profile.rating)) profile.rating = DEFAULT_RATING;
+    if (!Array.isArray(profile.ratingHistory)) profile.ratingHistory = [];
+    if (!profile.characterStats) profile.characterStats = {};
+    if (!Number.isInteger(profile.stats.draws)) profile.stats.draws = 0;
+    if (!profile.practiceStats) profile.practiceStats = { gamesPlayed: 0, wins: 0, losses: 0, draws: 0 };
+    if (typeof profile.isGuest !== 'boolean') profile.isGuest = true;
+    return profile;
+  }
+
+  /**
+   * Get a player profile
+   * @param {string} profileId - Stable player identity
+   */
+  getProfile(profileId) {
+    return this.profiles.get(profileId) || null;
+  }
+
+  /**
+   * Get a profile as anyone may see it, without its credentials
+   * @param {string} profileId - Stable player identity
+   */
+  getPublicProfile(profileId) {
+    const profile = this.profiles.get(profileId);
+    if (!profile) return null;
+
+    const { guestTokenHash, ...publicProfile } = profile;
+    return publicProfile;
+  }
+
+  /**
+   * Work out which guest a connection belongs to. Profile IDs are public, so only the secret guest token
+   * issued with a profile proves who a guest is; anyone without a valid one starts over as a new guest.
+   * Guest profiles saved before guest tokens existed have no token and can't be claimed any more.
+   * A new guest is only held in memory until there is something to keep for them (see ensureProfile),
+   * so connecting over and over never grows the file.
+   * @param {object} credentials - From the client's handshake
+   * @param {string} credentials.profileId - Profile the client claims to be
+   * @param {string} credentials.guestToken - Secret token issued with that profile
+   * @returns {object} { profileId, guestToken }, where guestToken is only set when a new guest was created;
+   * it is not stored, so the client has to keep it
+   */
+  identifyGuest({ profileId, guestToken } = {}) {
+    if (this.verifyGuestToken(profileId, guestToken)) {
+      return { profileId, guestToken: null };
+    }
+
+    const newProfileId = uuidv4();
+    const newToken = crypto.randomBytes(32).toString('base64url');
+    this.pendingGuests.set(newProfileId, hashToken(newToken));
+
+    return { profileId: newProfileId, guestToken: newToken };
+  }
+
+  /**
+   * Drop a guest who never got a stored profile, e.g. once they have disconnected; their token stops working
+   * @param {string} profileId - Profile ID issued by identifyGuest
+   */
+  forgetGuest(profileId) {
+    this.pendingGuests.delete(profileId);
+  }
+
+  /**
+   * Check a guest token against the one issued with a profile
+   * @param {string} profileId - Profile the client claims to be
+   * @param {string} guestToken - Secret token the client presented
+   */
+  verifyGuestToken(profileId, guestToken) {
+    if (typeof profileId !== 'string' || typeof guestToken !== 'string') return false;
+
+    const tokenHash = this.profiles.get(profileId)?.guestTokenHash || this.pendingGuests.get(profileId);
+    if (!tokenHash) return false;
+
+    const expected = Buffer.from(tokenHash, 'hex');
+    return crypto.timingSafeEqual(Buffer.from(hashToken(guestToken), 'hex'), expected);
+  }
+
+  /**
+   * Get a profile, creating it if this identity has not been seen before
+   * @param {string} profileId - Stable player identity
+   * @param {object} defaults - Fields for a new profile
+   */
+  ensureProfile(profileId, defaults = {}) {
+    let profile = this.profiles.get(profileId);
+    if (!profile) {
+      profile = {
+        id: profileId,
+        name: defaults.name || `Player_${profileId.substring(0, 5)}`,
+        isGuest: defaults.isGuest !== false, // Guests have no wallet-verified identity
+        createdAt: Date.now(),
+        lastSeenAt: Date.now(),
+        rating: DEFAULT_RATING,
+        ratingHistory: [], // { matchId, rating, delta, timestamp }
+        stats: {
+          gamesPlayed: 0,
+          wins: 0,
+          losses: 0,
+          draws: 0
+        },
+        // Games against practice bots, kept apart so they never feed ratings or the leaderboard
+        practiceStats: {
+          gamesPlayed: 0,
+          wins: 0,
+          losses: 0,
+          draws: 0
+        },
+        characterStats: {} // characterId -> { gamesPlayed, wins }
+      };
+
+      // A guest's token is kept from the first time there is something to store for them
+      if (this.pendingGuests.has(profileId)) {
+        profile.guestTokenHash = this.pendingGuests.get(profileId);
+        this.pendingGuests.delete(profileId);
+      }
+      this.profiles.set(profileId, profile);
+    }
+    return profile;
+  }
+
+  /**
+   * Ban a player identity from connecting and signing in
+   * @param {string} profileId - Stable player identity
+   * @param {object} options - Ban details
+   * @param {string} options.reason - Why the player was banned
+   * @param {number|null} options.duration - Milliseconds until the ban lifts, or null for a permanent ban
+   */
+  banProfile(profileId, { reason = null, duration = null } = {}) {
+    // A guest banned before their first game keeps their token on file, so the ban still knows them
+    if (this.pendingGuests.has(profileId)) {
+      this.ensureProfile(profileId, { isGuest: true });
+    }
+
+    const now = Date.now();
+    const ban = {
+      profileId,
+      reason,
+      bannedAt: now,
+      expiresAt: duration ? now + duration : null
+    };
+
+    this.bans.set(profileId, ban);
+    this.save();
+    return ban;
+  }
+
+  /**
+   * Lift a ban
+   * @param {string} profileId - Stable player identity
+   * @returns {boolean} Whether the identity was banned
+   */
+  unbanProfile(profileId) {
+    const existed = this.bans.delete(profileId);
+    if (existed) this.save();
+    return existed;
+  }
+
+  /**
+   * Get the ban in force for a player identity
+   * @param {string} profileId - Stable player identity
+   */
+  getBan(profileId) {
+    const ban = this.bans.get(profileId);
+    if (!ban || (ban.expiresAt && ban.expiresAt <= Date.now())) return null;
+    return ban;
+  }
+
+  /**
+   * Get every ban still in force
+   */
+  getBans() {
+    return Array.from(this.bans.keys())
+      .map(profileId => this.getBan(profileId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Record a completed game and update the participants' profiles
+   * @param {object} match - Match data
+   * @param {string} match.roomId - Room the game was played in
+   * @param {Array} match.players - Participants: { profileId, isGuest, name, characterId, team }
+   * @param {string|null} match.winnerProfileId - Profile ID of the winner, or null for a draw
+   * @param {Array} match.winnerProfileIds - Profile IDs of everyone on the winning side, when that is more than one player
+   * @param {string} match.reason - How the game ended
+   * @param {number} match.startTime - Game start timestamp
+   * @param {number} match.endTime - Game end timestamp
+   * @param {number} match.turnCount - Number of turns played
+   * @param {Array} match.battleLog - Battle log entries
+   * @param {boolean} match.rated - Whether the result counts towards ratings (default true)
+   * @param {boolean} match.practice - Whether this was a practice game against a bot, which only counts
+   * towards the players' practice stats
+   * @param {object} match.replay - Structured event stream for replays
+   */
+  recordMatch(match) {
+    const winnerProfileIds = match.winnerProfileIds || (match.winnerProfileId ? [match.winnerProfileId] : []);
+    const isDraw = winnerProfileIds.length === 0;
+    const record = {
+      id: uuidv4(),
+      roomId: match.roomId,
+      players: match.players.map(player => ({
+        profileId: player.profileId,
+        isGuest: player.isGuest !== false,
+        name: player.name,
+        characterId: player.characterId,
+        team: player.team ?? null,
+        isBot: player.isBot === true,
+        result: isDraw ? 'draw' : (winnerProfileIds.includes(player.profileId) ? 'win' : 'loss')
+      })),
+      winnerProfileId: match.winnerProfileId,
+      winnerProfileIds,
+      reason: match.reason,
+      startTime: match.startTime,
+      endTime: match.endTime,
+      duration: match.endTime - match.startTime,
+      turnCount: match.turnCount,
+      battleLog: match.battleLog.slice(),
+      rated: match.rated !== false && match.practice !== true,
+      practice: match.practice === true,
+      ratingChanges: {}, // profileId -> { before, after, delta }
+      replay: match.replay || null
+    };
+
+    // Practice bots play without a profile
+    const profiles = record.players.map(player => (player.isBot ? null : this.ensureProfile(player.profileId, {
+      name: player.name,
+      isGuest: player.isGuest
+    })));
+
+    // Work out every delta from the pre-game ratings before applying any of them
+    if (record.rated && profiles.length === 2 && profiles.every(Boolean) && profiles[0] !== profiles[1]) {
+      profiles.forEach((profile, index) => {
+        const opponent = profiles[1 - index];
+        const score = { win: 1, loss: 0, draw: 0.5 }[record.players[index].result];
+        const delta = calculateDelta(
+          { rating: profile.rating, gamesPlayed: profile.stats.gamesPlayed },
+          { rating: opponent.rating },
+          score
+        );
+        record.ratingChanges[profile.id] = { before: profile.rating, after: profile.rating + delta, delta };
+      });
+    }
+
+    record.players.forEach((player, index) => {
+      const profile = profiles[index];
+      if (!profile) return;
+
+      profile.name = player.name;
+      profile.isGuest = player.isGuest;
+      profile.lastSeenAt = record.endTime;
+
+      const stats = record.practice ? profile.practiceStats : profile.stats;
+      stats.gamesPlayed++;
+      if (player.result === 'win') {
+        stats.wins++;
+      } else if (player.result === 'loss') {
+        stats.losses++;
+      } else {
+        stats.draws++;
+      }
+
+      // Practice games leave character stats and ratings alone
+      if (record.practice) return;
+
+      const characterStats = profile.characterStats[player.characterId] || { gamesPlayed: 0, wins: 0 };
+      characterStats.gamesPlayed++;
+      if (player.result === 'win') {
+        characterStats.wins++;
+      }
+      profile.characterStats[player.characterId] = characterStats;
+
+      const change = record.ratingChanges[profile.id];
+      if (change) {
+        profile.rating = change.after;
+        profile.ratingHistory.push({
+          matchId: record.id,
+          rating: change.after,
+          delta: change.delta,
+          timestamp: record.endTime
+        });
+      }
+    });
+
+    this.matches.set(record.id, record);
+    if (record.replay) {
+      this.replayIds.push(record.id);
+      this.pruneReplays();
+    }
+    this.save();
+
+    return record;
+  }
+
+  /**
+   * Get a single match record
+   * @param {string} matchId - Match ID
+   */
+  getMatch(matchId) {
+    return this.matches.get(matchId) || null;
+  }
+
+  /**
+   * Get a page of a player's matches, newest first
+   * @param {string} profileId - Stable player identity
+   * @param {object} options - Paging options
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.limit - Matches per page
+   */
+  getMatchesForProfile(profileId, { page = 1, limit = 20 } = {}) {
+    const matches = Array.from(this.matches.values())
+      .filter(match => match.players.some(player => player.profileId === profileId))
+      .sort((a, b) => b.endTime - a.endTime);
+
+    const start = (page - 1) * limit;
+    return {
+      // Replays are large and served separately
+      matches: matches.slice(start, start + limit).map(({ replay, ...match }) => match),
+      page,
+      limit,
+      total: matches.length
+    };
+  }
+
+  /**
+   * Get a page of the leaderboard, highest rating first
+   * @param {object} options - Paging and filtering options
+   * @param {number} options.page - 1-based page number
+   * @param {number} options.limit - Players per page
+   * @param {string} options.characterId - Only include players who have played this character
+   */
+  getLeaderboard({ page = 1, limit = 20, characterId } = {}) {
+    const ranked = Array.from(this.profiles.values())
+      .filter(profile => profile.ratingHistory.length > 0)
+      .filter(profile => !characterId || profile.characterStats[characterId])
+      .sort((a, b) => b.rating - a.rating || b.stats.wins - a.stats.wins);
+
+    const start = (page - 1) * limit;
+    return {
+      players: ranked.slice(start, start + limit).map((profile, index) => ({
+        rank: start + index + 1,
+        id: profile.id,
+        name: profile.name,
+        isGuest: profile.isGuest,
+        rating: profile.rating,
+        gamesPlayed: profile.stats.gamesPlayed,
+        wins: profile.stats.wins,
+        losses: profile.stats.losses,
+        draws: profile.stats.draws,
+        character: characterId ? profile.characterStats[characterId] : undefined
+      })),
+      page,
+      limit,
+      total: ranked.length
+    };
+  }
+}
+
+module.exports = PlayerStore;
@@ -0,0 +1,214 @@
+/**
+ * Practice bots: server-controlled opponents and the strategies they pick their actions with
+ *
+ * A bot sees the same battle a player would and acts through processGameAction like everyone else.
+ * Its choices use Math.random rather than the game's combat roll generator, so bots never change
+ * the rolls a replay has to reproduce.
+ */
+const BOT_DIFFICULTIES = {
+  random: { name: 'Rookie Bot', loadout: [] }, // Any move it can afford
+  greedy: { name: 'Brawler Bot', loadout: [] }, // Always the hardest-hitting move
+  lookahead: { name: 'Tactician Bot', loadout: ['health-potion', 'mana-crystal'] } // Plans around mana and health
+};
+
+/**
+ * Pick an entry of a list at random
+ * @param {Array} list - Entries to pick from
+ * @param {Function} random - Returns a number in [0, 1)
+ */
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * List everything a bot could do this turn
+ * @param {object} gameState - Game state manager instance
+ * @param {object} room - Room data
+ * @param {object} bot - Bot player data
+ * @returns {object} { enemies, abilities, items } with the abilities and items it can use now
+ */
+function getChoices(gameState, room, bot) {
+  const enemies = gameState.getLivingParticipants(room)
+    .filter(participant => !gameState.areAllies(room, bot.id, participant.playerId))
+    .map(participant => gameState.getPlayer(participant.playerId))
+    .filter(Boolean);
+
+  const abilities = bot.character.abilities
+    .filter(ability => !(bot.cooldowns[ability.id] > 0) && bot.mana >= ability.manaCost);
+
+  const items = Object.keys(bot.items || {})
+    .filter(itemId => bot.items[itemId] > 0)
+    .map(itemId => gameState.itemRegistry.getItem(itemId))
+    .filter(Boolean);
+
+  return { enemies, abilities, items };
+}
+
+/**
+ * Build the action for using an ability, aimed at an enemy when it needs one
+ * @param {object} gameState - Game state manager instance
+ * @param {object} ability - Ability definition
+ * @param {object} enemy - Enemy player to aim at
+ */
+function useAbility(gameState, ability, enemy) {
+  const action = { type: 'ability', abilityId: ability.id };
+  if (gameState.getAbilityTargeting(ability) === 'enemy') {
+    action.targetId = enemy.id;
+  }
+  return action;
+}
+
+/**
+ * Work out the damage an ability deals on average, counting misses and critical hits
+ * @param {object} gameState - Game state manager instance
+ * @param {object} attacker - Player using the ability
+ * @param {object} defender - Player it is aimed at
+ * @param {object} ability - Ability definition
+ */
+function expectedDamage(gameState, attacker, defender, ability) {
+  if (!(ability.damage > 0)) return 0;
+
+  const odds = gameState.getAttackOdds(ability);
+  const { damage } = gameState.calculateDamage(attacker, defender, ability.damage, ability.damageType);
+  return damage * (odds.accuracy / 100) * (1 + (odds.critChance / 100) * (odds.critMultiplier - 1));
+}
+
+/**
+ * Work out the hardest hit a player could land next turn, with the mana they will have by then
+ * @param {object} gameState - Game state manager instance
+ * @param {object} attacker - Player who would attack
+ * @param {object} defender - Player who would be hit
+ */
+function strongestHit(gameState, attacker, defender) {
+  const mana = attacker.mana + (attacker.character?.manaRegen || 0);
+
+  return (attacker.character?.abilities || [])
+    .filter(ability => ability.damage > 0 && mana >= ability.manaCost && !(attacker.cooldowns[ability.id] > 1))
+    .reduce((strongest, ability) => {
+      const { damage } = gameState.calculateDamage(attacker, defender, ability.damage, ability.damageType);
+      const odds = gameState.getAttackOdds(ability);
+      return Math.max(strongest, damage * (1 + odds.damageVariance / 100));
+    }, 0);
+}
+
+/**
+ * Health a player has left to lose, counting their shield
+ * @param {object} player - Player data
+ */
+function effectiveHealth(player) {
+  const shield = player.effects.find(effect => effect.type === 'shield');
+  return player.health + (shield ? shield.magnitude : 0);
+}
+
+/**
+ * Rookie: any affordable move, or bracing, or resting
+ * @param {object} gameState - Game state manager instance
+ * @param {object} bot - Bot player data
+ * @param {object} choices - What the bot can do, from getChoices
+ * @param {Function} random - Returns a number in [0, 1)
+ */
+function chooseRandom(gameState, bot, choices, random) {
+  const actions = choices.abilities.map(ability => useAbility(gameState, ability, pick(choices.enemies, random)));
+  actions.push({ type: 'defend' }, { type: 'pass' });
+  return pick(actions, random);
+}
+
+/**
+ * Brawler: whichever affordable attack does the most damage right now, resting when it can't attack
+ * @param {object} gameState - Game state manager instance
+ * @param {object} bot - Bot player data
+ * @param {object} choices - What the bot can do, from getChoices
+ */
+function chooseGreedy(gameState, bot, choices) {
+  let best = null;
+  choices.abilities.forEach(ability => {
+    choices.enemies.forEach(enemy => {
+      const damage = expectedDamage(gameState, bot, enemy, ability);
+      if (damage > 0 && (!best || damage > best.damage)) {
+        best = { damage, action: useAbility(gameState, ability, enemy) };
+      }
+    });
+  });
+
+  return best ? best.action : { type: 'pass' };
+}
+
+/**
+ * Tactician: finish off a weakened enemy, survive a hit that would knock it out, and otherwise get
+ * the most damage out of its mana, resting or using a crystal when it runs dry
+ * @param {object} gameState - Game state manager instance
+ * @param {object} bot - Bot player data
+ * @param {object} choices - What the bot can do, from getChoices
+ */
+function chooseLookahead(gameState, bot, choices) {
+  // Focus on whoever is closest to going down
+  const target = choices.enemies.reduce((weakest, enemy) => (
+    effectiveHealth(enemy) < effectiveHealth(weakest) ? enemy : weakest
+  ));
+
+  const attacks = choices.abilities
+    .map(ability => ({ ability, damage: expectedDamage(gameState, bot, target, ability) }))
+    .filter(option => option.damage > 0);
+
+  // A hit that knocks the target out ends the threat, so take the surest one
+  const finishers = attacks.filter(({ ability }) => (
+    gameState.calculateDamage(bot, target, ability.damage, ability.damageType).damage >= effectiveHealth(target)
+  ));
+  if (finishers.length > 0) {
+    const surest = finishers.reduce((best, option) => (
+      gameState.getAttackOdds(option.ability).accuracy > gameState.getAttackOdds(best.ability).accuracy ? option : best
+    ));
+    return useAbility(gameState, surest.ability, target);
+  }
+
+  // If the enemies could knock the bot out next turn, heal up or brace for it
+  const threat = choices.enemies.reduce((total, enemy) => total + strongestHit(gameState, enemy, bot), 0);
+  if (threat >= effectiveHealth(bot)) {
+    const potion = choices.items.find(item => item.effects.some(effect => effect.type === 'heal'));
+    if (potion) return { type: 'item', itemId: potion.id };
+
+    const healing = choices.abilities.find(ability => (ability.effects || []).some(effect => effect.type === 'heal'));
+    if (healing) return useAbility(gameState, healing, target);
+
+    return { type: 'defend' };
+  }
+
+  // Weigh damage against mana, which matters more the less of it is left
+  const manaWeight = bot.mana < bot.maxMana / 2 ? 0.5 : 0.2;
+  const best = attacks.reduce((chosen, option) => {
+    const score = option.damage - manaWeight * option.ability.manaCost;
+    return !chosen || score > chosen.score ? { ...option, score } : chosen;
+  }, null);
+  if (best) return useAbility(gameState, best.ability, target);
+
+  const crystal = choices.items.find(item => item.effects.some(effect => effect.type === 'restore_mana'));
+  return crystal ? { type: 'item', itemId: crystal.id } : { type: 'pass' };
+}
+
+/**
+ * Decide what a bot does on its turn
+ * @param {object} gameState - Game state manager instance
+ * @param {object} room - Room data
+ * @param {string} botId - Player ID of the bot
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {object} A game action, as a player would send it
+ */
+function chooseBotAction(gameState, room, botId, random = Math.random) {
+  const bot = gameState.getPlayer(botId);
+  const choices = getChoices(gameState, room, bot);
+  if (choices.enemies.length === 0) return { type: 'pass' };
+
+  switch (bot.botDifficulty) {
+    case 'random':
+      return chooseRandom(gameState, bot, choices, random);
+    case 'lookahead':
+      return chooseLookahead(gameState, bot, choices);
+    default:
+      return chooseGreedy(gameState, bot, choices);
+  }
+}
+
+module.exports = {
+  BOT_DIFFICULTIES,
+  chooseBotAction
+};
@@ -0,0 +1,395 @@
+/**
+ * Socket protocol: the payload schema of every inbound event and the error codes sent back
+ *
+ * Schemas are declarative so they can be published to clients as-is. Each field is described as
+ * { type, required, minLength, maxLength, min, max, enum, fields, maxItems, items }, where type is one of string,
+ * boolean, integer, number, object or array, fields describes the members of an object and items the
+ * entries of an array. Fields a schema does not declare are dropped before the payload reaches a
+ * controller.
+ *
+ * Failures are reported on the event's errorEvent as { code, message, event }.
+ */
+
+const ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  SERVER_BUSY: 'SERVER_BUSY',
+  PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  SESSION_ALREADY_BOUND: 'SESSION_ALREADY_BOUND',
+  AUTH_CHALLENGE_MISSING: 'AUTH_CHALLENGE_MISSING',
+  AUTH_FAILED: 'AUTH_FAILED',
+  BANNED: 'BANNED',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  ROOM_FULL: 'ROOM_FULL',
+  ROOM_NOT_JOINABLE: 'ROOM_NOT_JOINABLE',
+  ROOM_CREATE_FAILED: 'ROOM_CREATE_FAILED',
+  PASSWORD_REQUIRED: 'PASSWORD_REQUIRED',
+  PASSWORD_INCORRECT: 'PASSWORD_INCORRECT',
+  INVITE_INVALID: 'INVITE_INVALID',
+  IN_ROOM: 'IN_ROOM',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  NOT_HOST: 'NOT_HOST',
+  NOT_TEAM_ROOM: 'NOT_TEAM_ROOM',
+  TEAM_FULL: 'TEAM_FULL',
+  INVALID_TARGET: 'INVALID_TARGET',
+  NOT_IN_QUEUE: 'NOT_IN_QUEUE',
+  NOT_SPECTATING: 'NOT_SPECTATING',
+  UNKNOWN_CHARACTER: 'UNKNOWN_CHARACTER',
+  CHARACTER_REQUIRED: 'CHARACTER_REQUIRED',
+  CHARACTER_BANNED: 'CHARACTER_BANNED',
+  INVALID_SETTINGS: 'INVALID_SETTINGS',
+  SETTINGS_LOCKED: 'SETTINGS_LOCKED',
+  PLAYERS_NOT_READY: 'PLAYERS_NOT_READY',
+  GAME_NOT_IN_PROGRESS: 'GAME_NOT_IN_PROGRESS',
+  GAME_IN_PROGRESS: 'GAME_IN_PROGRESS',
+  GAME_ENDED: 'GAME_ENDED',
+  NOT_YOUR_TURN: 'NOT_YOUR_TURN',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  ABILITY_NOT_FOUND: 'ABILITY_NOT_FOUND',
+  ABILITY_ON_COOLDOWN: 'ABILITY_ON_COOLDOWN',
+  NOT_ENOUGH_MANA: 'NOT_ENOUGH_MANA',
+  UNKNOWN_ITEM: 'UNKNOWN_ITEM',
+  LOADOUT_INVALID: 'LOADOUT_INVALID',
+  ITEM_NOT_AVAILABLE: 'ITEM_NOT_AVAILABLE',
+  MESSAGE_EMPTY: 'MESSAGE_EMPTY',
+  RATE_LIMITED: 'RATE_LIMITED',
+  MUTED: 'MUTED',
+  STATE_ERROR: 'STATE_ERROR'
+};
+
+const ID_FIELD = { type: 'string', required: true, maxLength: 64 };
+
+// Rule options a host can set when creating a room, or change while it waits for players
+const RULE_FIELDS = {
+  turnTimeLimit: { type: 'number', min: 0, max: 300 },
+  maxTurnTimeouts: { type: 'integer', min: 1, max: 20 },
+  healthMultiplier: { type: 'number', min: 0.5, max: 3 },
+  manaMultiplier: { type: 'number', min: 0.5, max: 3 },
+  firstTurn: { type: 'string', enum: ['host', 'random', 'coin_flip'] },
+  bannedCharacters: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 64 } },
+  maxTurns: { type: 'integer', min: 0, max: 500 } // 0 for no limit
+};
+
+const EVENTS = {
+  resume_session: {
+    description: 'Resume a previous session on this connection',
+    errorEvent: 'resume_session_error',
+    fields: {
+      sessionToken: ID_FIELD
+    }
+  },
+  auth_request_challenge: {
+    description: 'Request a wallet sign-in challenge',
+    errorEvent: 'auth_error',
+    fields: {}
+  },
+  auth_verify: {
+    description: 'Answer the sign-in challenge with a wallet signature',
+    errorEvent: 'auth_error',
+    fields: {
+      address: ID_FIELD,
+      publicKey: { type: 'string', required: true, maxLength: 1024 },
+      signature: { type: 'string', required: true, maxLength: 1024 }
+    }
+  },
+  create_room: {
+    description: 'Create a room and take its host seat',
+    errorEvent: 'create_room_error',
+    fields: {
+      name: { type: 'string', maxLength: 50 },
+      isPrivate: { type: 'boolean' },
+      password: { type: 'string', maxLength: 64 }, // Players then need it, or an invite, to join
+      ...RULE_FIELDS,
+      mode: { type: 'string', enum: ['duel', 'ffa', 'teams'] },
+      maxPlayers: { type: 'integer', min: 2, max: 4 } // Free-for-all rooms seat 3 or 4
+    }
+  },
+  create_practice_room: {
+    description: 'Create a private, unrated duel against a server-controlled bot',
+    errorEvent: 'create_practice_room_error',
+    fields: {
+      difficulty: { type: 'string', enum: ['random', 'greedy', 'lookahead'] },
+      botCharacterId: { type: 'string', maxLength: 64 }
+    }
+  },
+  join_room: {
+    description: 'Take a seat in a waiting room',
+    errorEvent: 'join_room_error',
+    fields: {
+      roomId: ID_FIELD,
+      password: { type: 'string', maxLength: 64 },
+      inviteToken: { type: 'string', maxLength: 64 }
+    }
+  },
+  leave_room: {
+    description: 'Leave the room you are seated in',
+    errorEvent: 'leave_room_error',
+    fields: {
+      roomId: ID_FIELD
+    }
+  },
+  select_character: {
+    description: 'Pick a character from the catalog',
+    errorEvent: 'character_select_error',
+    fields: {
+      characterId: { type: 'string', minLength: 1, maxLength: 64 },
+      character: { type: 'object', fields: { id: ID_FIELD } } // Older clients send the whole character
+    },
+    requireOneOf: ['characterId', 'character']
+  },
+  select_loadout: {
+    description: 'Pick the items to bring into the next battle',
+    errorEvent: 'select_loadout_error',
+    fields: {
+      // Repeat an id to bring more than one of that item
+      itemIds: { type: 'array', required: true, maxItems: 3, items: { type: 'string', maxLength: 64 } }
+    }
+  },
+  select_team: {
+    description: 'Pick a side in a team room',
+    errorEvent: 'select_team_error',
+    fields: {
+      team: { type: 'integer', required: true, min: 0, max: 1 }
+    }
+  },
+  player_ready: {
+    description: 'Mark yourself ready or not ready',
+    errorEvent: 'player_ready_error',
+    fields: {
+      isReady: { type: 'boolean', required: true }
+    }
+  },
+  game_action: {
+    description: 'Act on your turn',
+    errorEvent: 'game_action_error',
+    fields: {
+      type: { type: 'string', required: true, enum: ['ability', 'item', 'defend', 'pass', 'surrender'] },
+      abilityId: { type: 'string', maxLength: 64 },
+      itemId: { type: 'string', maxLength: 64 },
+      targetId: { type: 'string', maxLength: 64 } // Needed when there is more than one possible target
+    }
+  },
+  queue_join: {
+    description: 'Join the quick-match queue',
+    errorEvent: 'queue_join_error',
+    fields: {}
+  },
+  queue_leave: {
+    description: 'Leave the quick-match queue',
+    errorEvent: 'queue_leave_error',
+    fields: {}
+  },
+  spectate_room: {
+    description: 'Watch a battle; private rooms need an invite, password-protected ones the password or an invite',
+    errorEvent: 'spectate_room_error',
+    fields: {
+      roomId: ID_FIELD,
+      password: { type: 'string', maxLength: 64 },
+      inviteToken: { type: 'string', maxLength: 64 }
+    }
+  },
+  stop_spectating: {
+    description: 'Stop watching a battle',
+    errorEvent: 'stop_spectating_error',
+    fields: {}
+  },
+  spectator_chat_message: {
+    description: 'Chat with the other spectators of a battle',
+    errorEvent: 'spectator_chat_error',
+    fields: {
+      message: { type: 'string', required: true, maxLength: 500 }
+    }
+  },
+  chat_message: {
+    description: 'Chat in your room or the lobby',
+    errorEvent: 'chat_error',
+    fields: {
+      message: { type: 'string', required: true, maxLength: 500 },
+      channel: { type: 'string', enum: ['room', 'lobby'] }
+    }
+  },
+  mute_player: {
+    description: 'Mute or unmute a player in the room you host',
+    errorEvent: 'mute_player_error',
+    fields: {
+      playerId: ID_FIELD,
+      muted: { type: 'boolean' }
+    }
+  },
+  update_room_settings: {
+    description: 'Change the rules of the room you host while it waits for players',
+    errorEvent: 'update_room_settings_error',
+    requireOneOf: Object.keys(RULE_FIELDS),
+    fields: RULE_FIELDS
+  },
+  kick_player: {
+    description: 'Remove a player from the room you host, optionally banning them from it',
+    errorEvent: 'kick_player_error',
+    fields: {
+      playerId: ID_FIELD,
+      ban: { type: 'boolean' }
+    }
+  },
+  transfer_host: {
+    description: 'Hand the room you host to another player in it',
+    errorEvent: 'transfer_host_error',
+    fields: {
+      playerId: ID_FIELD
+    }
+  },
+  create_invite: {
+    description: 'Create a one-time invite to the room you host, which gets a player past its password',
+    errorEvent: 'create_invite_error',
+    fields: {}
+  }
+};
+
+/**
+ * Check a value against a field description
+ * @param {*} value - Value from the payload
+ * @param {object} field - Field description
+ * @param {string} name - Field path, for error messages
+ * @returns {object} { value } with the cleaned value, or { error }
+ */
+function validateField(value, field, name) {
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') return { error: `${name} must be a string` };
+      if (field.minLength !== undefined && value.length < field.minLength) {
+        return { error: `${name} must be at least ${field.minLength} character${field.minLength === 1 ? '' : 's'}` };
+      }
+      if (field.maxLength !== undefined && value.length > field.maxLength) {
+        return { error: `${name} must be at most ${field.maxLength} characters` };
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: `${name} must be true or false` };
+      break;
+    case 'integer':
+    case 'number':
+      if (field.type === 'integer' ? !Number.isInteger(value) : !Number.isFinite(value)) {
+        return { error: `${name} must be ${field.type === 'integer' ? 'an integer' : 'a number'}` };
+      }
+      if (field.min !== undefined && value < field.min) return { error: `${name} must be at least ${field.min}` };
+      if (field.max !== undefined && value > field.max) return { error: `${name} must be at most ${field.max}` };
+      break;
+    case 'object':
+      return validateFields(value, field.fields || {}, `${name}.`);
+    case 'array': {
+      if (!Array.isArray(value)) return { error: `${name} must be a list` };
+      if (field.maxItems !== undefined && value.length > field.maxItems) {
+        return { error: `${name} must have at most ${field.maxItems} entries` };
+      }
+
+      const entries = [];
+      for (const [index, entry] of value.entries()) {
+        const result = validateField(entry, field.items, `${name}[${index}]`);
+        if (result.error) return result;
+        entries.push(result.value);
+      }
+      return { value: entries };
+    }
+    default:
+      return { error: `${name} has an unsupported type` };
+  }
+
+  if (field.enum && !field.enum.includes(value)) {
+    return { error: `${name} must be one of: ${field.enum.join(', ')}` };
+  }
+
+  return { value };
+}
+
+/**
+ * Check an object against a set of field descriptions, keeping only the declared fields
+ * @param {*} data - Object to check
+ * @param {object} fields - Field descriptions keyed by name
+ * @param {string} prefix - Path of the object, for error messages
+ * @returns {object} { value } with the cleaned object, or { error }
+ */
+function validateFields(data, fields, prefix = '') {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: prefix ? `${prefix.slice(0, -1)} must be an object` : 'Payload must be an object' };
+  }
+
+  const value = {};
+  for (const [name, field] of Object.entries(fields)) {
+    if (data[name] === undefined || data[name] === null) {
+      if (field.required) return { error: `${prefix}${name} is required` };
+      continue;
+    }
+
+    const result = validateField(data[name], field, `${prefix}${name}`);
+    if (result.error) return result;
+    value[name] = result.value;
+  }
+
+  return { value };
+}
+
+/**
+ * Validate an inbound event's payload against its schema
+ * @param {string} event - Event name
+ * @param {*} data - Payload sent by the client
+ * @returns {object} { success, data } with the cleaned payload, or { success: false, code, error }
+ */
+function validatePayload(event, data) {
+  const definition = EVENTS[event];
+  if (!definition) {
+    return { success: false, code: ERROR_CODES.INVALID_PAYLOAD, error: `Unknown event ${event}` };
+  }
+
+  // Events without a payload may be sent with nothing at all
+  const result = validateFields(data === undefined || data === null ? {} : data, definition.fields);
+  if (result.error) {
+    return { success: false, code: ERROR_CODES.INVALID_PAYLOAD, error: result.error };
+  }
+
+  if (definition.requireOneOf && !definition.requireOneOf.some(name => result.value[name] !== undefined)) {
+    return {
+      success: false,
+      code: ERROR_CODES.INVALID_PAYLOAD,
+      error: `One of ${definition.requireOneOf.join(', ')} is required`
+    };
+  }
+
+  return { success: true, data: result.value };
+}
+
+/**
+ * Get the event an inbound event's failures are reported on
+ * @param {string} event - Event name
+ */
+function getErrorEvent(event) {
+  return EVENTS[event].errorEvent;
+}
+
+/**
+ * Build the error payload sent to clients
+ * @param {string} event - Inbound event that failed
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human-readable explanation
+ */
+function createError(event, code, message) {
+  return { code, message, event };
+}
+
+/**
+ * Describe the protocol for clients
+ */
+function getProtocol() {
+  return {
+    events: JSON.parse(JSON.stringify(EVENTS)),
+    errorCodes: Object.values(ERROR_CODES),
+    errorFormat: { code: 'string', message: 'string', event: 'string' }
+  };
+}
+
+module.exports = {
+  ERROR_CODES,
+  EVENTS,
+  validatePayload,
+  getErrorEvent,
+  createError,
+  getProtocol
+};
@@ -0,0 +1,68 @@
+/**
+ * Seeded random numbers for combat rolls
+ *
+ * A game's seed is a random 128-bit key and its state is a count of the numbers drawn so far; each
+ * number is an HMAC-SHA256 of the count keyed by the seed. Both are plain values, so the generator
+ * can live in a room's game data and travel through the state store with it. The same seed always
+ * produces the same rolls, which is what lets a replay re-run a battle exactly, and without the key
+ * the rolls seen in a battle say nothing about the ones still to come.
+ *
+ * Replays recorded before version 6 carry a 32-bit integer seed from the old mulberry32 generator;
+ * numeric seeds still draw from it so those battles re-run as they were played.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Pick a fresh seed for a game
+ * @returns {string} 128-bit key as 32 hex characters
+ */
+function createSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Set up a generator for a seed
+ * @param {string|number} seed - Seed from createSeed, or a 32-bit integer from an older replay
+ * @returns {object} { seed, state } ready for nextRandom
+ */
+function createGenerator(seed) {
+  return { seed, state: typeof seed === 'number' ? seed : 0 };
+}
+
+/**
+ * Draw the next number from a generator
+ * @param {object} generator - { seed, state } from createGenerator
+ * @returns {object} { value, state } where value is in [0, 1) and state is the state to store
+ */
+function nextRandom(generator) {
+  if (typeof generator.seed === 'number') {
+    return nextMulberry32(generator.state);
+  }
+
+  const digest = crypto.createHmac('sha256', Buffer.from(generator.seed, 'hex'))
+    .update(String(generator.state))
+    .digest();
+
+  return { value: digest.readUIntBE(0, 6) / 2 ** 48, state: generator.state + 1 };
+}
+
+/**
+ * Advance a mulberry32 generator by one step, for seeds from replays before version 6
+ * @param {number} state - Current generator state
+ * @returns {object} { value, state }
+ */
+function nextMulberry32(state) {
+  const next = (state + 0x6D2B79F5) >>> 0;
+
+  let t = Math.imul(next ^ (next >>> 15), next | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, state: next };
+}
+
+module.exports = {
+  createSeed,
+  createGenerator,
+  nextRandom
+};
@@ -0,0 +1,208 @@
+/**
+ * Token bucket limits, keyed by rule name. capacity is the burst a client may send at once and
+ * refillPerSecond how quickly that burst comes back. Socket events use their event name as the rule;
+ * REST routes use "rest:<route>".
+ */
+const DEFAULT_RULES = {
+  default: { capacity: 20, refillPerSecond: 5 },
+  create_room: { capacity: 3, refillPerSecond: 0.2 },
+  create_practice_room: { capacity: 3, refillPerSecond: 0.2 },
+  join_room: { capacity: 5, refillPerSecond: 1 },
+  game_action: { capacity: 10, refillPerSecond: 4 },
+  chat_message: { capacity: 8, refillPerSecond: 1 },
+  spectator_chat_message: { capacity: 8, refillPerSecond: 1 },
+  auth_request_challenge: { capacity: 3, refillPerSecond: 0.2 },
+  auth_verify: { capacity: 3, refillPerSecond: 0.2 },
+  'rest:rooms': { capacity: 20, refillPerSecond: 2 },
+  'rest:room': { capacity: 20, refillPerSecond: 2 },
+  'rest:admin': { capacity: 30, refillPerSecond: 1 },
+  'rest:verify': { capacity: 3, refillPerSecond: 0.1 } // Each verification re-runs a whole battle
+};
+
+/**
+ * Read rule overrides from the environment, e.g. RATE_LIMITS='{"chat_message":{"capacity":5,"refillPerSecond":1}}'
+ * @param {string} value - Environment variable value
+ */
+function parseRules(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Ignoring invalid RATE_LIMITS:', error.message);
+    return {};
+  }
+}
+
+/**
+ * RateLimiter - Token buckets per socket and per IP, with escalation for clients that keep going
+ *
+ * Each socket event takes a token from the socket's bucket and from its IP's bucket, which is larger
+ * so players sharing an address are not penalised for each other. REST requests have no socket, so
+ * their IP's bucket holds exactly what the rule allows. Requests over the limit are dropped;
+ * a client that keeps hitting the limit is warned once, and after that disconnected and its IP
+ * refused for a while.
+ */
+class RateLimiter {
+  /**
+   * @param {object} options - Limiter configuration
+   * @param {object} options.rules - Rule overrides, merged over the defaults
+   * @param {number} options.ipMultiplier - How many sockets' worth of tokens an IP's bucket holds for socket events
+   * @param {number} options.violationWindow - Milliseconds over which rejected requests are counted
+   * @param {number} options.warnAfter - Rejections in the window before the client is warned
+   * @param {number} options.disconnectAfter - Rejections in the window before the client is disconnected
+   * @param {number} options.blockDuration - Milliseconds a disconnected client's IP is refused
+   */
+  constructor(options = {}) {
+    this.rules = {
+      ...DEFAULT_RULES,
+      ...parseRules(process.env.RATE_LIMITS),
+      ...(options.rules || {})
+    };
+    this.ipMultiplier = options.ipMultiplier || parseInt(process.env.RATE_LIMIT_IP_MULTIPLIER, 10) || 5;
+    this.violationWindow = options.violationWindow || parseInt(process.env.RATE_LIMIT_VIOLATION_WINDOW_MS, 10) || 10 * 1000;
+    this.warnAfter = options.warnAfter || parseInt(process.env.RATE_LIMIT_WARN_AFTER, 10) || 3;
+    this.disconnectAfter = options.disconnectAfter || parseInt(process.env.RATE_LIMIT_DISCONNECT_AFTER, 10) || 20;
+    this.blockDuration = options.blockDuration || parseInt(process.env.RATE_LIMIT_BLOCK_MS, 10) || 60 * 1000;
+
+    this.buckets = new Map(); // bucket key -> { tokens, updatedAt, capacity, refillPerSecond }
+    this.violations = new Map(); // client key -> timestamps of rejected requests
+    this.blockedIps = new Map(); // IP -> time the block ends
+  }
+
+  /**
+   * Get the limit that applies to a rule name
+   * @param {string} name - Event name or REST rule name
+   */
+  getRule(name) {
+    return this.rules[name] || this.rules.default;
+  }
+
+  /**
+   * Take tokens from a bucket, refilling it for the time since it was last used
+   * @param {string} key - Bucket key
+   * @param {object} rule - { capacity, refillPerSecond }
+   * @param {number} now - Current timestamp
+   * @returns {number} 0 if the tokens were taken, otherwise milliseconds until they will be available
+   */
+  take(key, rule, now) {
+    const bucket = this.buckets.get(key) || { tokens: rule.capacity, updatedAt: now, ...rule };
+    bucket.tokens = this.refill(bucket, now);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+
+    return rule.refillPerSecond > 0 ? Math.ceil(((1 - bucket.tokens) / rule.refillPerSecond) * 1000) : this.blockDuration;
+  }
+
+  /**
+   * Work out how many tokens a bucket holds at a given time
+   * @param {object} bucket - Bucket state
+   * @param {number} now - Current timestamp
+   */
+  refill(bucket, now) {
+    return Math.min(bucket.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.refillPerSecond);
+  }
+
+  /**
+   * Check a request against the socket's and the IP's limits
+   * @param {string} name - Event name or REST rule name
+   * @param {object} client - { socketId, ip }; REST requests only have an IP
+   * @param {number} now - Current timestamp
+   * @returns {object} { allowed: true } or { allowed: false, action: 'drop' | 'warn' | 'disconnect', retryAfter }
+   */
+  check(name, client, now = Date.now()) {
+    const { socketId, ip } = client;
+
+    if (ip && this.isBlocked(ip, now)) {
+      return { allowed: false, action: 'disconnect', retryAfter: this.blockedIps.get(ip) - now };
+    }
+
+    // Without a socket the IP is the client, so it gets the rule as configured
+    const rule = this.getRule(name);
+    const ipRule = socketId
+      ? { capacity: rule.capacity * this.ipMultiplier, refillPerSecond: rule.refillPerSecond * this.ipMultiplier }
+      : rule;
+
+    // Take from the socket's bucket first, so a socket over its own limit doesn't drain its IP's
+    const socketWait = socketId ? this.take(`socket:${socketId}:${name}`, rule, now) : 0;
+    const retryAfter = socketWait || (ip ? this.take(`ip:${ip}:${name}`, ipRule, now) : 0);
+    if (!retryAfter) return { allowed: true };
+
+    const violations = this.recordViolation(socketId ? `socket:${socketId}` : `ip:${ip}`, now);
+
+    if (violations >= this.disconnectAfter) {
+      if (ip) this.block(ip, now);
+      return { allowed: false, action: 'disconnect', retryAfter: this.blockDuration };
+    }
+
+    return { allowed: false, action: violations === this.warnAfter ? 'warn' : 'drop', retryAfter };
+  }
+
+  /**
+   * Count a rejected request
+   * @param {string} clientKey - Socket or IP key
+   * @param {number} now - Current timestamp
+   * @returns {number} Rejections in the current window, including this one
+   */
+  recordViolation(clientKey, now) {
+    const recent = (this.violations.get(clientKey) || []).filter(time => now - time < this.violationWindow);
+    recent.push(now);
+    this.violations.set(clientKey, recent);
+    return recent.length;
+  }
+
+  /**
+   * Refuse an IP for the block duration
+   * @param {string} ip - Client IP
+   * @param {number} now - Current timestamp
+   */
+  block(ip, now = Date.now()) {
+    this.blockedIps.set(ip, now + this.blockDuration);
+  }
+
+  /**
+   * Check whether an IP is currently refused
+   * @param {string} ip - Client IP
+   * @param {number} now - Current timestamp
+   */
+  isBlocked(ip, now = Date.now()) {
+    const until = this.blockedIps.get(ip);
+    if (!until) return false;
+
+    if (until <= now) {
+      this.blockedIps.delete(ip);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Drop state that no longer affects any decision: full buckets, old violations and expired blocks.
+   * Disconnected sockets' state goes the same way once their buckets have refilled
+   * @param {number} now - Current timestamp
+   */
+  prune(now = Date.now()) {
+    this.buckets.forEach((bucket, key) => {
+      if (this.refill(bucket, now) >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    });
+
+    this.violations.forEach((times, key) => {
+      if (times.every(time => now - time >= this.violationWindow)) {
+        this.violations.delete(key);
+      }
+    });
+
+    this.blockedIps.forEach((until, ip) => {
+      if (until <= now) this.blockedIps.delete(ip);
+    });
+  }
+}
+
+module.exports = RateLimiter;
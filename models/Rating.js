@@ -0,0 +1,45 @@
+/**
+ * Elo rating calculations
+ */
+
+const DEFAULT_RATING = 1200;
+
+// New players move faster until their rating settles
+const PROVISIONAL_GAMES = 30;
+const PROVISIONAL_K_FACTOR = 40;
+const ESTABLISHED_K_FACTOR = 20;
+
+/**
+ * Get the K-factor for a player based on experience
+ * @param {number} gamesPlayed - Rated games played before this one
+ */
+function getKFactor(gamesPlayed) {
+  return gamesPlayed < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : ESTABLISHED_K_FACTOR;
+}
+
+/**
+ * Expected score of player A against player B
+ * @param {number} ratingA - Rating of player A
+ * @param {number} ratingB - Rating of player B
+ */
+function expectedScore(ratingA, ratingB) {
+  return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+/**
+ * Calculate the rating change for a player after one game
+ * @param {object} player - { rating, gamesPlayed }
+ * @param {object} opponent - { rating }
+ * @param {number} score - 1 for a win, 0 for a loss, 0.5 for a draw
+ * @returns {number} Rounded rating delta
+ */
+function calculateDelta(player, opponent, score) {
+  const expected = expectedScore(player.rating, opponent.rating);
+  return Math.round(getKFactor(player.gamesPlayed) * (score - expected));
+}
+
+module.exports = {
+  DEFAULT_RATING,
+  expectedScore,
+  calculateDelta
+};
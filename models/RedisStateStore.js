@@ -0,0 +1,205 @@
+const { v4: uuidv4 } = require('uuid');
+const MemoryStateStore = require('./MemoryStateStore');
+
+const DEFAULT_KEY_PREFIX = 'chronoclash:';
+const LOCK_TTL = 5000; // milliseconds before a crashed holder's lock expires
+const LOCK_TIMEOUT = 2000; // milliseconds to wait for a lock before giving up
+const LOCK_RETRY_DELAY = 20;
+
+// Only delete the lock if it is still ours, so an expired holder cannot release someone else's lock
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * RedisStateStore - Shares rooms between server instances through Redis
+ *
+ * The inherited Maps act as this instance's working copy. Each room is stored as one JSON snapshot of
+ * the room, its seated players and its replay, refreshed before and published after every mutation
+ * while a Redis lock on the room is held. Spectators, sessions, chat, the matchmaking queue and turn
+ * and bot timers belong to the instance their sockets are connected to and are not shared. A client
+ * can therefore only resume its session on the instance it was connected to, so instances have to run
+ * behind a load balancer with sticky sessions, which Socket.IO's HTTP long-polling already needs.
+ */
+class RedisStateStore extends MemoryStateStore {
+  /**
+   * @param {object} options - Store configuration
+   * @param {object} options.client - Redis client with the ioredis command API (get, set, del, sadd, srem, smembers, eval)
+   * @param {string} options.prefix - Prefix for every key this store writes
+   * @param {number} options.lockTtl - Lock expiry in milliseconds
+   * @param {number} options.lockTimeout - How long to wait for a lock in milliseconds
+   */
+  constructor(options = {}) {
+    super();
+    if (!options.client) {
+      throw new Error('RedisStateStore requires a Redis client');
+    }
+
+    this.client = options.client;
+    this.prefix = options.prefix || process.env.REDIS_KEY_PREFIX || DEFAULT_KEY_PREFIX;
+    this.lockTtl = options.lockTtl || LOCK_TTL;
+    this.lockTimeout = options.lockTimeout || LOCK_TIMEOUT;
+    this.shared = true;
+  }
+
+  /**
+   * Build a namespaced key
+   * @param {...string} parts - Key segments
+   */
+  key(...parts) {
+    return this.prefix + parts.join(':');
+  }
+
+  /**
+   * Refresh a room, its seated players and its replay from Redis
+   * @param {string} roomId - Room ID
+   * @returns {Promise<object|null>} The room, or null if it no longer exists
+   */
+  async loadRoom(roomId) {
+    const raw = await this.client.get(this.key('room', roomId));
+    if (!raw) {
+      this.forgetRoom(roomId);
+      return null;
+    }
+
+    const { room, players, replay } = JSON.parse(raw);
+
+    // Spectators are tracked by the instance their sockets are connected to
+    room.spectators = this.rooms.get(roomId)?.spectators || [];
+
+    this.unseatPlayers(roomId, room.players);
+    this.rooms.set(roomId, room);
+    players.forEach(player => {
+      this.players.set(player.id, player);
+      this.playerToRoom.set(player.id, roomId);
+    });
+
+    if (replay) {
+      this.replays.set(roomId, replay);
+    } else {
+      this.replays.delete(roomId);
+    }
+
+    return room;
+  }
+
+  /**
+   * Refresh every room from Redis, dropping local copies of rooms closed elsewhere
+   */
+  async loadRooms() {
+    const roomIds = await this.client.smembers(this.key('rooms'));
+
+    Array.from(this.rooms.keys())
+      .filter(roomId => !roomIds.includes(roomId))
+      .forEach(roomId => this.forgetRoom(roomId));
+
+    await Promise.all(roomIds.map(roomId => this.loadRoom(roomId)));
+  }
+
+  /**
+   * Publish a room to Redis, or remove it if it no longer exists locally
+   * @param {string} roomId - Room ID
+   */
+  async saveRoom(roomId) {
+    const room = this.rooms.get(roomId);
+
+    if (!room) {
+      await this.client.del(this.key('room', roomId));
+      await this.client.srem(this.key('rooms'), roomId);
+      return;
+    }
+
+    const { spectators, ...sharedRoom } = room;
+    const snapshot = {
+      room: sharedRoom,
+      players: room.players.map(id => this.players.get(id)).filter(Boolean),
+      replay: this.replays.get(roomId) || null
+    };
+
+    await this.client.set(this.key('room', roomId), JSON.stringify(snapshot));
+    await this.client.sadd(this.key('rooms'), roomId);
+  }
+
+  /**
+   * Claim a new room's code across every instance
+   * @param {string} roomId - Room ID
+   * @returns {Promise<boolean>} Whether the code was free; false if another instance already uses it
+   */
+  async claimRoomId(roomId) {
+    return await this.client.sadd(this.key('rooms'), roomId) === 1;
+  }
+
+  /**
+   * Drop the local copy of a room that no longer exists in Redis
+   * @param {string} roomId - Room ID
+   */
+  forgetRoom(roomId) {
+    this.unseatPlayers(roomId, []);
+    this.rooms.delete(roomId);
+    this.replays.delete(roomId);
+  }
+
+  /**
+   * Clear local room bindings for players who are no longer seated in a room
+   * @param {string} roomId - Room ID
+   * @param {Array} seatedIds - Player IDs still seated in the room
+   */
+  unseatPlayers(roomId, seatedIds) {
+    const local = this.rooms.get(roomId);
+    if (!local) return;
+
+    local.players
+      .filter(id => !seatedIds.includes(id) && this.playerToRoom.get(id) === roomId)
+      .forEach(id => this.playerToRoom.delete(id));
+  }
+
+  /**
+   * Run a function while holding a lock shared by every instance
+   * @param {string} key - Lock key
+   * @param {Function} fn - Function to run, may be async
+   */
+  async withLock(key, fn) {
+    // Queue locally first so callers on this instance don't compete with each other over Redis
+    return super.withLock(key, async () => {
+      const lockKey = this.key('lock', key);
+      const token = uuidv4();
+      await this.acquireLock(lockKey, token);
+
+      try {
+        return await fn();
+      } finally {
+        await this.client.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token);
+      }
+    });
+  }
+
+  /**
+   * Wait until a Redis lock is free and take it
+   * @param {string} lockKey - Redis key of the lock
+   * @param {string} token - Value identifying this holder
+   */
+  async acquireLock(lockKey, token) {
+    const deadline = Date.now() + this.lockTimeout;
+
+    while (await this.client.set(lockKey, token, 'PX', this.lockTtl, 'NX') !== 'OK') {
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for lock ${lockKey}`);
+      }
+      await sleep(LOCK_RETRY_DELAY);
+    }
+  }
+}
+
+module.exports = RedisStateStore;
+module.exports.RELEASE_LOCK_SCRIPT = RELEASE_LOCK_SCRIPT;
@@ -0,0 +1,171 @@
+const GameStateManager = require('./GameStateManager');
+
+// Event fields that must match between a recorded game and its re-simulation
+const COMPARED_FIELDS = ['type', 'turnCount', 'seat', 'action', 'outcome', 'skipped', 'consecutiveTimeouts', 'winnerSeat', 'reason', 'state'];
+
+/**
+ * Build a character registry that serves the characters exactly as they were when the game was played
+ * @param {Array} players - Player entries from the replay's game_start event
+ */
+function createSnapshotRegistry(players) {
+  const characters = new Map(players.map(player => [player.character.id, player.character]));
+  return {
+    has: characterId => characters.has(characterId),
+    getCharacter: characterId => (characters.has(characterId)
+      ? JSON.parse(JSON.stringify(characters.get(characterId)))
+      : null)
+  };
+}
+
+/**
+ * Build an item registry that serves the items exactly as they were when the game was played
+ * @param {Array} items - Item definitions from the replay's game_start event; absent before version 4
+ */
+function createItemSnapshotRegistry(items = []) {
+  const snapshot = new Map(items.map(item => [item.id, item]));
+  return {
+    has: itemId => snapshot.has(itemId),
+    getItem: itemId => (snapshot.has(itemId) ? JSON.parse(JSON.stringify(snapshot.get(itemId))) : null)
+  };
+}
+
+// Events that replays older than version 2 did not record
+const VERSION_2_EVENTS = ['elimination', 'player_left'];
+
+/**
+ * Bring simulated events down to what an older replay format recorded, so old replays still compare
+ * @param {Array} events - Events produced by the simulation
+ * @param {number} version - Version of the recorded replay
+ */
+function downgradeEvents(events, version) {
+  if (version >= 3) return events;
+
+  return events
+    .filter(event => version >= 2 || !VERSION_2_EVENTS.includes(event.type))
+    .map(event => {
+      if (event.type !== 'action') return event;
+
+      // Attack outcomes arrived with version 3, targets with version 2
+      const { outcome, ...older } = event;
+      if (version >= 2) return older;
+
+      const { targetSeat, ...action } = event.action;
+      return { ...older, action };
+    });
+}
+
+/**
+ * Reduce an event to the fields that describe the outcome
+ * @param {object} event - Replay event
+ */
+function comparable(event) {
+  const picked = {};
+  COMPARED_FIELDS.forEach(field => {
+    if (event[field] !== undefined) picked[field] = event[field];
+  });
+  return picked;
+}
+
+/**
+ * Re-run a recorded game through the combat code and check it reproduces the same events and outcome
+ * @param {object} replay - Replay as stored on a match record: { version, events }
+ * @returns {object} { verified, winnerSeat, reason, mismatches }
+ */
+function simulateReplay(replay) {
+  const events = replay?.events || [];
+  const start = events[0];
+  if (!start || start.type !== 'game_start') {
+    return { verified: false, mismatches: [{ seq: 0, error: 'Replay does not begin with game_start' }] };
+  }
+
+  const sim = new GameStateManager({
+    characterRegistry: createSnapshotRegistry(start.players),
+    itemRegistry: createItemSnapshotRegistry(start.items)
+  });
+  const seatId = seat => `seat-${seat}`;
+  const seats = start.players.slice().sort((a, b) => a.seat - b.seat);
+
+  // Seat everyone in the same order and with the same characters as the original game
+  seats.forEach(player => {
+    sim.registerPlayer(seatId(player.seat), { name: player.name, profileId: player.profileId });
+  });
+  const room = sim.createRoom(seatId(0), { ...start.settings, roomId: 'REPLAY' });
+  seats.slice(1).forEach(player => sim.addPlayerToRoom(seatId(player.seat), room.id));
+  seats.forEach(player => {
+    if (player.team !== undefined && player.team !== null) {
+      sim.setPlayerTeam(seatId(player.seat), player.team);
+    }
+    sim.setPlayerCharacter(seatId(player.seat), player.character.id);
+    sim.setPlayerLoadout(seatId(player.seat), Object.entries(player.loadout || {})
+      .flatMap(([itemId, count]) => Array(count).fill(itemId)));
+  });
+  seats.forEach(player => sim.setPlayerReady(seatId(player.seat), true));
+
+  // Seat 0 hosts unless the host was handed on; replays from before room rules only show that through
+  // who went first, which was always the host
+  const hostSeat = start.hostSeat ?? start.firstSeat;
+  if (hostSeat) {
+    sim.transferHost(seatId(0), seatId(hostSeat));
+  }
+
+  // Replays from before combat rolls have no seed, and their games never rolled
+  const started = sim.startGame(room.id, { seed: start.seed ?? null });
+  if (!started.success) {
+    return { verified: false, mismatches: [{ seq: 0, error: started.error }] };
+  }
+
+  const mismatches = [];
+
+  // Feed the original inputs back in; everything else is produced by the simulation
+  events.forEach(event => {
+    if (room.status !== 'in-progress') return;
+
+    if (event.type === 'action') {
+      const { targetSeat, ...action } = event.action;
+      if (targetSeat !== undefined) {
+        action.targetId = seatId(targetSeat);
+      }
+
+      const result = sim.processGameAction(seatId(event.seat), action);
+      if (!result.success) {
+        mismatches.push({ seq: event.seq, error: `Action rejected: ${result.error}` });
+      }
+    } else if (event.type === 'turn_timeout') {
+      sim.processTurnTimeout(room.id, room.gameData.turnCount);
+    } else if (event.type === 'player_left') {
+      sim.removePlayerFromRoom(seatId(event.seat), room.id);
+    } else if (event.type === 'game_end' && event.reason === 'abandoned' && replay.version < 2) {
+      // Version 1 replays only recorded the outcome of a one-on-one game someone walked out of
+      const leaver = seats.find(player => player.seat !== event.winnerSeat);
+      sim.removePlayerFromRoom(seatId(leaver.seat), room.id);
+    } else if (event.type === 'game_end' && event.reason === 'admin') {
+      const winner = seats.find(player => player.seat === event.winnerSeat);
+      sim.forceEndGame(room.id, winner ? seatId(winner.seat) : null);
+    }
+  });
+
+  const simulated = downgradeEvents(room.gameData.matchId
+    ? sim.playerStore.getMatch(room.gameData.matchId).replay.events
+    : sim.replays.get(room.id) || [], replay.version || 1);
+
+  const length = Math.max(events.length, simulated.length);
+  for (let seq = 0; seq < length; seq++) {
+    const expected = events[seq] ? comparable(events[seq]) : null;
+    const actual = simulated[seq] ? comparable(simulated[seq]) : null;
+    if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+      mismatches.push({ seq, expected, actual });
+    }
+  }
+
+  const end = simulated.find(event => event.type === 'game_end');
+  return {
+    verified: mismatches.length === 0,
+    winnerSeat: end ? end.winnerSeat : null,
+    reason: end ? end.reason : null,
+    mismatches
+  };
+}
+
+module.exports = {
+  simulateReplay
+};
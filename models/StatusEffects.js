@@ -0,0 +1,67 @@
+/**
+ * Status effect definitions shared by the character catalog and the combat code
+ *
+ * Effects are attached to abilities as { type, target, duration, magnitude }:
+ * - target is 'enemy', 'self' or 'ally' (the teammate the ability is aimed at, or the user)
+ * - duration counts the affected player's turns; instant effects have none
+ * - magnitude is hit points for damage, heals and shields, mana for mana restores, or a percentage
+ *   for buffs; stuns and cleanses have none
+ *
+ * Items carry effects in the same form, always targeting 'self'.
+ */
+const EFFECT_TYPES = {
+  poison: { name: 'Poison', kind: 'tick_damage', negative: true },
+  burn: { name: 'Burn', kind: 'tick_damage', negative: true },
+  regen: { name: 'Regeneration', kind: 'tick_heal', negative: false },
+  heal: { name: 'Heal', kind: 'instant_heal', negative: false, instant: true },
+  restore_mana: { name: 'Mana Restore', kind: 'instant_mana', negative: false, instant: true },
+  cleanse: { name: 'Cleanse', kind: 'cleanse', negative: false, instant: true }, // Removes every negative effect
+  shield: { name: 'Shield', kind: 'shield', negative: false },
+  stun: { name: 'Stun', kind: 'stun', negative: true },
+  attack_up: { name: 'Attack Up', kind: 'attack_modifier', negative: false, sign: 1 },
+  attack_down: { name: 'Attack Down', kind: 'attack_modifier', negative: true, sign: -1 },
+  empower: { name: 'Empowered', kind: 'attack_modifier', negative: false, sign: 1, consumedOnAttack: true },
+  defense_up: { name: 'Defense Up', kind: 'defense_modifier', negative: false, sign: 1 },
+  defense_down: { name: 'Defense Down', kind: 'defense_modifier', negative: true, sign: -1 },
+  guard: { name: 'Guard', kind: 'defense_modifier', negative: false, sign: 1 } // Applied by the built-in defend action
+};
+
+const EFFECT_TARGETS = ['enemy', 'self', 'ally'];
+
+/**
+ * Get the definition of an effect type
+ * @param {string} type - Effect type
+ */
+function getEffectType(type) {
+  return EFFECT_TYPES[type] || null;
+}
+
+/**
+ * Describe what is wrong with an ability's effect definition, if anything
+ * @param {object} effect - Effect definition
+ * @returns {string|null} Error description, or null when valid
+ */
+function validateEffect(effect) {
+  if (!effect || typeof effect !== 'object') return 'effect must be an object';
+
+  const definition = getEffectType(effect.type);
+  if (!definition) return `unknown effect type "${effect.type}"`;
+
+  if (!EFFECT_TARGETS.includes(effect.target)) return `effect "${effect.type}" has an invalid target`;
+
+  if (!definition.instant && (!Number.isInteger(effect.duration) || effect.duration < 1)) {
+    return `effect "${effect.type}" needs a positive integer duration`;
+  }
+
+  if (!['stun', 'cleanse'].includes(definition.kind) && (!Number.isFinite(effect.magnitude) || effect.magnitude <= 0)) {
+    return `effect "${effect.type}" needs a positive magnitude`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  EFFECT_TYPES,
+  getEffectType,
+  validateEffect
+};
@@ -0,0 +1,135 @@
+const express = require('express');
+const request = require('supertest');
+const { createGameState, seatPlayers, startBattle } = require('./support/battle');
+const { createFakeIo } = require('./support/io');
+
+// The admin token is read when the controller is loaded
+const ADMIN_TOKEN = 'test-admin-token';
+const previousToken = process.env.ADMIN_TOKEN;
+process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+const { createAdminRouter, refuseBannedPlayers } = require('../controllers/adminController');
+
+afterAll(() => {
+  if (previousToken === undefined) {
+    delete process.env.ADMIN_TOKEN;
+  } else {
+    process.env.ADMIN_TOKEN = previousToken;
+  }
+});
+
+describe('admin API', () => {
+  let gameState;
+  let io;
+  let app;
+
+  /**
+   * Send an authorised admin request
+   * @param {string} method - HTTP method
+   * @param {string} url - Path under /api/admin
+   */
+  function admin(method, url) {
+    return request(app)[method](`/api/admin${url}`).set('Authorization', `Bearer ${ADMIN_TOKEN}`);
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    gameState = createGameState();
+    io = createFakeIo();
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', createAdminRouter(gameState, io));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refuses requests without the admin token', async () => {
+    await request(app).get('/api/admin/rooms').expect(401);
+    await request(app).get('/api/admin/rooms').set('Authorization', 'Bearer wrong').expect(401);
+    await admin('get', '/rooms').expect(200);
+  });
+
+  test('lists rooms and players', async () => {
+    const room = seatPlayers(gameState, ['alice', 'bob']);
+
+    const rooms = await admin('get', '/rooms').expect(200);
+    const one = await admin('get', `/rooms/${room.id}`).expect(200);
+    const players = await admin('get', '/players').expect(200);
+
+    expect(rooms.body.rooms.map(entry => entry.id)).toEqual([room.id]);
+    expect(one.body.room.players).toEqual(['alice', 'bob']);
+    expect(players.body.players.map(player => player.id).sort()).toEqual(['alice', 'bob']);
+    await admin('get', '/rooms/NOPE00').expect(404);
+  });
+
+  test('closes a room and tells everyone in it', async () => {
+    const room = seatPlayers(gameState, ['alice', 'bob']);
+
+    await admin('post', `/rooms/${room.id}/close`).expect(200, { roomId: room.id, closed: true });
+
+    expect(gameState.getRoom(room.id)).toBeUndefined();
+    expect(io.sentTo(room.id, 'room_closed')).toEqual([{ roomId: room.id, reason: 'admin' }]);
+  });
+
+  test('ends a stuck game with a declared winner', async () => {
+    const room = startBattle(gameState);
+
+    await admin('post', `/rooms/${room.id}/end`).send({ winnerId: 'carol' }).expect(400);
+    const ended = await admin('post', `/rooms/${room.id}/end`).send({ winnerId: 'bob' }).expect(200);
+
+    expect(ended.body).toMatchObject({ roomId: room.id, winnerId: 'bob' });
+    expect(room.status).toBe('completed');
+    expect(io.sentTo(room.id, 'game_over')).toHaveLength(1);
+  });
+
+  test('bans a player everywhere until the ban is lifted', async () => {
+    seatPlayers(gameState, ['alice', 'bob']);
+    const profileId = gameState.getPlayer('bob').profileId;
+
+    const banned = await admin('post', '/players/bob/ban').send({ reason: 'cheating', durationMs: 60000 }).expect(200);
+
+    expect(banned.body.ban).toMatchObject({ profileId, reason: 'cheating' });
+    expect(banned.body.kicked).toEqual(['bob']);
+    expect(io.sentTo('bob', 'banned')).toEqual([{ reason: 'cheating', expiresAt: banned.body.ban.expiresAt }]);
+    expect(io.sentTo('bob', 'disconnect')).toHaveLength(1);
+    expect(gameState.getPlayer('bob')).toBeUndefined();
+
+    const bans = await admin('get', '/bans').expect(200);
+    expect(bans.body.bans.map(ban => ban.profileId)).toEqual([profileId]);
+
+    await admin('delete', `/bans/${profileId}`).expect(200);
+    await admin('delete', `/bans/${profileId}`).expect(404);
+  });
+
+  test('validates kick reasons and announcements', async () => {
+    gameState.registerPlayer('alice', { name: 'alice' });
+
+    await admin('post', '/players/alice/kick').send({ reason: 'x'.repeat(201) }).expect(400);
+    await admin('post', '/players/nobody/kick').expect(404);
+    await admin('post', '/announcements').send({ message: 'Restarting soon', level: 'loud' }).expect(400);
+    await admin('post', '/announcements').send({ message: 'Restarting soon', level: 'warning' }).expect(200);
+
+    expect(io.sentTo(null, 'server_announcement')).toEqual([expect.objectContaining({ message: 'Restarting soon', level: 'warning' })]);
+  });
+});
+
+describe('refuseBannedPlayers', () => {
+  test('refuses a banned guest who proves who they are, and lets anyone else start over', () => {
+    const gameState = createGameState();
+    const store = gameState.playerStore;
+    const { profileId, guestToken } = store.identifyGuest();
+    store.banProfile(profileId);
+    const check = refuseBannedPlayers(store);
+
+    const outcome = auth => {
+      const next = jest.fn();
+      check({ handshake: { auth } }, next);
+      return next.mock.calls[0][0];
+    };
+
+    expect(outcome({ profileId, guestToken })).toEqual(new Error('This player is banned'));
+    expect(outcome({ profileId })).toBeUndefined();
+    expect(outcome({})).toBeUndefined();
+  });
+});
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { addressFromOwner, buildChallengeMessage, verifySignature } = require('../models/ArweaveAuth');
+const { handleAuthChallenge, handleAuthVerify } = require('../controllers/authController');
+const { createGameState, seatPlayers } = require('./support/battle');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+
+/**
+ * Create a wallet key pair; real Arweave keys are 4096 bits, smaller ones verify the same way
+ */
+function createWallet() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, publicExponent: 65537 });
+  const owner = publicKey.export({ format: 'jwk' }).n;
+  return { privateKey, owner, address: addressFromOwner(owner) };
+}
+
+/**
+ * Sign a message the way wallet signMessage APIs do, over its SHA-256 digest
+ * @param {object} wallet - Wallet from createWallet
+ * @param {string} message - Message to sign
+ */
+function signMessage(wallet, message) {
+  const digest = crypto.createHash('sha256').update(message).digest();
+  return crypto.sign('sha256', digest, {
+    key: wallet.privateKey,
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: 32
+  }).toString('base64url');
+}
+
+describe('Arweave signatures', () => {
+  let wallet;
+
+  beforeAll(() => {
+    wallet = createWallet();
+  });
+
+  test('the address is the hash of the public key', () => {
+    const modulus = Buffer.from(wallet.owner, 'base64url');
+    expect(wallet.address).toBe(crypto.createHash('sha256').update(modulus).digest('base64url'));
+  });
+
+  test('accepts a signature by the wallet over the message', () => {
+    const message = buildChallengeMessage('abc123');
+
+    expect(message).toBe('Sign in to Chrono Clash\nNonce: abc123');
+    expect(verifySignature({ owner: wallet.owner, signature: signMessage(wallet, message), message })).toBe(true);
+  });
+
+  test('refuses signatures over another message or by another key', () => {
+    const signature = signMessage(wallet, buildChallengeMessage('abc123'));
+
+    expect(verifySignature({ owner: wallet.owner, signature, message: buildChallengeMessage('other') })).toBe(false);
+    expect(verifySignature({ owner: createWallet().owner, signature, message: buildChallengeMessage('abc123') })).toBe(false);
+    expect(verifySignature({ owner: 'not a key', signature, message: 'anything' })).toBe(false);
+  });
+});
+
+describe('wallet sign-in', () => {
+  let wallet;
+  let gameState;
+  let io;
+  let socket;
+
+  beforeAll(() => {
+    wallet = createWallet();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    gameState = createGameState();
+    io = createFakeIo();
+    socket = createFakeSocket(io, 'alice');
+    gameState.registerPlayer('alice', { name: 'Guest' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Ask for a challenge and answer it with the wallet
+   * @param {object} overrides - Answer fields to change
+   */
+  function signIn(overrides = {}) {
+    handleAuthChallenge(socket, {}, gameState, io);
+    const [challenge] = socket.sent('auth_challenge').slice(-1);
+    handleAuthVerify(socket, {
+      address: wallet.address,
+      publicKey: wallet.owner,
+      signature: signMessage(wallet, challenge.message),
+      ...overrides
+    }, gameState, io);
+  }
+
+  test('a signed challenge makes the wallet address the player\'s identity', () => {
+    signIn();
+
+    const [success] = socket.sent('auth_success');
+    expect(success).toMatchObject({ profileId: wallet.address, walletAddress: wallet.address });
+    expect(gameState.getPlayer('alice')).toMatchObject({ profileId: wallet.address, isGuest: false });
+  });
+
+  test('each challenge can only be answered once', () => {
+    signIn();
+    const [challenge] = socket.sent('auth_challenge');
+
+    handleAuthVerify(socket, {
+      address: wallet.address,
+      publicKey: wallet.owner,
+      signature: signMessage(wallet, challenge.message)
+    }, gameState, io);
+
+    expect(socket.sent('auth_error')).toEqual([expect.objectContaining({ code: 'AUTH_CHALLENGE_MISSING' })]);
+  });
+
+  test('a public key must belong to the claimed address', () => {
+    signIn({ address: createWallet().address });
+
+    expect(socket.sent('auth_error')).toEqual([expect.objectContaining({ code: 'AUTH_FAILED' })]);
+    expect(gameState.getPlayer('alice').isGuest).not.toBe(false);
+  });
+
+  test('banned wallets and seated players cannot sign in', () => {
+    gameState.playerStore.banProfile(wallet.address);
+    expect(gameState.authenticatePlayer('alice', wallet.address)).toMatchObject({ success: false, code: 'BANNED' });
+
+    seatPlayers(gameState, ['bob']);
+    expect(gameState.authenticatePlayer('bob', createWallet().address)).toMatchObject({ success: false, code: 'IN_ROOM' });
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CharacterRegistry = require('../models/CharacterRegistry');
+const { createGameState, seatPlayers } = require('./support/battle');
+
+/**
+ * Write a catalog to a temporary file
+ * @param {object} catalog - Catalog contents
+ */
+function writeCatalog(catalog) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'characters-')), 'characters.json');
+  fs.writeFileSync(file, JSON.stringify(catalog));
+  return file;
+}
+
+const VALID_CHARACTER = {
+  id: 'test-hero',
+  name: 'Test Hero',
+  element: 'tech',
+  health: 100,
+  mana: 50,
+  abilities: [{ id: 'jab', name: 'Jab', damage: 10, manaCost: 0, damageType: 'physical' }]
+};
+
+describe('CharacterRegistry', () => {
+  test('loads the bundled catalog', () => {
+    const registry = new CharacterRegistry();
+
+    expect(registry.getCatalog().map(character => character.id)).toEqual(
+      expect.arrayContaining(['chrono-knight', 'neon-samurai', 'sun-pharaoh', 'steam-engineer'])
+    );
+    expect(registry.has('chrono-knight')).toBe(true);
+    expect(registry.has('made-up')).toBe(false);
+    expect(registry.getCharacter('made-up')).toBeNull();
+  });
+
+  test('hands out copies, so changing one never changes the catalog', () => {
+    const registry = new CharacterRegistry();
+
+    const copy = registry.getCharacter('chrono-knight');
+    copy.health = 9999;
+    copy.abilities[0].damage = 9999;
+
+    expect(registry.getCharacter('chrono-knight').health).toBe(120);
+    expect(registry.getCharacter('chrono-knight').abilities[0].damage).toBe(18);
+  });
+
+  test('refuses a catalog with invalid stats', () => {
+    const file = writeCatalog({ characters: [{ ...VALID_CHARACTER, health: -5 }] });
+    expect(() => new CharacterRegistry(file)).toThrow('invalid health');
+  });
+
+  test('refuses a catalog with duplicate characters', () => {
+    const file = writeCatalog({ characters: [VALID_CHARACTER, VALID_CHARACTER] });
+    expect(() => new CharacterRegistry(file)).toThrow('Duplicate character id');
+  });
+});
+
+describe('character selection', () => {
+  test('takes stats and abilities from the catalog', () => {
+    const gameState = createGameState();
+    seatPlayers(gameState, ['alice']);
+
+    const result = gameState.setPlayerCharacter('alice', 'sun-pharaoh');
+
+    expect(result.success).toBe(true);
+    expect(result.player.character.id).toBe('sun-pharaoh');
+    expect(result.player.maxHealth).toBe(90);
+    expect(result.player.maxMana).toBe(120);
+    expect(result.player.character.abilities.map(ability => ability.id)).toContain('wrath-of-ra');
+  });
+
+  test('rejects characters that are not in the catalog', () => {
+    const gameState = createGameState();
+    seatPlayers(gameState, ['alice']);
+
+    const result = gameState.setPlayerCharacter('alice', 'overpowered-hacker');
+
+    expect(result).toMatchObject({ success: false, code: 'UNKNOWN_CHARACTER' });
+    expect(gameState.getPlayer('alice').character).toBeNull();
+  });
+});
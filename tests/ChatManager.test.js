@@ -0,0 +1,100 @@
+const ChatManager = require('../models/ChatManager');
+const { LOBBY_CHANNEL } = require('../models/ChatManager');
+const { handleChatMessage, handleMutePlayer } = require('../controllers/chatController');
+const { createGameState, seatPlayers } = require('./support/battle');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+
+const alice = { id: 'alice', name: 'Alice' };
+
+describe('ChatManager', () => {
+  test('trims, caps and filters messages', () => {
+    const chat = new ChatManager({ blockedWords: ['darn'] });
+
+    const { message } = chat.createMessage(alice, `  Darn it, ${'a'.repeat(600)}`, 'ROOM01');
+
+    expect(message).toMatchObject({ channel: 'ROOM01', playerId: 'alice', playerName: 'Alice' });
+    expect(message.message).toHaveLength(500);
+    expect(message.message.startsWith('**** it, ')).toBe(true);
+    expect(chat.createMessage(alice, 'darnation', 'ROOM01').message.message).toBe('darnation');
+  });
+
+  test('refuses empty messages', () => {
+    const chat = new ChatManager();
+
+    expect(chat.createMessage(alice, '   ', 'ROOM01')).toMatchObject({ success: false, code: 'MESSAGE_EMPTY' });
+  });
+
+  test('limits how quickly a player can send', () => {
+    const chat = new ChatManager({ rateLimitCount: 2, rateLimitWindow: 1000 });
+    const now = Date.now();
+
+    expect(chat.checkRateLimit('alice', now)).toBe(true);
+    expect(chat.checkRateLimit('alice', now + 10)).toBe(true);
+    expect(chat.checkRateLimit('alice', now + 20)).toBe(false);
+    expect(chat.checkRateLimit('bob', now + 20)).toBe(true);
+    expect(chat.checkRateLimit('alice', now + 1005)).toBe(true);
+  });
+
+  test('keeps a bounded history per channel and forgets a room with its sub-channels', () => {
+    const chat = new ChatManager({ historySize: 2 });
+    ['one', 'two', 'three'].forEach(text => chat.addToHistory('ROOM01', { message: text }));
+    chat.addToHistory('ROOM01:spectators', { message: 'hi' });
+    chat.addToHistory(LOBBY_CHANNEL, { message: 'lobby' });
+
+    expect(chat.getHistory('ROOM01').map(entry => entry.message)).toEqual(['two', 'three']);
+
+    chat.clearRoom('ROOM01');
+    expect(chat.getHistory('ROOM01')).toEqual([]);
+    expect(chat.getHistory('ROOM01:spectators')).toEqual([]);
+    expect(chat.getHistory(LOBBY_CHANNEL)).toHaveLength(1);
+  });
+});
+
+describe('room chat', () => {
+  let gameState;
+  let io;
+  let room;
+  let sockets;
+
+  beforeEach(() => {
+    gameState = createGameState();
+    io = createFakeIo();
+    sockets = Object.fromEntries(['alice', 'bob', 'carol'].map(id => [id, createFakeSocket(io, id)]));
+    room = seatPlayers(gameState, ['alice', 'bob']);
+    gameState.registerPlayer('carol', { name: 'carol' });
+  });
+
+  test('room messages go to the sender\'s own room, whatever channel the client names', () => {
+    handleChatMessage(sockets.bob, { message: 'hello', channel: 'SOMEWHERE_ELSE' }, gameState, io);
+
+    expect(io.sentTo(room.id, 'chat_message')).toEqual([expect.objectContaining({ message: 'hello', playerId: 'bob' })]);
+    expect(gameState.chat.getHistory(room.id)).toHaveLength(1);
+  });
+
+  test('players outside a room can only use the lobby', () => {
+    handleChatMessage(sockets.carol, { message: 'anyone?' }, gameState, io);
+    handleChatMessage(sockets.carol, { message: 'anyone?', channel: LOBBY_CHANNEL }, gameState, io);
+
+    expect(sockets.carol.sent('chat_error')).toEqual([expect.objectContaining({ code: 'NOT_IN_ROOM' })]);
+    expect(io.sentTo(LOBBY_CHANNEL, 'chat_message')).toHaveLength(1);
+  });
+
+  test('the host can mute and unmute players in their room', () => {
+    handleMutePlayer(sockets.alice, { playerId: 'bob' }, gameState, io);
+    handleChatMessage(sockets.bob, { message: 'let me talk' }, gameState, io);
+
+    expect(io.sentTo(room.id, 'player_muted')).toEqual([{ playerId: 'bob', playerName: 'bob', muted: true }]);
+    expect(sockets.bob.sent('chat_error')).toEqual([expect.objectContaining({ code: 'MUTED' })]);
+
+    handleMutePlayer(sockets.alice, { playerId: 'bob', muted: false }, gameState, io);
+    handleChatMessage(sockets.bob, { message: 'thanks' }, gameState, io);
+    expect(io.sentTo(room.id, 'chat_message')).toHaveLength(1);
+  });
+
+  test('only the host can mute', () => {
+    handleMutePlayer(sockets.bob, { playerId: 'alice' }, gameState, io);
+
+    expect(sockets.bob.sent('mute_player_error')).toEqual([expect.objectContaining({ code: 'NOT_HOST' })]);
+    expect(gameState.chat.isMuted(room.id, gameState.getPlayer('alice').profileId)).toBe(false);
+  });
+});
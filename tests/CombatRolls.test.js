@@ -0,0 +1,124 @@
+const { createSeed, createGenerator, nextRandom } = require('../models/Random');
+const { createGameState, startBattle, act } = require('./support/battle');
+
+const ATTACK = { id: 'test-strike', name: 'Test Strike', damage: 20 };
+const SEED = '0123456789abcdef0123456789abcdef';
+
+/**
+ * Build just enough of a room for combat rolls
+ * @param {string} seed - Generator seed
+ */
+function seededRoom(seed) {
+  return { gameData: { rng: createGenerator(seed) } };
+}
+
+/**
+ * Draw several numbers from a fresh generator
+ * @param {string|number} seed - Generator seed
+ * @param {number} count - How many numbers to draw
+ */
+function sequence(seed, count = 5) {
+  const generator = createGenerator(seed);
+  return Array.from({ length: count }, () => {
+    const next = nextRandom(generator);
+    generator.state = next.state;
+    return next.value;
+  });
+}
+
+/**
+ * Roll the same attack several times in one room
+ * @param {GameStateManager} gameState - Game state manager instance
+ * @param {object} room - Room data
+ * @param {object} ability - Ability being used
+ * @param {number} times - How many attacks to roll
+ */
+function rollMany(gameState, room, ability, times) {
+  return Array.from({ length: times }, () => gameState.rollAttack(room, ability));
+}
+
+describe('Random', () => {
+  test('the same seed always produces the same numbers', () => {
+    const seed = createSeed();
+
+    expect(sequence(seed)).toEqual(sequence(seed));
+    expect(sequence(seed)).not.toEqual(sequence(createSeed()));
+    sequence(seed).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  test('seeds are 128-bit keys, too many to try them all against a battle log', () => {
+    expect(createSeed()).toMatch(/^[0-9a-f]{32}$/);
+    expect(createSeed()).not.toBe(createSeed());
+  });
+
+  test('32-bit seeds from older replays still draw the numbers they were played with', () => {
+    expect(createGenerator(42)).toEqual({ seed: 42, state: 42 });
+    expect(sequence(42, 3)).toEqual([0.6011037519201636, 0.44829055899754167, 0.8524657934904099]);
+  });
+});
+
+describe('attack rolls', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+  });
+
+  test('games without a generator always hit for the ability\'s damage', () => {
+    expect(gameState.rollAttack({ gameData: { rng: null } }, ATTACK)).toEqual({ outcome: 'hit', damage: 20 });
+  });
+
+  test('the same seed rolls the same outcomes, and the generator state moves on', () => {
+    const room = seededRoom(SEED);
+
+    const first = rollMany(gameState, room, ATTACK, 20);
+    const second = rollMany(gameState, seededRoom(SEED), ATTACK, 20);
+
+    expect(first).toEqual(second);
+    expect(room.gameData.rng.seed).toBe(SEED);
+    expect(room.gameData.rng.state).toBeGreaterThan(0);
+  });
+
+  test('damage stays within the ability\'s variance', () => {
+    const rolls = rollMany(gameState, seededRoom(SEED), { ...ATTACK, accuracy: 100, critChance: 0, damageVariance: 10 }, 50);
+
+    rolls.forEach(roll => {
+      expect(roll.outcome).toBe('hit');
+      expect(roll.damage).toBeGreaterThanOrEqual(18);
+      expect(roll.damage).toBeLessThanOrEqual(22);
+    });
+  });
+
+  test('accuracy and crit chance decide misses and critical hits', () => {
+    const misses = rollMany(gameState, seededRoom(SEED), { ...ATTACK, accuracy: 0 }, 10);
+    const crits = rollMany(gameState, seededRoom(SEED), { ...ATTACK, accuracy: 100, critChance: 100, critMultiplier: 2, damageVariance: 0 }, 10);
+
+    expect(misses.every(roll => roll.outcome === 'miss' && roll.damage === 0)).toBe(true);
+    expect(crits.every(roll => roll.outcome === 'crit' && roll.damage === 40)).toBe(true);
+  });
+
+  test('seeded battles play out the same way and report each roll', () => {
+    const fight = () => {
+      const battleState = createGameState();
+      const room = startBattle(battleState, { seed: SEED });
+      const results = [
+        act(battleState, room, { type: 'ability', abilityId: 'temporal-slash' }),
+        act(battleState, room, { type: 'ability', abilityId: 'gear-barrage' }),
+        act(battleState, room, { type: 'ability', abilityId: 'temporal-slash' })
+      ];
+      return {
+        outcomes: results.map(result => result.outcome),
+        health: ['alice', 'bob'].map(id => battleState.getPlayer(id).health),
+        log: room.gameData.battleLog
+      };
+    };
+
+    const first = fight();
+
+    expect(fight()).toEqual(first);
+    first.outcomes.forEach(outcome => expect(['hit', 'miss', 'crit']).toContain(outcome));
+  });
+});
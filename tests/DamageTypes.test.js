@@ -0,0 +1,82 @@
+const { DAMAGE_TYPES, getEffectiveness, describeEffectiveness } = require('../models/DamageTypes');
+const { createGameState, startBattle, act } = require('./support/battle');
+
+/**
+ * Build a combatant with just the stats the damage formula reads
+ * @param {object} character - Character stats: element, defense, resistances
+ * @param {Array} effects - Active status effects
+ */
+function combatant(character = {}, effects = []) {
+  return { character, effects };
+}
+
+describe('type effectiveness', () => {
+  test('each element overpowers the next in the cycle and is resisted by the one before', () => {
+    expect(getEffectiveness('temporal', 'tech')).toBe(1.5);
+    expect(getEffectiveness('tech', 'steam')).toBe(1.5);
+    expect(getEffectiveness('steam', 'solar')).toBe(1.5);
+    expect(getEffectiveness('solar', 'temporal')).toBe(1.5);
+    expect(getEffectiveness('temporal', 'solar')).toBe(0.75);
+    expect(getEffectiveness('temporal', 'steam')).toBe(1);
+  });
+
+  test('physical damage and characters without an element are always neutral', () => {
+    expect(DAMAGE_TYPES).toContain('physical');
+    expect(getEffectiveness('physical', 'tech')).toBe(1);
+    expect(getEffectiveness('solar', undefined)).toBe(1);
+  });
+
+  test('multipliers are named for the client', () => {
+    expect(describeEffectiveness(1.5)).toBe('super_effective');
+    expect(describeEffectiveness(0.75)).toBe('resisted');
+    expect(describeEffectiveness(1)).toBe('neutral');
+  });
+});
+
+describe('damage formula', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+  });
+
+  test('defense, resistances and effectiveness all scale the hit', () => {
+    const attacker = combatant();
+    const calculate = (defender, damageType) => gameState.calculateDamage(attacker, defender, 100, damageType);
+
+    expect(calculate(combatant({ defense: 0 }), 'physical')).toEqual({ damage: 100, effectiveness: 'neutral' });
+    expect(calculate(combatant({ defense: 25 }), 'physical').damage).toBe(80);
+    expect(calculate(combatant({ resistances: { steam: 20 } }), 'steam').damage).toBe(80);
+    expect(calculate(combatant({ resistances: { steam: -15 } }), 'steam').damage).toBe(115);
+    expect(calculate(combatant({ element: 'tech' }), 'temporal')).toEqual({ damage: 150, effectiveness: 'super_effective' });
+    expect(calculate(combatant({ element: 'solar' }), 'temporal')).toEqual({ damage: 75, effectiveness: 'resisted' });
+  });
+
+  test('characters without the newer stats take damage as before', () => {
+    expect(gameState.calculateDamage(combatant(), { effects: [] }, 30).damage).toBe(30);
+  });
+
+  test('attack and defense effects stack with the character\'s stats', () => {
+    const empowered = combatant({}, [{ type: 'attack_up', magnitude: 50, duration: 1 }]);
+    const guarded = combatant({}, [{ type: 'defense_up', magnitude: 50, duration: 1 }]);
+
+    expect(gameState.calculateDamage(empowered, combatant(), 20).damage).toBe(30);
+    expect(gameState.calculateDamage(combatant(), guarded, 20).damage).toBe(10);
+  });
+
+  test('a super effective hit is reported in the action result and the battle log', () => {
+    const room = startBattle(gameState, {
+      players: [
+        { id: 'alice', characterId: 'chrono-knight' },
+        { id: 'bob', characterId: 'neon-samurai' }
+      ]
+    });
+
+    const result = act(gameState, room, { type: 'ability', abilityId: 'temporal-slash' });
+
+    // 18 temporal damage, x1.5 against tech, through 5 defense
+    expect(result).toMatchObject({ success: true, effectiveness: 'super_effective', damage: 26 });
+    expect(gameState.getPlayer('bob').health).toBe(74);
+    expect(room.gameData.battleLog).toContain('Super effective!');
+  });
+});
@@ -0,0 +1,149 @@
+const { handleKickPlayer, handleLeaveRoom } = require('../controllers/gameController');
+const { createGameState, seatPlayers, startBattle } = require('./support/battle');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+
+describe('room passwords and invites', () => {
+  let gameState;
+  let room;
+
+  beforeEach(() => {
+    gameState = createGameState();
+    room = seatPlayers(gameState, ['alice'], { password: 'open sesame' });
+    ['bob', 'carol'].forEach(id => gameState.registerPlayer(id, { name: id }));
+  });
+
+  test('a password-protected room needs the right password', () => {
+    expect(gameState.addPlayerToRoom('bob', room.id)).toMatchObject({ success: false, code: 'PASSWORD_REQUIRED' });
+    expect(gameState.addPlayerToRoom('bob', room.id, { password: 'open barley' })).toMatchObject({ success: false, code: 'PASSWORD_INCORRECT' });
+    expect(gameState.addPlayerToRoom('bob', room.id, { password: 'open sesame' }).success).toBe(true);
+  });
+
+  test('the password is stored hashed and never shown to players', () => {
+    expect(JSON.stringify(room.password)).not.toContain('open sesame');
+
+    const visible = gameState.getClientRoom(room);
+    expect(visible.hasPassword).toBe(true);
+    expect(visible).not.toHaveProperty('password');
+    expect(visible).not.toHaveProperty('invites');
+  });
+
+  test('an invite gets one player in without the password', () => {
+    const { token } = gameState.createInvite('alice');
+
+    expect(gameState.addPlayerToRoom('bob', room.id, { inviteToken: token }).success).toBe(true);
+    gameState.removePlayerFromRoom('bob', room.id);
+    expect(gameState.addPlayerToRoom('carol', room.id, { inviteToken: token })).toMatchObject({ success: false, code: 'INVITE_INVALID' });
+  });
+
+  test('only the host can invite', () => {
+    gameState.addPlayerToRoom('bob', room.id, { password: 'open sesame' });
+
+    expect(gameState.createInvite('bob')).toMatchObject({ success: false, code: 'NOT_HOST' });
+  });
+
+  test('joining a private room takes an invite, even with no password set', () => {
+    const hidden = seatPlayers(gameState, ['dave'], { isPrivate: true });
+    const { token } = gameState.createInvite('dave');
+
+    expect(gameState.addPlayerToRoom('carol', hidden.id)).toMatchObject({ success: false, code: 'INVITE_INVALID' });
+    expect(gameState.addPlayerToRoom('carol', hidden.id, { inviteToken: token }).success).toBe(true);
+  });
+
+  test('spectating a private room takes an invite', () => {
+    const hidden = seatPlayers(gameState, ['dave', 'erin'], { isPrivate: true });
+    const { token } = gameState.createInvite('dave');
+
+    expect(gameState.addSpectator('carol', hidden.id)).toMatchObject({ success: false, code: 'INVITE_INVALID' });
+    expect(gameState.addSpectator('carol', hidden.id, { inviteToken: token }).success).toBe(true);
+  });
+});
+
+describe('kicks, bans and handing over the room', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a kicked player can come back, a banned one cannot', () => {
+    const room = seatPlayers(gameState, ['alice', 'bob', 'carol'], { mode: 'ffa' });
+
+    expect(gameState.kickPlayer('alice', 'bob')).toMatchObject({ success: true, banned: false });
+    expect(gameState.kickPlayer('alice', 'carol', true)).toMatchObject({ success: true, banned: true });
+
+    expect(room.players).toEqual(['alice']);
+    expect(gameState.addPlayerToRoom('bob', room.id).success).toBe(true);
+    expect(gameState.addPlayerToRoom('carol', room.id)).toMatchObject({ success: false, code: 'BANNED' });
+    expect(gameState.addSpectator('carol', room.id)).toMatchObject({ success: false, code: 'BANNED' });
+  });
+
+  test('a ban follows the player\'s profile to a new connection', () => {
+    const room = seatPlayers(gameState, ['alice', 'bob']);
+    const profileId = gameState.getPlayer('bob').profileId;
+    gameState.kickPlayer('alice', 'bob', true);
+
+    gameState.registerPlayer('bob-again', { name: 'bob', profileId });
+
+    expect(gameState.addPlayerToRoom('bob-again', room.id)).toMatchObject({ success: false, code: 'BANNED' });
+  });
+
+  test('only the host kicks, never themselves, and not during a game', () => {
+    const room = seatPlayers(gameState, ['alice', 'bob']);
+
+    expect(gameState.kickPlayer('bob', 'alice')).toMatchObject({ success: false, code: 'NOT_HOST' });
+    expect(gameState.kickPlayer('alice', 'alice')).toMatchObject({ success: false, code: 'INVALID_TARGET' });
+
+    gameState.closeRoom(room.id);
+    const battle = startBattle(gameState);
+    expect(gameState.kickPlayer(battle.hostId, 'bob')).toMatchObject({ success: false, code: 'GAME_IN_PROGRESS' });
+  });
+
+  test('the host can hand the room over', () => {
+    const room = seatPlayers(gameState, ['alice', 'bob']);
+
+    expect(gameState.transferHost('alice', 'bob')).toMatchObject({ success: true, previousHostId: 'alice' });
+    expect(room).toMatchObject({ hostId: 'bob', guestId: 'alice' });
+  });
+
+  test('a host who leaves hands the room to the longest-seated player, and the last one out closes it', () => {
+    const room = seatPlayers(gameState, ['alice', 'bob', 'carol'], { mode: 'ffa' });
+
+    expect(gameState.removePlayerFromRoom('alice', room.id)).toMatchObject({ success: true, previousHostId: 'alice' });
+    expect(room).toMatchObject({ hostId: 'bob', guestId: 'carol', status: 'waiting' });
+
+    gameState.removePlayerFromRoom('bob', room.id);
+    expect(room).toMatchObject({ hostId: 'carol', guestId: null });
+
+    expect(gameState.removePlayerFromRoom('carol', room.id)).toMatchObject({ success: true, roomClosed: true });
+    expect(gameState.getRoom(room.id)).toBeUndefined();
+  });
+
+  test('the rest of the room hears who hosts it now', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const io = createFakeIo();
+    const socket = createFakeSocket(io, 'alice');
+    const room = seatPlayers(gameState, ['alice', 'bob']);
+
+    await handleLeaveRoom(socket, { roomId: room.id }, gameState, io);
+
+    expect(io.sentTo(room.id, 'host_changed')).toEqual([{ roomId: room.id, hostId: 'bob', hostName: 'bob', previousHostId: 'alice' }]);
+    expect(io.sentTo(room.id, 'room_closed')).toEqual([]);
+  });
+
+  test('the kicked player is told and stops hearing the room', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const io = createFakeIo();
+    const socket = createFakeSocket(io, 'alice');
+    const room = seatPlayers(gameState, ['alice', 'bob']);
+
+    await handleKickPlayer(socket, { playerId: 'bob', ban: true }, gameState, io);
+
+    expect(io.sentTo('bob', 'kicked_from_room')).toEqual([{ roomId: room.id, banned: true }]);
+    expect(io.sentTo('bob', 'leave')).toEqual([room.id]);
+    expect(io.sentTo(room.id, 'player_kicked')).toEqual([{ playerId: 'bob', playerName: 'bob', banned: true }]);
+  });
+});
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ItemRegistry = require('../models/ItemRegistry');
+const { createGameState, seatPlayers, startBattle, act } = require('./support/battle');
+
+/**
+ * Write an item catalog to a temporary file
+ * @param {object} catalog - Catalog contents
+ */
+function writeCatalog(catalog) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'items-')), 'items.json');
+  fs.writeFileSync(file, JSON.stringify(catalog));
+  return file;
+}
+
+describe('ItemRegistry', () => {
+  test('loads the bundled catalog and hands out copies', () => {
+    const registry = new ItemRegistry();
+
+    expect(registry.getCatalog().map(item => item.id)).toEqual(['health-potion', 'mana-crystal', 'purifying-salts', 'power-tonic']);
+
+    registry.getItem('health-potion').effects[0].magnitude = 999;
+    expect(registry.getItem('health-potion').effects[0].magnitude).toBe(35);
+    expect(registry.getItem('elixir-of-life')).toBeNull();
+  });
+
+  test('refuses items that reach past their user or have no limit', () => {
+    const item = { id: 'curse', name: 'Curse', maxPerLoadout: 1, effects: [{ type: 'poison', target: 'enemy', magnitude: 5, duration: 2 }] };
+
+    expect(() => new ItemRegistry(writeCatalog({ items: [item] }))).toThrow('Item "curse": items can only affect their user');
+    expect(() => new ItemRegistry(writeCatalog({ items: [{ ...item, maxPerLoadout: 0 }] }))).toThrow('Item "curse" has an invalid maxPerLoadout');
+  });
+});
+
+describe('loadouts', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+    seatPlayers(gameState, ['alice', 'bob']);
+  });
+
+  test('count each item and un-ready the player', () => {
+    gameState.setPlayerReady('alice', true);
+
+    const result = gameState.setPlayerLoadout('alice', ['health-potion', 'health-potion', 'power-tonic']);
+
+    expect(result).toMatchObject({ success: true, loadout: { 'health-potion': 2, 'power-tonic': 1 } });
+    expect(gameState.getPlayer('alice').isReady).toBe(false);
+  });
+
+  test('enforce the loadout size, per-item limits and the catalog', () => {
+    const loadout = itemIds => gameState.setPlayerLoadout('alice', itemIds);
+
+    expect(loadout(['health-potion', 'mana-crystal', 'mana-crystal', 'power-tonic'])).toMatchObject({
+      code: 'LOADOUT_INVALID',
+      error: 'A loadout holds at most 3 items'
+    });
+    expect(loadout(['power-tonic', 'power-tonic'])).toMatchObject({
+      code: 'LOADOUT_INVALID',
+      error: 'Power Tonic is limited to 1 per loadout'
+    });
+    expect(loadout(['elixir-of-life'])).toMatchObject({ code: 'UNKNOWN_ITEM' });
+  });
+});
+
+describe('using items', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+  });
+
+  /**
+   * Start the default battle with alice carrying a loadout
+   * @param {Array} loadout - Alice's item IDs
+   */
+  function battleWith(loadout) {
+    return startBattle(gameState, {
+      players: [
+        { id: 'alice', characterId: 'chrono-knight', loadout },
+        { id: 'bob', characterId: 'steam-engineer' }
+      ]
+    });
+  }
+
+  test('an item takes effect, uses up the turn and is gone once spent', () => {
+    const room = battleWith(['health-potion']);
+    const alice = gameState.getPlayer('alice');
+    alice.health = 50;
+
+    const used = act(gameState, room, { type: 'item', itemId: 'health-potion' });
+
+    expect(used).toMatchObject({ success: true, itemsLeft: 0 });
+    expect(alice.health).toBe(85);
+    expect(room.gameData.battleLog).toContain('alice used Health Potion!');
+    expect(room.gameData.currentTurn).toBe('bob');
+
+    act(gameState, room, { type: 'pass' });
+    expect(act(gameState, room, { type: 'item', itemId: 'health-potion' })).toMatchObject({ success: false, code: 'ITEM_NOT_AVAILABLE' });
+    expect(act(gameState, room, { type: 'item', itemId: 'mana-crystal' })).toMatchObject({ success: false, code: 'ITEM_NOT_AVAILABLE' });
+  });
+
+  test('loadouts are locked once the game starts', () => {
+    battleWith([]);
+
+    expect(gameState.setPlayerLoadout('alice', ['health-potion'])).toMatchObject({ success: false, code: 'ROOM_NOT_JOINABLE' });
+  });
+
+  test('purifying salts remove ailments but keep boons', () => {
+    const room = battleWith(['purifying-salts']);
+    const alice = gameState.getPlayer('alice');
+    alice.effects.push(
+      { type: 'poison', name: 'Poison', magnitude: 4, duration: 3 },
+      { type: 'attack_up', name: 'Attack Up', magnitude: 30, duration: 3 }
+    );
+
+    const used = act(gameState, room, { type: 'item', itemId: 'purifying-salts' });
+
+    expect(used.effects).toEqual([{ type: 'cleanse', playerId: 'alice', removed: ['poison'] }]);
+    expect(alice.effects.map(effect => effect.type)).toEqual(['attack_up']);
+  });
+
+  test('a power tonic strengthens the next hit only', () => {
+    const room = battleWith(['power-tonic']);
+    const alice = gameState.getPlayer('alice');
+
+    act(gameState, room, { type: 'item', itemId: 'power-tonic' });
+    act(gameState, room, { type: 'pass' });
+    const boosted = act(gameState, room, { type: 'ability', abilityId: 'temporal-slash' });
+    act(gameState, room, { type: 'pass' });
+    const plain = act(gameState, room, { type: 'ability', abilityId: 'temporal-slash' });
+
+    // 18 damage through the engineer's 15 defense, half as much again with the tonic
+    expect(boosted.damage).toBe(23);
+    expect(plain.damage).toBe(16);
+    expect(alice.effects.some(effect => effect.type === 'empower')).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+const MatchmakingQueue = require('../models/MatchmakingQueue');
+const { runMatchmaking } = require('../controllers/matchmakingController');
+const { createGameState, seatPlayers } = require('./support/battle');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+
+describe('MatchmakingQueue', () => {
+  test('pairs players whose ratings are close enough', () => {
+    const queue = new MatchmakingQueue();
+    queue.join('alice', 1200);
+    queue.join('bob', 1250);
+    queue.join('carol', 1700);
+
+    const pairs = queue.findMatches();
+
+    expect(pairs.map(pair => pair.map(entry => entry.playerId))).toEqual([['alice', 'bob']]);
+    expect(queue.has('alice')).toBe(false);
+    expect(queue.has('carol')).toBe(true);
+  });
+
+  test('widens the accepted gap the longer both players wait', () => {
+    const queue = new MatchmakingQueue();
+    const start = Date.now();
+    queue.join('alice', 1200);
+    queue.join('bob', 1400);
+
+    expect(queue.findMatches(start)).toEqual([]);
+    expect(queue.getStatus('alice', start + 20000).ratingRange).toBe(200);
+    expect(queue.findMatches(start + 20000)).toHaveLength(1);
+  });
+
+  test('picks the closest rating among acceptable opponents', () => {
+    const queue = new MatchmakingQueue();
+    queue.join('alice', 1200);
+    queue.join('bob', 1290);
+    queue.join('carol', 1210);
+
+    const [pair] = queue.findMatches();
+
+    expect(pair.map(entry => entry.playerId)).toEqual(['alice', 'carol']);
+  });
+
+  test('reports position and estimates the wait from recent matches', () => {
+    const queue = new MatchmakingQueue();
+    const start = Date.now();
+    queue.join('alice', 1200);
+    queue.join('bob', 1200);
+    queue.findMatches(start + 8000);
+
+    queue.join('carol', 1200);
+    queue.join('dave', 2000);
+    const status = queue.getStatus('dave', Date.now() + 3000);
+
+    expect(status).toMatchObject({ position: 2, queueSize: 2 });
+    expect(status.estimatedWait).toBeGreaterThanOrEqual(0);
+    expect(status.estimatedWait).toBeLessThanOrEqual(5000);
+    expect(queue.getStatus('alice')).toBeNull();
+  });
+
+  test('follows a player to a new socket', () => {
+    const queue = new MatchmakingQueue();
+    queue.join('alice', 1200);
+
+    queue.rebind('alice', 'alice-2');
+
+    expect(queue.has('alice')).toBe(false);
+    expect(queue.getStatus('alice-2').position).toBe(1);
+  });
+});
+
+describe('quick matches', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('seated players cannot queue', () => {
+    const gameState = createGameState();
+    seatPlayers(gameState, ['alice']);
+
+    expect(gameState.joinQueue('alice')).toMatchObject({ success: false, code: 'IN_ROOM' });
+  });
+
+  test('matched players are seated together in a private room', async () => {
+    const gameState = createGameState();
+    const io = createFakeIo();
+    ['alice', 'bob'].forEach(id => {
+      createFakeSocket(io, id);
+      gameState.registerPlayer(id, { name: id });
+      gameState.joinQueue(id);
+    });
+
+    await runMatchmaking(gameState, io);
+
+    const [found] = io.sockets.sockets.get('alice').sent('match_found');
+    expect(found.opponent).toMatchObject({ id: 'bob', name: 'bob' });
+    expect(found.room).toMatchObject({ isPrivate: true, isQuickMatch: true, players: ['alice', 'bob'] });
+    expect(found.room).not.toHaveProperty('invites');
+    expect(found.room).not.toHaveProperty('password');
+    expect(io.sockets.sockets.get('bob').rooms.has(found.room.id)).toBe(true);
+    expect(gameState.matchmaking.has('alice')).toBe(false);
+  });
+
+  test('both players hear about it when their room cannot be created', async () => {
+    const gameState = createGameState();
+    const io = createFakeIo();
+    ['alice', 'bob'].forEach(id => {
+      gameState.registerPlayer(id, { name: id });
+      gameState.joinQueue(id);
+    });
+    jest.spyOn(gameState.store, 'withLocks').mockRejectedValue(new Error('store unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await runMatchmaking(gameState, io);
+
+    expect(io.sentTo('alice', 'queue_error')).toEqual([expect.objectContaining({ code: 'SERVER_BUSY' })]);
+    expect(io.sentTo('bob', 'queue_error')).toEqual([expect.objectContaining({ code: 'SERVER_BUSY' })]);
+  });
+});
@@ -0,0 +1,104 @@
+const Metrics = require('../models/Metrics');
+const { withMetrics, observeGameState } = require('../controllers/metricsController');
+const { countErrors, emitError, sendError } = require('../controllers/protocolController');
+const { createError } = require('../models/Protocol');
+const { createGameState, seatPlayers, startBattle, act } = require('./support/battle');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+
+/**
+ * Find the rendered line of one sample
+ * @param {Metrics} metrics - Metrics registry
+ * @param {string} sample - Sample name with its labels, e.g. chronoclash_rooms{status="waiting"}
+ */
+function sampleValue(metrics, sample) {
+  const line = metrics.render().split('\n').find(entry => entry.startsWith(`${sample} `));
+  return line ? Number(line.slice(sample.length + 1)) : undefined;
+}
+
+describe('Metrics', () => {
+  test('renders counters, histograms and gauges in the Prometheus text format', () => {
+    const metrics = new Metrics();
+    metrics.recordSocketEvent('join_room', 0.02);
+    metrics.recordSocketEvent('join_room', 0.2);
+
+    const text = metrics.render();
+
+    expect(text).toContain('# TYPE chronoclash_socket_events_total counter');
+    expect(text).toContain('chronoclash_socket_events_total{event="join_room"} 2');
+    expect(text).toContain('chronoclash_socket_event_duration_seconds_bucket{event="join_room",le="0.025"} 1');
+    expect(text).toContain('chronoclash_socket_event_duration_seconds_bucket{event="join_room",le="+Inf"} 2');
+    expect(text).toContain('chronoclash_socket_event_duration_seconds_count{event="join_room"} 2');
+    expect(text).toContain('chronoclash_games_started_total 0');
+    expect(text).toMatch(/chronoclash_process_memory_bytes\{kind="rss"\} \d+/);
+  });
+
+  test('escapes label values', () => {
+    const metrics = new Metrics();
+    metrics.recordError('chat_error', 'BAD"CODE\\');
+
+    expect(metrics.render()).toContain('chronoclash_socket_errors_total{event="chat_error",code="BAD\\"CODE\\\\"} 1');
+  });
+
+  test('counts games started and finished, with their length', () => {
+    const metrics = new Metrics();
+    const gameState = createGameState({ metrics });
+    const room = startBattle(gameState);
+
+    act(gameState, room, { type: 'pass' });
+    act(gameState, room, { type: 'surrender' });
+
+    expect(sampleValue(metrics, 'chronoclash_games_started_total')).toBe(1);
+    expect(sampleValue(metrics, 'chronoclash_games_finished_total{reason="surrender"}')).toBe(1);
+    expect(sampleValue(metrics, 'chronoclash_game_turns_count')).toBe(1);
+    expect(sampleValue(metrics, 'chronoclash_game_turns_average')).toBe(2);
+  });
+});
+
+describe('metrics from the controllers', () => {
+  let metrics;
+
+  beforeEach(() => {
+    metrics = new Metrics();
+  });
+
+  afterEach(() => {
+    countErrors(null);
+  });
+
+  test('every error sent is counted, including those sent through io.to', () => {
+    const io = createFakeIo();
+    const socket = createFakeSocket(io, 'alice');
+    countErrors(metrics);
+
+    emitError(socket, 'join_room', 'ROOM_FULL', 'Room is full');
+    sendError(io.to('bob'), 'queue_error', createError('queue_join', 'SERVER_BUSY', 'Server is busy'));
+
+    expect(sampleValue(metrics, 'chronoclash_socket_errors_total{event="join_room_error",code="ROOM_FULL"}')).toBe(1);
+    expect(sampleValue(metrics, 'chronoclash_socket_errors_total{event="queue_error",code="SERVER_BUSY"}')).toBe(1);
+    expect(io.sentTo('bob', 'queue_error')).toHaveLength(1);
+  });
+
+  test('handlers are timed even when they fail', async () => {
+    const failing = withMetrics('game_action', metrics, async () => {
+      throw new Error('boom');
+    });
+
+    await expect(failing()).rejects.toThrow('boom');
+    expect(sampleValue(metrics, 'chronoclash_socket_events_total{event="game_action"}')).toBe(1);
+  });
+
+  test('live state is read on every scrape', () => {
+    const gameState = createGameState();
+    const io = { of: () => ({ sockets: new Map([['alice', {}]]) }) };
+    observeGameState(metrics, gameState, io);
+
+    seatPlayers(gameState, ['alice', 'bob']);
+    gameState.registerPlayer('carol', { name: 'carol' });
+    gameState.joinQueue('carol');
+
+    expect(sampleValue(metrics, 'chronoclash_connected_sockets')).toBe(1);
+    expect(sampleValue(metrics, 'chronoclash_rooms{status="waiting"}')).toBe(1);
+    expect(sampleValue(metrics, 'chronoclash_players')).toBe(3);
+    expect(sampleValue(metrics, 'chronoclash_matchmaking_queue_size')).toBe(1);
+  });
+});
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PlayerStore = require('../models/PlayerStore');
+const { createGameState } = require('./support/battle');
+
+/**
+ * Build a match between two profiles that the first one wins
+ * @param {object} overrides - Match fields to change
+ */
+function duel(overrides = {}) {
+  return {
+    roomId: 'ROOM01',
+    players: [
+      { profileId: 'winner', name: 'Winner', characterId: 'chrono-knight' },
+      { profileId: 'loser', name: 'Loser', characterId: 'steam-engineer' }
+    ],
+    winnerProfileId: 'winner',
+    reason: 'knockout',
+    startTime: 1000,
+    endTime: 61000,
+    turnCount: 12,
+    battleLog: ['Battle started!'],
+    replay: { version: 5, events: [] },
+    ...overrides
+  };
+}
+
+describe('PlayerStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'player-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records matches in both players\' profiles and history', () => {
+    const store = new PlayerStore({ filePath: null });
+
+    const record = store.recordMatch(duel());
+
+    expect(record.players.map(player => player.result)).toEqual(['win', 'loss']);
+    expect(record.duration).toBe(60000);
+    expect(store.getProfile('winner').stats).toEqual({ gamesPlayed: 1, wins: 1, losses: 0, draws: 0 });
+    expect(store.getProfile('loser').stats).toEqual({ gamesPlayed: 1, wins: 0, losses: 1, draws: 0 });
+    expect(store.getProfile('winner').characterStats['chrono-knight']).toEqual({ gamesPlayed: 1, wins: 1 });
+
+    const history = store.getMatchesForProfile('loser');
+    expect(history.total).toBe(1);
+    expect(history.matches[0].id).toBe(record.id);
+    expect(history.matches[0]).not.toHaveProperty('replay');
+    expect(store.getMatch(record.id).replay).toEqual({ version: 5, events: [] });
+  });
+
+  test('holds changes back until they are flushed, then writes a file the next store loads', async () => {
+    const filePath = path.join(dir, 'players.json');
+    const store = new PlayerStore({ filePath, saveDelay: 60000 });
+
+    store.recordMatch(duel());
+    store.banProfile('loser', { reason: 'griefing' });
+    expect(fs.existsSync(filePath)).toBe(false);
+
+    await store.flush();
+
+    const reloaded = new PlayerStore({ filePath });
+    expect(reloaded.getProfile('winner').stats.wins).toBe(1);
+    expect(reloaded.getMatchesForProfile('winner').total).toBe(1);
+    expect(reloaded.getBan('loser').reason).toBe('griefing');
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+  });
+
+  test('keeps replays for only the most recent matches', () => {
+    const store = new PlayerStore({ filePath: null, maxReplays: 2 });
+
+    const records = [1, 2, 3].map(n => store.recordMatch(duel({ endTime: n * 1000 })));
+
+    expect(store.getMatch(records[0].id).replay).toBeNull();
+    expect(store.getMatch(records[1].id).replay).not.toBeNull();
+    expect(store.getMatch(records[2].id).replay).not.toBeNull();
+  });
+
+  test('expired bans stop applying without a write', () => {
+    const store = new PlayerStore({ filePath: path.join(dir, 'players.json'), saveDelay: 60000 });
+    store.banProfile('loser', { duration: 1000 });
+    store.dirty = false;
+
+    const ban = store.bans.get('loser');
+    ban.expiresAt = Date.now() - 1;
+
+    expect(store.getBan('loser')).toBeNull();
+    expect(store.getBans()).toEqual([]);
+    expect(store.dirty).toBe(false);
+  });
+
+  describe('guest identity', () => {
+    test('a new guest gets a secret token that proves who they are, without anything being stored', () => {
+      const store = new PlayerStore({ filePath: null });
+
+      const { profileId, guestToken } = store.identifyGuest();
+
+      expect(store.getProfile(profileId)).toBeNull();
+      expect(store.verifyGuestToken(profileId, guestToken)).toBe(true);
+      expect(store.identifyGuest({ profileId, guestToken })).toEqual({ profileId, guestToken: null });
+    });
+
+    test('a guest\'s profile is stored with their token from their first game', () => {
+      const store = new PlayerStore({ filePath: null });
+      const { profileId, guestToken } = store.identifyGuest();
+
+      store.recordMatch(duel({
+        players: [
+          { profileId, name: 'Guest', characterId: 'chrono-knight' },
+          { profileId: 'loser', name: 'Loser', characterId: 'steam-engineer' }
+        ],
+        winnerProfileId: profileId
+      }));
+      store.forgetGuest(profileId);
+
+      expect(store.getProfile(profileId).stats.wins).toBe(1);
+      expect(store.verifyGuestToken(profileId, guestToken)).toBe(true);
+    });
+
+    test('a guest who never played is forgotten once their last connection goes', () => {
+      const gameState = createGameState();
+      const store = gameState.playerStore;
+      const { profileId, guestToken } = store.identifyGuest();
+      gameState.registerPlayer('first', { name: 'Guest', profileId });
+      gameState.registerPlayer('second', { name: 'Guest', profileId });
+
+      gameState.unregisterPlayer('first');
+      expect(store.verifyGuestToken(profileId, guestToken)).toBe(true);
+
+      gameState.unregisterPlayer('second');
+      expect(store.verifyGuestToken(profileId, guestToken)).toBe(false);
+      expect(store.identifyGuest({ profileId, guestToken }).profileId).not.toBe(profileId);
+    });
+
+    test('banning a guest before their first game keeps them on file', () => {
+      const store = new PlayerStore({ filePath: null });
+      const { profileId, guestToken } = store.identifyGuest();
+
+      store.banProfile(profileId);
+      store.forgetGuest(profileId);
+
+      expect(store.verifyGuestToken(profileId, guestToken)).toBe(true);
+      expect(store.getBan(profileId)).not.toBeNull();
+    });
+
+    test('a profile ID without its token starts over as a new guest', () => {
+      const store = new PlayerStore({ filePath: null });
+      const { profileId, guestToken } = store.identifyGuest();
+
+      const stranger = store.identifyGuest({ profileId });
+      const forger = store.identifyGuest({ profileId, guestToken: `${guestToken}x` });
+
+      expect(stranger.profileId).not.toBe(profileId);
+      expect(forger.profileId).not.toBe(profileId);
+      expect(stranger.guestToken).toEqual(expect.any(String));
+      expect(store.verifyGuestToken('no-such-profile', guestToken)).toBe(false);
+    });
+
+    test('the token never leaves the store', () => {
+      const store = new PlayerStore({ filePath: null });
+      const { profileId } = store.identifyGuest();
+      store.ensureProfile(profileId);
+
+      expect(store.getProfile(profileId).guestTokenHash).toEqual(expect.any(String));
+      expect(store.getPublicProfile(profileId)).not.toHaveProperty('guestTokenHash');
+      expect(store.getPublicProfile('no-such-profile')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { chooseBotAction } = require('../models/PracticeBot');
+const { handleCreatePracticeRoom, handleCharacterSelect, handlePlayerReady, handleGameAction } = require('../controllers/gameController');
+const { createGameState } = require('./support/battle');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+const { withEnv } = require('./support/env');
+
+/**
+ * Start a practice game with alice against a bot
+ * @param {GameStateManager} gameState - Game state manager instance
+ * @param {string} difficulty - Bot difficulty
+ * @param {string} botCharacterId - Character the bot plays
+ * @returns {object} { room, bot }
+ */
+function startPractice(gameState, difficulty, botCharacterId = 'chrono-knight') {
+  gameState.registerPlayer('alice', { name: 'alice' });
+  const { room, bot } = gameState.createPracticeRoom('alice', { difficulty, botCharacterId });
+  gameState.setPlayerCharacter('alice', 'steam-engineer');
+  gameState.setPlayerReady('alice', true);
+  gameState.startGame(room.id, { seed: null });
+  return { room, bot };
+}
+
+describe('practice rooms', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+    gameState.registerPlayer('alice', { name: 'alice' });
+  });
+
+  test('seat a ready bot as the guest of a private room', () => {
+    const result = gameState.createPracticeRoom('alice', { difficulty: 'lookahead', botCharacterId: 'sun-pharaoh' });
+
+    expect(result.success).toBe(true);
+    expect(result.room).toMatchObject({ isPractice: true, isPrivate: true, hostId: 'alice', guestId: result.bot.id });
+    expect(result.bot).toMatchObject({ isBot: true, botDifficulty: 'lookahead', isReady: true, name: 'Tactician Bot' });
+    expect(result.bot.character.id).toBe('sun-pharaoh');
+    expect(result.bot.loadout).toEqual({ 'health-potion': 1, 'mana-crystal': 1 });
+  });
+
+  test('fall back to the greedy bot and refuse unknown characters', () => {
+    expect(gameState.createPracticeRoom('alice', { difficulty: 'impossible' }).bot.botDifficulty).toBe('greedy');
+    expect(gameState.createPracticeRoom('alice', { botCharacterId: 'time-lord' })).toMatchObject({ success: false, code: 'UNKNOWN_CHARACTER' });
+  });
+
+  test('practice games only count towards practice stats', () => {
+    const { room } = startPractice(gameState, 'greedy');
+    const profileId = gameState.getPlayer('alice').profileId;
+
+    gameState.processGameAction('alice', { type: 'surrender' });
+
+    const profile = gameState.playerStore.getProfile(profileId);
+    expect(gameState.playerStore.getMatch(room.gameData.matchId)).toMatchObject({ rated: false, practice: true });
+    expect(profile.practiceStats).toMatchObject({ gamesPlayed: 1, losses: 1 });
+    expect(profile.stats.gamesPlayed).toBe(0);
+    expect(profile.rating).toBe(1200);
+  });
+});
+
+describe('bot strategies', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+  });
+
+  test('the greedy bot uses its hardest-hitting affordable attack, and rests when it has none', () => {
+    const { room, bot } = startPractice(gameState, 'greedy');
+
+    expect(chooseBotAction(gameState, room, bot.id)).toEqual({ type: 'ability', abilityId: 'epoch-cleave', targetId: 'alice' });
+
+    bot.mana = 0;
+    expect(chooseBotAction(gameState, room, bot.id)).toEqual({ type: 'pass' });
+  });
+
+  test('the random bot picks among everything it can do', () => {
+    const { room, bot } = startPractice(gameState, 'random');
+
+    expect(chooseBotAction(gameState, room, bot.id, () => 0)).toEqual({ type: 'ability', abilityId: 'temporal-slash', targetId: 'alice' });
+    expect(chooseBotAction(gameState, room, bot.id, () => 0.999)).toEqual({ type: 'pass' });
+  });
+
+  test('the lookahead bot finishes off a weakened enemy', () => {
+    const { room, bot } = startPractice(gameState, 'lookahead');
+    gameState.getPlayer('alice').health = 5;
+
+    const action = chooseBotAction(gameState, room, bot.id);
+
+    expect(action).toMatchObject({ type: 'ability', targetId: 'alice' });
+  });
+
+  test('the lookahead bot heals when the next hit could knock it out', () => {
+    const { room, bot } = startPractice(gameState, 'lookahead');
+    bot.health = 10;
+
+    expect(chooseBotAction(gameState, room, bot.id)).toEqual({ type: 'item', itemId: 'health-potion' });
+  });
+
+  test('the lookahead bot crushes a mana crystal once it cannot attack', () => {
+    const { room, bot } = startPractice(gameState, 'lookahead');
+    bot.mana = 0;
+
+    expect(chooseBotAction(gameState, room, bot.id)).toEqual({ type: 'item', itemId: 'mana-crystal' });
+  });
+});
+
+describe('bots in a live game', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('the bot takes its turn on its own after a short pause', async () => {
+    const gameState = createGameState();
+    const io = createFakeIo();
+    const socket = createFakeSocket(io, 'alice');
+    gameState.registerPlayer('alice', { name: 'alice' });
+
+    await handleCreatePracticeRoom(socket, { difficulty: 'greedy', botCharacterId: 'chrono-knight' }, gameState, io);
+    const [{ room, bot }] = socket.sent('room_created');
+    await handleCharacterSelect(socket, { characterId: 'steam-engineer' }, gameState, io);
+    await handlePlayerReady(socket, { isReady: true }, gameState, io);
+    await jest.advanceTimersByTimeAsync(3000); // The countdown before the game starts
+    await handleGameAction(socket, { type: 'pass' }, gameState, io);
+
+    const performed = () => io.sentTo(room.id, 'game_action_performed');
+    expect(performed()).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(performed()).toHaveLength(2);
+    expect(performed()[1]).toMatchObject({ playerId: bot.id });
+    expect(gameState.getRoom(room.id).gameData.currentTurn).toBe('alice');
+  });
+
+  test('the pause can be turned off from the environment', async () => {
+    let controller;
+    withEnv({ BOT_MIN_DELAY_MS: '0', BOT_MAX_DELAY_MS: '0' }, () => {
+      controller = require('../controllers/gameController');
+    });
+    const gameState = createGameState();
+    const io = createFakeIo();
+    const socket = createFakeSocket(io, 'alice');
+    gameState.registerPlayer('alice', { name: 'alice' });
+
+    await controller.handleCreatePracticeRoom(socket, { difficulty: 'greedy', botCharacterId: 'chrono-knight' }, gameState, io);
+    const [{ room }] = socket.sent('room_created');
+    await controller.handleCharacterSelect(socket, { characterId: 'steam-engineer' }, gameState, io);
+    await controller.handlePlayerReady(socket, { isReady: true }, gameState, io);
+    await jest.advanceTimersByTimeAsync(3000);
+    await controller.handleGameAction(socket, { type: 'pass' }, gameState, io);
+
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(io.sentTo(room.id, 'game_action_performed')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,91 @@
+const { validatePayload, getErrorEvent, getProtocol, ERROR_CODES } = require('../models/Protocol');
+const { withValidation } = require('../controllers/protocolController');
+const { handleCharacterSelect } = require('../controllers/gameController');
+const { createGameState, seatPlayers } = require('./support/battle');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+
+describe('validatePayload', () => {
+  test('keeps declared fields and drops everything else', () => {
+    const result = validatePayload('game_action', { type: 'ability', abilityId: 'temporal-slash', damage: 9999 });
+
+    expect(result).toEqual({ success: true, data: { type: 'ability', abilityId: 'temporal-slash' } });
+  });
+
+  test('events without a payload may be sent with nothing', () => {
+    expect(validatePayload('queue_join', undefined)).toEqual({ success: true, data: {} });
+  });
+
+  test('reports the first problem with a payload', () => {
+    const invalid = (event, data) => validatePayload(event, data).error;
+
+    expect(invalid('game_action', {})).toBe('type is required');
+    expect(invalid('game_action', { type: 'cheat' })).toBe('type must be one of: ability, item, defend, pass, surrender');
+    expect(invalid('player_ready', { isReady: 'yes' })).toBe('isReady must be true or false');
+    expect(invalid('select_team', { team: 2 })).toBe('team must be at most 1');
+    expect(invalid('select_loadout', { itemIds: ['a', 'b', 'c', 'd'] })).toBe('itemIds must have at most 3 entries');
+    expect(invalid('select_loadout', { itemIds: ['health-potion', 7] })).toBe('itemIds[1] must be a string');
+    expect(invalid('game_action', 'pass')).toBe('Payload must be an object');
+    expect(validatePayload('game_action', {}).code).toBe(ERROR_CODES.INVALID_PAYLOAD);
+  });
+
+  test('character selection needs a non-empty ID, in either form', () => {
+    expect(validatePayload('select_character', { characterId: '' }).error).toBe('characterId must be at least 1 character');
+    expect(validatePayload('select_character', {}).error).toBe('One of characterId, character is required');
+    expect(validatePayload('select_character', { character: {} }).error).toBe('character.id is required');
+    expect(validatePayload('select_character', { character: { id: 'sun-pharaoh', health: 9999 } })).toEqual({
+      success: true,
+      data: { character: { id: 'sun-pharaoh' } }
+    });
+  });
+
+  test('unknown events are refused', () => {
+    expect(validatePayload('hack_server', {})).toMatchObject({ success: false, error: 'Unknown event hack_server' });
+  });
+
+  test('every event has an error event, and the protocol can be published', () => {
+    const protocol = getProtocol();
+
+    Object.keys(protocol.events).forEach(event => expect(getErrorEvent(event)).toMatch(/_error$/));
+    expect(protocol.errorCodes).toContain('INVALID_PAYLOAD');
+    expect(protocol.errorFormat).toEqual({ code: 'string', message: 'string', event: 'string' });
+  });
+});
+
+describe('validated handlers', () => {
+  let io;
+  let socket;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    io = createFakeIo();
+    socket = createFakeSocket(io, 'alice');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('invalid payloads are answered with a typed error and never reach the handler', () => {
+    const handler = jest.fn();
+
+    withValidation(socket, 'game_action', handler)({ type: 'ability', abilityId: 42 });
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(socket.sent('game_action_error')).toEqual([{
+      code: 'INVALID_PAYLOAD',
+      message: 'abilityId must be a string',
+      event: 'game_action'
+    }]);
+  });
+
+  test('older clients sending a whole character still only choose by ID', async () => {
+    const gameState = createGameState();
+    seatPlayers(gameState, ['alice']);
+
+    const { data } = validatePayload('select_character', { character: { id: 'sun-pharaoh', health: 9999 } });
+    await handleCharacterSelect(socket, data, gameState, io);
+
+    expect(gameState.getPlayer('alice').maxHealth).toBe(90);
+    expect(socket.sent('character_select_error')).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+const express = require('express');
+const request = require('supertest');
+const RateLimiter = require('../models/RateLimiter');
+const { withRateLimit, limitRoute } = require('../controllers/rateLimitController');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+
+const NOW = 1000000;
+
+/**
+ * Send the same request several times and collect the verdicts
+ * @param {RateLimiter} limiter - Rate limiter
+ * @param {number} times - How many requests to send
+ * @param {string} name - Rule name
+ * @param {object} client - { socketId, ip }
+ */
+function send(limiter, times, name, client) {
+  return Array.from({ length: times }, () => limiter.check(name, client, NOW));
+}
+
+describe('RateLimiter', () => {
+  test('allows a burst up to the rule\'s capacity, then drops', () => {
+    const limiter = new RateLimiter();
+
+    const verdicts = send(limiter, 4, 'create_room', { socketId: 'alice', ip: '1.1.1.1' });
+
+    expect(verdicts.slice(0, 3)).toEqual([{ allowed: true }, { allowed: true }, { allowed: true }]);
+    expect(verdicts[3]).toEqual({ allowed: false, action: 'drop', retryAfter: 5000 });
+  });
+
+  test('tokens come back at the rule\'s refill rate', () => {
+    const limiter = new RateLimiter();
+    const client = { socketId: 'alice', ip: '1.1.1.1' };
+    send(limiter, 3, 'create_room', client);
+
+    expect(limiter.check('create_room', client, NOW + 4999).allowed).toBe(false);
+    expect(limiter.check('create_room', client, NOW + 10000).allowed).toBe(true);
+  });
+
+  test('an IP\'s bucket holds several sockets\' worth of socket events', () => {
+    const limiter = new RateLimiter({ ipMultiplier: 2 });
+
+    const first = send(limiter, 3, 'create_room', { socketId: 'a', ip: '1.1.1.1' });
+    const second = send(limiter, 3, 'create_room', { socketId: 'b', ip: '1.1.1.1' });
+    const third = limiter.check('create_room', { socketId: 'c', ip: '1.1.1.1' }, NOW);
+
+    expect(first.concat(second).every(verdict => verdict.allowed)).toBe(true);
+    expect(third.allowed).toBe(false);
+  });
+
+  test('REST requests get the rule exactly as configured', () => {
+    const limiter = new RateLimiter({ ipMultiplier: 5 });
+
+    const rooms = send(limiter, 21, 'rest:rooms', { ip: '1.1.1.1' });
+    const verify = send(limiter, 4, 'rest:verify', { ip: '1.1.1.1' });
+
+    expect(rooms.filter(verdict => verdict.allowed)).toHaveLength(20);
+    expect(verify.filter(verdict => verdict.allowed)).toHaveLength(3);
+    expect(verify[3].retryAfter).toBe(10000);
+  });
+
+  test('warns a client that keeps going, then disconnects and blocks its IP', () => {
+    const limiter = new RateLimiter({ warnAfter: 2, disconnectAfter: 4, blockDuration: 60000 });
+    const client = { socketId: 'alice', ip: '1.1.1.1' };
+    send(limiter, 3, 'create_room', client);
+
+    const actions = send(limiter, 4, 'create_room', client).map(verdict => verdict.action);
+
+    expect(actions).toEqual(['drop', 'warn', 'drop', 'disconnect']);
+    expect(limiter.isBlocked('1.1.1.1', NOW)).toBe(true);
+    expect(limiter.check('join_room', { socketId: 'bob', ip: '1.1.1.1' }, NOW)).toMatchObject({ allowed: false, action: 'disconnect' });
+    expect(limiter.isBlocked('1.1.1.1', NOW + 60000)).toBe(false);
+  });
+
+  test('prunes state that no longer matters', () => {
+    const limiter = new RateLimiter();
+    send(limiter, 4, 'create_room', { socketId: 'alice', ip: '1.1.1.1' });
+
+    limiter.prune(NOW + 60 * 60 * 1000);
+
+    expect(limiter.buckets.size).toBe(0);
+    expect(limiter.violations.size).toBe(0);
+  });
+});
+
+describe('rate-limited handlers and routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('socket events over the limit are dropped, warned about and finally disconnected', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const limiter = new RateLimiter({ warnAfter: 1, disconnectAfter: 2 });
+    const socket = createFakeSocket(createFakeIo(), 'alice');
+    const handler = jest.fn();
+    const limited = withRateLimit(socket, 'create_room', limiter, handler);
+
+    [1, 2, 3, 4, 5].forEach(() => limited({}));
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(socket.sent('create_room_error').map(error => error.code)).toEqual(['RATE_LIMITED', 'RATE_LIMITED']);
+    expect(socket.disconnected).toBe(true);
+  });
+
+  test('REST routes answer 429 with Retry-After once the limit is spent', async () => {
+    const app = express();
+    app.get('/verify', limitRoute(new RateLimiter(), 'rest:verify'), (req, res) => res.json({ ok: true }));
+
+    for (let i = 0; i < 3; i++) {
+      await request(app).get('/verify').expect(200);
+    }
+    const refused = await request(app).get('/verify').expect(429);
+
+    expect(refused.body).toEqual({ error: 'Too many requests' });
+    expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,94 @@
+const { DEFAULT_RATING, expectedScore, calculateDelta } = require('../models/Rating');
+const PlayerStore = require('../models/PlayerStore');
+
+/**
+ * Record a duel between two profiles
+ * @param {PlayerStore} store - Player store
+ * @param {string} winner - Profile ID of the winner
+ * @param {string} loser - Profile ID of the loser
+ * @param {object} options - Characters and match fields to change
+ */
+function recordDuel(store, winner, loser, options = {}) {
+  return store.recordMatch({
+    roomId: 'ROOM01',
+    players: [
+      { profileId: winner, name: winner, characterId: options.winnerCharacter || 'chrono-knight' },
+      { profileId: loser, name: loser, characterId: options.loserCharacter || 'steam-engineer' }
+    ],
+    winnerProfileId: winner,
+    reason: 'knockout',
+    startTime: 0,
+    endTime: 1000,
+    turnCount: 4,
+    battleLog: [],
+    ...options.match
+  });
+}
+
+describe('Elo calculations', () => {
+  test('evenly rated players are expected to score half', () => {
+    expect(expectedScore(1500, 1500)).toBe(0.5);
+    expect(expectedScore(1600, 1200)).toBeCloseTo(0.909, 3);
+    expect(expectedScore(1200, 1600)).toBeCloseTo(0.091, 3);
+  });
+
+  test('new players move faster than established ones', () => {
+    expect(calculateDelta({ rating: 1200, gamesPlayed: 0 }, { rating: 1200 }, 1)).toBe(20);
+    expect(calculateDelta({ rating: 1200, gamesPlayed: 30 }, { rating: 1200 }, 1)).toBe(10);
+    expect(calculateDelta({ rating: 1200, gamesPlayed: 30 }, { rating: 1200 }, 0)).toBe(-10);
+  });
+
+  test('beating a stronger player earns more than beating a weaker one', () => {
+    const upset = calculateDelta({ rating: 1200, gamesPlayed: 50 }, { rating: 1600 }, 1);
+    const expectedWin = calculateDelta({ rating: 1600, gamesPlayed: 50 }, { rating: 1200 }, 1);
+
+    expect(upset).toBe(18);
+    expect(expectedWin).toBe(2);
+    expect(calculateDelta({ rating: 1200, gamesPlayed: 50 }, { rating: 1600 }, 0.5)).toBe(8);
+  });
+});
+
+describe('rated matches', () => {
+  test('both ratings move from the pre-game values and the change is kept in history', () => {
+    const store = new PlayerStore({ filePath: null });
+
+    const record = recordDuel(store, 'alice', 'bob');
+
+    expect(record.ratingChanges).toEqual({
+      alice: { before: DEFAULT_RATING, after: DEFAULT_RATING + 20, delta: 20 },
+      bob: { before: DEFAULT_RATING, after: DEFAULT_RATING - 20, delta: -20 }
+    });
+    expect(store.getProfile('alice').ratingHistory).toEqual([
+      { matchId: record.id, rating: DEFAULT_RATING + 20, delta: 20, timestamp: 1000 }
+    ]);
+  });
+
+  test('unrated matches count in stats but leave ratings alone', () => {
+    const store = new PlayerStore({ filePath: null });
+
+    recordDuel(store, 'alice', 'bob', { match: { rated: false } });
+
+    expect(store.getProfile('alice').rating).toBe(DEFAULT_RATING);
+    expect(store.getProfile('alice').stats.wins).toBe(1);
+    expect(store.getLeaderboard().total).toBe(0);
+  });
+
+  test('the leaderboard ranks rated players and can be filtered by character', () => {
+    const store = new PlayerStore({ filePath: null });
+    recordDuel(store, 'alice', 'bob');
+    recordDuel(store, 'alice', 'carol', { winnerCharacter: 'sun-pharaoh', loserCharacter: 'neon-samurai' });
+    store.ensureProfile('dave', { name: 'dave' });
+
+    const board = store.getLeaderboard();
+    expect(board.total).toBe(3);
+    expect(board.players.map(player => player.id)).toEqual(['alice', expect.any(String), expect.any(String)]);
+    expect(board.players[0]).toMatchObject({ rank: 1, gamesPlayed: 2, wins: 2, losses: 0, draws: 0 });
+
+    const pharaohs = store.getLeaderboard({ characterId: 'sun-pharaoh' });
+    expect(pharaohs.players).toEqual([expect.objectContaining({ id: 'alice', character: { gamesPlayed: 1, wins: 1 } })]);
+
+    const secondPage = store.getLeaderboard({ page: 2, limit: 2 });
+    expect(secondPage.players).toHaveLength(1);
+    expect(secondPage.players[0].rank).toBe(3);
+  });
+});
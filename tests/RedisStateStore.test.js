@@ -0,0 +1,194 @@
+const GameStateManager = require('../models/GameStateManager');
+const RedisStateStore = require('../models/RedisStateStore');
+const InMemoryRedis = require('./support/InMemoryRedis');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Build a promise that settles when its release function is called
+ */
+function gate() {
+  let release;
+  const promise = new Promise(resolve => { release = resolve; });
+  return { promise, release };
+}
+
+describe('RedisStateStore locks', () => {
+  let client;
+
+  beforeEach(() => {
+    client = new InMemoryRedis();
+  });
+
+  test('instances sharing a client take turns holding a lock', async () => {
+    const first = new RedisStateStore({ client });
+    const second = new RedisStateStore({ client });
+    const held = gate();
+    const order = [];
+
+    const firstRun = first.withLock('room:ABC', async () => {
+      order.push('first start');
+      await held.promise;
+      order.push('first end');
+    });
+    await sleep(5);
+    const secondRun = second.withLock('room:ABC', async () => {
+      order.push('second');
+    });
+
+    await sleep(50);
+    expect(order).toEqual(['first start']);
+
+    held.release();
+    await Promise.all([firstRun, secondRun]);
+    expect(order).toEqual(['first start', 'first end', 'second']);
+    expect(await client.get('chronoclash:lock:room:ABC')).toBeNull();
+  });
+
+  test('gives up when a lock is not freed in time', async () => {
+    const first = new RedisStateStore({ client });
+    const second = new RedisStateStore({ client, lockTimeout: 60 });
+    const held = gate();
+
+    const firstRun = first.withLock('room:ABC', () => held.promise);
+    await sleep(5);
+    await expect(second.withLock('room:ABC', async () => {})).rejects.toThrow('Timed out waiting for lock');
+
+    held.release();
+    await firstRun;
+  });
+
+  test('a crashed holder\'s lock expires', async () => {
+    const store = new RedisStateStore({ client });
+    await client.set('chronoclash:lock:room:ABC', 'crashed-holder', 'PX', 40, 'NX');
+
+    await expect(store.withLock('room:ABC', async () => 'ran')).resolves.toBe('ran');
+  });
+
+  test('a holder whose lock expired does not release the next holder\'s lock', async () => {
+    const slow = new RedisStateStore({ client, lockTtl: 30 });
+    const next = new RedisStateStore({ client });
+    const slowDone = gate();
+    const nextHeld = gate();
+
+    const slowRun = slow.withLock('room:ABC', () => slowDone.promise);
+    await sleep(5);
+
+    let nextRunning = false;
+    const nextRun = next.withLock('room:ABC', async () => {
+      nextRunning = true;
+      await nextHeld.promise;
+    });
+
+    await sleep(60);
+    expect(nextRunning).toBe(true);
+
+    slowDone.release();
+    await slowRun;
+    expect(await client.get('chronoclash:lock:room:ABC')).not.toBeNull();
+
+    nextHeld.release();
+    await nextRun;
+    expect(await client.get('chronoclash:lock:room:ABC')).toBeNull();
+  });
+});
+
+describe('GameStateManagers sharing a RedisStateStore client', () => {
+  let client;
+  let instanceA;
+  let instanceB;
+
+  beforeEach(() => {
+    client = new InMemoryRedis();
+    instanceA = new GameStateManager({ store: new RedisStateStore({ client }) });
+    instanceB = new GameStateManager({ store: new RedisStateStore({ client }) });
+    instanceA.registerPlayer('host', { name: 'Host' });
+    instanceB.registerPlayer('guest', { name: 'Guest' });
+  });
+
+  /**
+   * Create a room hosted on instance A and seat instance B's player in it
+   */
+  async function createSharedRoom() {
+    const room = await instanceA.withRooms([], () => instanceA.createRoom('host', { name: 'Shared' }));
+    await instanceB.store.loadRooms();
+    const joined = await instanceB.withRooms([room.id], () => instanceB.addPlayerToRoom('guest', room.id));
+    expect(joined.success).toBe(true);
+    return room.id;
+  }
+
+  test('a room created on one instance can be listed and joined on another', async () => {
+    const roomId = await createSharedRoom();
+
+    const seen = await instanceA.withRooms([roomId], () => instanceA.getRoom(roomId));
+    expect(seen.players).toEqual(['host', 'guest']);
+    expect(instanceA.getPlayer('guest').name).toBe('Guest');
+    expect(instanceA.playerToRoom.get('guest')).toBe(roomId);
+  });
+
+  test('players who leave on one instance are unseated on the other', async () => {
+    const roomId = await createSharedRoom();
+    await instanceA.store.loadRoom(roomId);
+    expect(instanceA.playerToRoom.get('guest')).toBe(roomId);
+
+    await instanceB.withRooms([roomId], () => instanceB.removePlayerFromRoom('guest', roomId));
+    await instanceA.store.loadRoom(roomId);
+
+    expect(instanceA.getRoom(roomId).players).toEqual(['host']);
+    expect(instanceA.playerToRoom.has('guest')).toBe(false);
+  });
+
+  test('a room closed on one instance disappears from the other', async () => {
+    const roomId = await createSharedRoom();
+
+    await instanceA.withRooms([roomId], () => instanceA.removePlayerFromRoom('guest', roomId));
+    const left = await instanceA.withRooms([roomId], () => instanceA.removePlayerFromRoom('host', roomId));
+    expect(left.roomClosed).toBe(true);
+
+    await instanceB.store.loadRooms();
+    expect(instanceB.getRoom(roomId)).toBeUndefined();
+    expect(instanceB.playerToRoom.has('guest')).toBe(false);
+    expect(await client.smembers('chronoclash:rooms')).toEqual([]);
+  });
+
+  test('a battle started on one instance continues on the other', async () => {
+    const roomId = await createSharedRoom();
+    await instanceA.withRooms([roomId], () => {
+      instanceA.setPlayerCharacter('host', 'chrono-knight');
+      instanceA.setPlayerReady('host', true);
+    });
+    await instanceB.withRooms([roomId], () => {
+      instanceB.setPlayerCharacter('guest', 'steam-engineer');
+      instanceB.setPlayerReady('guest', true);
+    });
+
+    const started = await instanceA.withRooms([roomId], () => instanceA.startGame(roomId, { seed: 42 }));
+    expect(started.success).toBe(true);
+    expect(instanceA.getRoom(roomId).gameData.currentTurn).toBe('host');
+
+    await instanceA.withRooms([roomId], () => instanceA.processGameAction('host', { type: 'pass' }));
+    const acted = await instanceB.withRooms([roomId], () => instanceB.processGameAction('guest', { type: 'pass' }));
+
+    expect(acted.success).toBe(true);
+    const room = await instanceA.withRooms([roomId], () => instanceA.getRoom(roomId));
+    expect(room.gameData.turnCount).toBe(3);
+    expect(instanceA.replays.get(roomId).filter(event => event.type === 'action')).toHaveLength(2);
+  });
+
+  test('a room code already used by another instance is replaced', async () => {
+    const existing = await instanceA.withRooms([], () => instanceA.createRoom('host', { name: 'First' }));
+
+    jest.spyOn(instanceB, 'generateRoomCode')
+      .mockReturnValueOnce(existing.id)
+      .mockReturnValueOnce('ZZZZZZ');
+    const created = await instanceB.withRooms([], () => instanceB.createRoom('guest', { name: 'Second' }));
+
+    expect(created.id).toBe('ZZZZZZ');
+    expect(instanceB.playerToRoom.get('guest')).toBe('ZZZZZZ');
+    expect(instanceB.getRoom(existing.id)).toBeUndefined();
+
+    const original = await instanceA.store.loadRoom(existing.id);
+    expect(original.name).toBe('First');
+    expect(original.hostId).toBe('host');
+  });
+});
@@ -0,0 +1,84 @@
+const { simulateReplay } = require('../models/ReplaySimulator');
+const { createGameState, startBattle, act } = require('./support/battle');
+
+// Each character's cheapest attack, so battles run until someone is knocked out
+const BASIC_ATTACKS = {
+  'chrono-knight': 'temporal-slash',
+  'steam-engineer': 'gear-barrage',
+  'sun-pharaoh': 'solar-flare',
+  'neon-samurai': 'plasma-katana'
+};
+
+/**
+ * Play a battle to the end, attacking when there is mana for it and passing otherwise
+ * @param {GameStateManager} gameState - Game state manager instance
+ * @param {object} room - Room data
+ * @returns {object} The stored replay of the finished game
+ */
+function playToTheEnd(gameState, room) {
+  for (let turn = 0; turn < 200 && room.status === 'in-progress'; turn++) {
+    const player = gameState.getPlayer(room.gameData.currentTurn);
+    const abilityId = BASIC_ATTACKS[player.character.id];
+    const result = act(gameState, room, { type: 'ability', abilityId });
+    if (!result.success) {
+      act(gameState, room, { type: 'pass' });
+    }
+  }
+  return gameState.playerStore.getMatch(room.gameData.matchId).replay;
+}
+
+describe('replays', () => {
+  test('a finished game leaves a replay from game_start to game_end', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState, { seed: '5eed0000000000000000000000001234' });
+
+    const replay = playToTheEnd(gameState, room);
+
+    expect(room.status).toBe('completed');
+    expect(replay.events[0]).toMatchObject({ type: 'game_start', seed: '5eed0000000000000000000000001234' });
+    expect(replay.events[replay.events.length - 1]).toMatchObject({ type: 'game_end', reason: 'knockout' });
+    expect(replay.events.map(event => event.seq)).toEqual(replay.events.map((event, index) => index));
+  });
+
+  test('re-running a recorded game reproduces it', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState, { seed: '5eed0000000000000000000000098765' });
+    const replay = playToTheEnd(gameState, room);
+    const winnerSeat = gameState.getSeat(room, room.gameData.winner);
+
+    expect(simulateReplay(replay)).toEqual({ verified: true, winnerSeat, reason: 'knockout', mismatches: [] });
+  });
+
+  test('reproduces games with timeouts, defends and surrenders', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState, { seed: '5eed0000000000000000000000000005' });
+
+    act(gameState, room, { type: 'ability', abilityId: 'temporal-slash' });
+    gameState.processTurnTimeout(room.id, room.gameData.turnCount);
+    act(gameState, room, { type: 'defend' });
+    act(gameState, room, { type: 'surrender' });
+    const replay = gameState.playerStore.getMatch(room.gameData.matchId).replay;
+
+    expect(simulateReplay(replay)).toMatchObject({ verified: true, reason: 'surrender' });
+  });
+
+  test('catches a replay whose recorded outcome was tampered with', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState, { seed: '5eed0000000000000000000000000042' });
+    const replay = JSON.parse(JSON.stringify(playToTheEnd(gameState, room)));
+
+    const hit = replay.events.find(event => event.type === 'action' && event.deltas.some(delta => delta?.health < 0));
+    hit.state.forEach(seat => { seat.health = 999; });
+
+    const result = simulateReplay(replay);
+    expect(result.verified).toBe(false);
+    expect(result.mismatches[0].seq).toBe(hit.seq);
+  });
+
+  test('refuses a replay that does not start with the game', () => {
+    expect(simulateReplay({ version: 5, events: [] })).toEqual({
+      verified: false,
+      mismatches: [{ seq: 0, error: 'Replay does not begin with game_start' }]
+    });
+  });
+});
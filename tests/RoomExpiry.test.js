@@ -0,0 +1,92 @@
+const { runCleanup } = require('../controllers/lifecycleController');
+const { createGameState, seatPlayers, startBattle, act } = require('./support/battle');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+
+const MINUTE = 60 * 1000;
+const OPTIONS = { roomTimeout: 30 * MINUTE, playerTimeout: 60 * MINUTE, warningPeriod: 2 * MINUTE, completedRetention: 5 * MINUTE };
+
+describe('room and player expiry', () => {
+  test('an idle room is warned once before it closes', () => {
+    const gameState = createGameState();
+    const room = seatPlayers(gameState, ['alice', 'bob']);
+    room.lastActivity = Date.now() - 29 * MINUTE;
+
+    const first = gameState.cleanupInactive(OPTIONS);
+    const second = gameState.cleanupInactive(OPTIONS);
+
+    expect(first.expiring).toEqual([{ room, expiresAt: room.lastActivity + 30 * MINUTE, reason: 'inactive' }]);
+    expect(second.expiring).toEqual([]);
+    expect(gameState.getRoom(room.id)).toBe(room);
+  });
+
+  test('an idle room closes and unseats its players', () => {
+    const gameState = createGameState();
+    const room = seatPlayers(gameState, ['alice', 'bob']);
+    room.lastActivity = Date.now() - 31 * MINUTE;
+
+    const result = gameState.cleanupInactive(OPTIONS);
+
+    expect(result.closed).toEqual([{ room, reason: 'inactive' }]);
+    expect(gameState.getRoom(room.id)).toBeUndefined();
+    expect(gameState.playerToRoom.has('alice')).toBe(false);
+  });
+
+  test('a finished game\'s room goes sooner than an idle one', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+    act(gameState, room, { type: 'surrender' });
+
+    expect(gameState.getRoomExpiry(room, 30 * MINUTE, 5 * MINUTE)).toEqual({
+      expiresAt: room.gameData.endTime + 5 * MINUTE,
+      reason: 'completed'
+    });
+
+    room.gameData.endTime -= 6 * MINUTE;
+    expect(gameState.cleanupInactive(OPTIONS).closed).toEqual([{ room, reason: 'completed' }]);
+  });
+
+  test('idle players are removed unless they are seated or still connected', () => {
+    const gameState = createGameState();
+    seatPlayers(gameState, ['alice']);
+    ['bob', 'carol'].forEach(id => gameState.registerPlayer(id, { name: id }));
+    ['alice', 'bob', 'carol'].forEach(id => { gameState.getPlayer(id).lastActive = Date.now() - 61 * MINUTE; });
+
+    const result = gameState.cleanupInactive({ ...OPTIONS, isConnected: id => id === 'carol' });
+
+    expect(result.removedPlayers).toEqual(['bob']);
+    expect(gameState.getPlayer('alice')).toBeDefined();
+    expect(gameState.getPlayer('carol')).toBeDefined();
+  });
+});
+
+describe('expiry notifications', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('members are warned, then told why their room closed', async () => {
+    const gameState = createGameState();
+    const io = createFakeIo();
+    ['alice', 'bob'].forEach(id => createFakeSocket(io, id));
+    const room = seatPlayers(gameState, ['alice', 'bob']);
+
+    room.lastActivity = Date.now() - 29 * MINUTE;
+    await runCleanup(gameState, io);
+
+    const [warning] = io.sentTo(room.id, 'room_expiring');
+    expect(warning).toMatchObject({ roomId: room.id, reason: 'inactive' });
+    expect(warning.secondsLeft).toBeGreaterThan(0);
+    expect(warning.secondsLeft).toBeLessThanOrEqual(60);
+
+    room.lastActivity = Date.now() - 31 * MINUTE;
+    await runCleanup(gameState, io);
+
+    expect(io.sentTo(room.id, 'room_closed')).toEqual([{ roomId: room.id, reason: 'inactive' }]);
+    expect(io.sentTo(null, 'room_unavailable')).toEqual([{ roomId: room.id, reason: 'inactive' }]);
+    expect(io.sentTo(room.id, 'leave')).toEqual([room.id]);
+  });
+});
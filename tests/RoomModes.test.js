@@ -0,0 +1,123 @@
+const { createGameState, seatPlayers, startBattle, act } = require('./support/battle');
+
+const FFA_PLAYERS = [
+  { id: 'alice', characterId: 'chrono-knight' },
+  { id: 'bob', characterId: 'steam-engineer' },
+  { id: 'carol', characterId: 'sun-pharaoh' }
+];
+
+// Seated in this order, players alternate between the teams
+const TEAM_PLAYERS = [
+  { id: 'alice', characterId: 'chrono-knight', team: 0 },
+  { id: 'bob', characterId: 'steam-engineer', team: 1 },
+  { id: 'carol', characterId: 'sun-pharaoh', team: 0 },
+  { id: 'dave', characterId: 'chrono-knight', team: 1 }
+];
+
+describe('free-for-all rooms', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+  });
+
+  test('need at least three players to start', () => {
+    const room = seatPlayers(gameState, ['alice', 'bob'], { mode: 'ffa' });
+    ['alice', 'bob'].forEach(id => gameState.setPlayerCharacter(id, 'chrono-knight'));
+    ['alice', 'bob'].forEach(id => gameState.setPlayerReady(id, true));
+
+    expect(room.status).toBe('waiting');
+    expect(gameState.getStartProblem(room)).toBe('Need at least 3 players to start');
+    expect(room.settings.maxPlayers).toBe(4);
+  });
+
+  test('attacks must name their target once there is more than one enemy', () => {
+    const room = startBattle(gameState, { players: FFA_PLAYERS, room: { mode: 'ffa' } });
+
+    const unaimed = act(gameState, room, { type: 'ability', abilityId: 'temporal-slash' });
+    const aimed = act(gameState, room, { type: 'ability', abilityId: 'temporal-slash', targetId: 'carol' });
+
+    expect(unaimed).toMatchObject({ success: false, code: 'INVALID_TARGET', error: 'Choose a target' });
+    expect(aimed.success).toBe(true);
+    expect(gameState.getPlayer('carol').health).toBeLessThan(90);
+    expect(gameState.getPlayer('bob').health).toBe(110);
+  });
+
+  test('turns rotate through everyone still standing, and the last one standing wins', () => {
+    const room = startBattle(gameState, { players: FFA_PLAYERS, room: { mode: 'ffa' } });
+    gameState.getPlayer('bob').health = 1;
+
+    act(gameState, room, { type: 'ability', abilityId: 'temporal-slash', targetId: 'bob' });
+
+    expect(room.status).toBe('in-progress');
+    expect(room.gameData.currentTurn).toBe('carol');
+    expect(room.gameData.participants.find(participant => participant.playerId === 'bob').eliminated).toBe(true);
+
+    const attackEliminated = act(gameState, room, { type: 'ability', abilityId: 'solar-flare', targetId: 'bob' });
+    expect(attackEliminated).toMatchObject({ success: false, error: 'Target is not in the fight' });
+
+    act(gameState, room, { type: 'surrender' });
+
+    expect(room.status).toBe('completed');
+    expect(room.gameData.winner).toBe('alice');
+  });
+});
+
+describe('team rooms', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+  });
+
+  test('players join whichever team is short and may switch while there is room', () => {
+    const room = seatPlayers(gameState, ['alice', 'bob', 'carol'], { mode: 'teams' });
+    gameState.setPlayerReady('carol', true);
+
+    expect(room.teams).toEqual({ alice: 0, bob: 1, carol: 0 });
+    expect(gameState.setPlayerTeam('carol', 1)).toMatchObject({ success: true, team: 1 });
+    expect(gameState.getPlayer('carol').isReady).toBe(false);
+    expect(gameState.setPlayerTeam('alice', 1)).toMatchObject({ success: false, code: 'TEAM_FULL' });
+    expect(gameState.setPlayerTeam('alice', 2)).toMatchObject({ success: false, code: 'INVALID_TARGET' });
+  });
+
+  test('teams are not available in a duel', () => {
+    seatPlayers(gameState, ['alice', 'bob']);
+
+    expect(gameState.setPlayerTeam('bob', 0)).toMatchObject({ success: false, code: 'NOT_TEAM_ROOM' });
+  });
+
+  test('allies cannot be attacked but can be healed', () => {
+    const room = startBattle(gameState, { players: TEAM_PLAYERS, room: { mode: 'teams' } });
+
+    const friendlyFire = act(gameState, room, { type: 'ability', abilityId: 'temporal-slash', targetId: 'carol' });
+    expect(friendlyFire).toMatchObject({ success: false, code: 'INVALID_TARGET', error: 'You cannot attack an ally' });
+
+    act(gameState, room, { type: 'ability', abilityId: 'temporal-slash', targetId: 'bob' });
+    act(gameState, room, { type: 'pass' });
+    gameState.getPlayer('alice').health = 50;
+
+    const healEnemy = act(gameState, room, { type: 'ability', abilityId: 'blessing-of-ra', targetId: 'bob' });
+    const healAlly = act(gameState, room, { type: 'ability', abilityId: 'blessing-of-ra', targetId: 'alice' });
+
+    expect(healEnemy).toMatchObject({ success: false, error: 'This can only be used on yourself or an ally' });
+    expect(healAlly.success).toBe(true);
+    expect(gameState.getPlayer('alice').health).toBe(70);
+  });
+
+  test('a team wins once both of its opponents are out', () => {
+    const room = startBattle(gameState, { players: TEAM_PLAYERS, room: { mode: 'teams' } });
+    act(gameState, room, { type: 'pass' });
+
+    act(gameState, room, { type: 'surrender' });
+    expect(room.status).toBe('in-progress');
+    expect(room.gameData.currentTurn).toBe('carol');
+
+    act(gameState, room, { type: 'pass' });
+    act(gameState, room, { type: 'surrender' });
+
+    expect(room.status).toBe('completed');
+    expect(room.gameData.winningTeam).toBe(0);
+    expect(room.gameData.winners.sort()).toEqual(['alice', 'carol']);
+  });
+});
@@ -0,0 +1,154 @@
+const { handleCreateRoom } = require('../controllers/gameController');
+const { createGameState, seatPlayers, startBattle, act } = require('./support/battle');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+
+describe('rule options', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('fall back to the standard rules and are clamped to their ranges', () => {
+    expect(gameState.normalizeRoomSettings({})).toMatchObject({
+      healthMultiplier: 1,
+      manaMultiplier: 1,
+      firstTurn: 'host',
+      bannedCharacters: [],
+      maxTurns: 0
+    });
+    expect(gameState.normalizeRoomSettings({
+      healthMultiplier: 10,
+      manaMultiplier: 0.1,
+      firstTurn: 'loudest',
+      bannedCharacters: ['sun-pharaoh', 'sun-pharaoh', 7],
+      maxTurns: 9999
+    })).toMatchObject({
+      healthMultiplier: 3,
+      manaMultiplier: 0.5,
+      firstTurn: 'host',
+      bannedCharacters: ['sun-pharaoh'],
+      maxTurns: 500
+    });
+  });
+
+  test('are checked against the catalog and the room\'s mode', () => {
+    const everyone = gameState.characterRegistry.getCatalog().map(character => character.id);
+
+    expect(gameState.validateRoomRules({ bannedCharacters: ['time-lord'] }, 'duel')).toMatchObject({
+      success: false,
+      code: 'INVALID_SETTINGS',
+      error: 'Unknown character: time-lord'
+    });
+    expect(gameState.validateRoomRules({ bannedCharacters: everyone }, 'duel').error).toBe('At least one character must stay available');
+    expect(gameState.validateRoomRules({ firstTurn: 'coin_flip' }, 'ffa').success).toBe(false);
+    expect(gameState.validateRoomRules({ firstTurn: 'coin_flip' }, 'duel').success).toBe(true);
+  });
+
+  test('show in the public room list', () => {
+    seatPlayers(gameState, ['alice'], { maxTurns: 20, bannedCharacters: ['neon-samurai'] });
+
+    const [listing] = gameState.getPublicRooms();
+
+    expect(listing.settings).toMatchObject({ maxTurns: 20, bannedCharacters: ['neon-samurai'] });
+  });
+
+  test('invalid rules stop a room being created', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const io = createFakeIo();
+    const socket = createFakeSocket(io, 'alice');
+    gameState.registerPlayer('alice', { name: 'alice' });
+
+    await handleCreateRoom(socket, { name: 'Odd Rules', bannedCharacters: ['time-lord'] }, gameState, io);
+
+    expect(socket.sent('create_room_error')).toEqual([expect.objectContaining({ code: 'INVALID_SETTINGS' })]);
+    expect(gameState.rooms.size).toBe(0);
+  });
+});
+
+describe('changing the rules', () => {
+  let gameState;
+  let room;
+
+  beforeEach(() => {
+    gameState = createGameState();
+    room = seatPlayers(gameState, ['alice', 'bob']);
+  });
+
+  test('only the host may change them, and everyone has to ready up again', () => {
+    gameState.setPlayerCharacter('bob', 'steam-engineer');
+    gameState.setPlayerReady('bob', true);
+
+    expect(gameState.updateRoomSettings('bob', { maxTurns: 10 })).toMatchObject({ success: false, code: 'NOT_HOST' });
+
+    const updated = gameState.updateRoomSettings('alice', { maxTurns: 10 });
+
+    expect(updated.settings).toMatchObject({ maxTurns: 10, turnTimeLimit: 30 });
+    expect(gameState.getPlayer('bob').isReady).toBe(false);
+  });
+
+  test('banned characters cannot be picked, and a ban after picking holds up the start', () => {
+    gameState.setPlayerCharacter('alice', 'chrono-knight');
+    gameState.updateRoomSettings('alice', { bannedCharacters: ['chrono-knight'] });
+
+    expect(gameState.setPlayerCharacter('bob', 'chrono-knight')).toMatchObject({ success: false, code: 'CHARACTER_BANNED' });
+    expect(gameState.getStartProblem(room)).toBe('Chrono Knight is banned in this room');
+  });
+
+  test('rules are locked once the game starts', () => {
+    gameState.closeRoom(room.id);
+    const battle = startBattle(gameState);
+
+    expect(gameState.updateRoomSettings(battle.hostId, { maxTurns: 10 })).toMatchObject({ success: false, code: 'SETTINGS_LOCKED' });
+  });
+});
+
+describe('rules in play', () => {
+  let gameState;
+
+  beforeEach(() => {
+    gameState = createGameState();
+  });
+
+  test('health and mana multipliers scale every fighter', () => {
+    startBattle(gameState, { room: { healthMultiplier: 1.5, manaMultiplier: 0.5 } });
+
+    expect(gameState.getPlayer('alice')).toMatchObject({ maxHealth: 180, health: 180, maxMana: 40, mana: 40 });
+    expect(gameState.getPlayer('bob')).toMatchObject({ maxHealth: 165, maxMana: 45 });
+  });
+
+  test('a coin flip decides who goes first', () => {
+    const room = startBattle(gameState, { room: { firstTurn: 'coin_flip' }, seed: '5eed0000000000000000000000000005' });
+
+    const [, side] = room.gameData.battleLog.join('\n').match(/The coin lands (heads|tails)!/);
+    expect(room.gameData.currentTurn).toBe(side === 'heads' ? 'alice' : 'bob');
+  });
+
+  test('at the turn limit the side with the larger share of its health wins', () => {
+    const room = startBattle(gameState, { room: { maxTurns: 2 } });
+    gameState.getPlayer('bob').health = 100;
+
+    act(gameState, room, { type: 'pass' });
+    const last = act(gameState, room, { type: 'pass' });
+
+    expect(last).toMatchObject({ gameOver: true, winner: 'alice' });
+    expect(room.gameData.endReason).toBe('turn_limit');
+  });
+
+  test('an even split at the turn limit is a draw', () => {
+    const room = startBattle(gameState, { room: { maxTurns: 2 } });
+    const profileId = gameState.getPlayer('alice').profileId;
+
+    act(gameState, room, { type: 'pass' });
+    act(gameState, room, { type: 'pass' });
+
+    expect(room.status).toBe('completed');
+    expect(room.gameData.winner).toBeNull();
+    expect(room.gameData.battleLog).toContain('The battle ends in a draw!');
+    expect(gameState.playerStore.getProfile(profileId).stats).toMatchObject({ gamesPlayed: 1, draws: 1 });
+  });
+});
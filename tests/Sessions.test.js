@@ -0,0 +1,90 @@
+const { createGameState, startBattle, act } = require('./support/battle');
+const { createFakeIo, createFakeSocket } = require('./support/io');
+const { withEnv } = require('./support/env');
+
+describe('session resume', () => {
+  test('a dropped player resumes their seat and battle on a new socket', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+    const token = gameState.createSession('alice');
+
+    act(gameState, room, { type: 'pass' });
+    gameState.markPlayerDisconnected('bob');
+    expect(gameState.getPlayer('bob').isConnected).toBe(false);
+
+    const bobToken = gameState.createSession('bob');
+    gameState.registerPlayer('bob-2', { name: 'placeholder' });
+    const resumed = gameState.resumeSession(bobToken, 'bob-2');
+
+    expect(resumed.success).toBe(true);
+    expect(resumed.previousPlayerId).toBe('bob');
+    expect(resumed.room.id).toBe(room.id);
+    expect(resumed.player).toMatchObject({ id: 'bob-2', name: 'bob', isConnected: true, disconnectedAt: null });
+    expect(gameState.getPlayer('bob')).toBeUndefined();
+    expect(room.players).toEqual(['alice', 'bob-2']);
+    expect(room.gameData.currentTurn).toBe('bob-2');
+    expect(room.gameData.participants.map(participant => participant.playerId)).toEqual(['alice', 'bob-2']);
+    expect(gameState.getSessionPlayerId(bobToken)).toBe('bob-2');
+    expect(gameState.getSessionPlayerId(token)).toBe('alice');
+
+    expect(act(gameState, room, { type: 'pass' }).success).toBe(true);
+  });
+
+  test('a resumed host keeps hosting', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+    const token = gameState.createSession('alice');
+
+    gameState.registerPlayer('alice-2', { name: 'placeholder' });
+    gameState.resumeSession(token, 'alice-2');
+
+    expect(room.hostId).toBe('alice-2');
+    expect(gameState.playerToRoom.get('alice-2')).toBe(room.id);
+    expect(gameState.playerToRoom.has('alice')).toBe(false);
+  });
+
+  test('a new session replaces the old token', () => {
+    const gameState = createGameState();
+    gameState.registerPlayer('alice', { name: 'Alice' });
+
+    const first = gameState.createSession('alice');
+    const second = gameState.createSession('alice');
+
+    expect(second).not.toBe(first);
+    expect(gameState.getSessionPlayerId(first)).toBeUndefined();
+    expect(gameState.resumeSession(first, 'alice-2')).toMatchObject({ success: false, code: 'SESSION_NOT_FOUND' });
+  });
+
+  test('refuses unknown tokens and sessions already on this socket', () => {
+    const gameState = createGameState();
+    gameState.registerPlayer('alice', { name: 'Alice' });
+    const token = gameState.createSession('alice');
+
+    expect(gameState.resumeSession('not-a-token', 'alice-2')).toMatchObject({ success: false, code: 'SESSION_NOT_FOUND' });
+    expect(gameState.resumeSession(token, 'alice')).toMatchObject({ success: false, code: 'SESSION_ALREADY_BOUND' });
+  });
+
+  test('a session ends when its player is unregistered', () => {
+    const gameState = createGameState();
+    gameState.registerPlayer('alice', { name: 'Alice' });
+    const token = gameState.createSession('alice');
+
+    gameState.unregisterPlayer('alice');
+
+    expect(gameState.getSessionPlayerId(token)).toBeUndefined();
+    expect(gameState.resumeSession(token, 'alice-2')).toMatchObject({ success: false, code: 'SESSION_NOT_FOUND' });
+  });
+});
+
+describe('reconnect grace period', () => {
+  test('can be set to 0 from the environment', () => {
+    withEnv({ RECONNECT_GRACE_PERIOD_MS: '0' }, () => {
+      const { handleUserConnection } = require('../controllers/gameController');
+      const socket = createFakeSocket(createFakeIo(), 'alice');
+
+      handleUserConnection(socket, createGameState());
+
+      expect(socket.sent('connection_success')[0].reconnectGracePeriod).toBe(0);
+    });
+  });
+});
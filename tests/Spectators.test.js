@@ -0,0 +1,64 @@
+const { createGameState, startBattle, act } = require('./support/battle');
+
+describe('spectators', () => {
+  let gameState;
+  let room;
+
+  beforeEach(() => {
+    gameState = createGameState();
+    room = startBattle(gameState);
+    gameState.registerPlayer('viewer', { name: 'Viewer' });
+  });
+
+  test('live public battles are listed for spectators to browse', () => {
+    const hidden = createGameState();
+    startBattle(hidden, { room: { isPrivate: true } });
+
+    expect(gameState.getLiveBattles()).toEqual([expect.objectContaining({
+      id: room.id,
+      spectators: 0,
+      players: [
+        { id: 'alice', name: 'alice', characterId: 'chrono-knight' },
+        { id: 'bob', name: 'bob', characterId: 'steam-engineer' }
+      ]
+    })]);
+    expect(hidden.getLiveBattles()).toEqual([]);
+  });
+
+  test('a spectator watches one room at a time', () => {
+    const other = startBattle(gameState, {
+      players: [{ id: 'carol', characterId: 'sun-pharaoh' }, { id: 'dave', characterId: 'neon-samurai' }]
+    });
+
+    expect(gameState.addSpectator('viewer', room.id)).toMatchObject({ success: true, previousRoomId: null });
+    expect(gameState.addSpectator('viewer', other.id)).toMatchObject({ success: true, previousRoomId: room.id });
+
+    expect(room.spectators).toEqual([]);
+    expect(other.spectators).toEqual(['viewer']);
+    expect(gameState.removeSpectator('viewer')).toMatchObject({ success: true, roomId: other.id });
+    expect(gameState.removeSpectator('viewer')).toMatchObject({ success: false, code: 'NOT_SPECTATING' });
+  });
+
+  test('players cannot spectate while seated, and nobody can watch a finished battle', () => {
+    expect(gameState.addSpectator('alice', room.id)).toMatchObject({ success: false, code: 'IN_ROOM' });
+
+    act(gameState, room, { type: 'surrender' });
+
+    expect(gameState.addSpectator('viewer', room.id)).toMatchObject({ success: false, code: 'GAME_ENDED' });
+    expect(gameState.addSpectator('viewer', 'NOPE00')).toMatchObject({ success: false, code: 'ROOM_NOT_FOUND' });
+  });
+
+  test('the battle view shows the fight without abilities or session data', () => {
+    gameState.createSession('alice');
+    act(gameState, room, { type: 'ability', abilityId: 'temporal-slash' });
+
+    const view = gameState.getBattleView(room);
+    const alice = view.players.find(player => player.id === 'alice');
+
+    expect(alice.character).toEqual({ id: 'chrono-knight', name: 'Chrono Knight', avatar: expect.anything(), element: 'temporal' });
+    expect(alice).not.toHaveProperty('sessionToken');
+    expect(alice).not.toHaveProperty('cooldowns');
+    expect(view.gameData.battleLog).toContain('alice used Temporal Slash!');
+    expect(view.gameData.currentTurn).toBe('bob');
+  });
+});
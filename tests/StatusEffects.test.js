@@ -0,0 +1,103 @@
+const { validateEffect, getEffectType } = require('../models/StatusEffects');
+const { createGameState, startBattle, act } = require('./support/battle');
+
+describe('validateEffect', () => {
+  test('accepts well-formed effects', () => {
+    expect(validateEffect({ type: 'poison', target: 'enemy', duration: 3, magnitude: 4 })).toBeNull();
+    expect(validateEffect({ type: 'stun', target: 'enemy', duration: 1 })).toBeNull();
+    expect(validateEffect({ type: 'heal', target: 'ally', magnitude: 20 })).toBeNull();
+  });
+
+  test('describes what is wrong with malformed effects', () => {
+    expect(validateEffect({ type: 'teleport', target: 'enemy' })).toBe('unknown effect type "teleport"');
+    expect(validateEffect({ type: 'burn', target: 'everyone', duration: 2, magnitude: 5 })).toBe('effect "burn" has an invalid target');
+    expect(validateEffect({ type: 'burn', target: 'enemy', magnitude: 5 })).toBe('effect "burn" needs a positive integer duration');
+    expect(validateEffect({ type: 'shield', target: 'self', duration: 2, magnitude: 0 })).toBe('effect "shield" needs a positive magnitude');
+  });
+
+  test('knows which effects are harmful', () => {
+    expect(getEffectType('poison').negative).toBe(true);
+    expect(getEffectType('regen').negative).toBe(false);
+    expect(getEffectType('nonsense')).toBeNull();
+  });
+});
+
+describe('status effects in battle', () => {
+  test('poison deals damage at the start of each of the victim\'s turns, then wears off', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+    const alice = gameState.getPlayer('alice');
+
+    act(gameState, room, { type: 'pass' }); // alice
+    const poisoned = act(gameState, room, { type: 'ability', abilityId: 'pressure-valve' }); // bob
+
+    expect(poisoned.effects).toEqual([{ type: 'poison', playerId: 'alice', duration: 3 }]);
+    expect(poisoned.logEntries).toContain('alice takes 4 poison damage!');
+
+    const healthAfterFirstTick = alice.health;
+    act(gameState, room, { type: 'pass' }); // alice
+    act(gameState, room, { type: 'pass' }); // bob
+    expect(alice.health).toBe(healthAfterFirstTick - 4);
+
+    act(gameState, room, { type: 'pass' }); // alice
+    act(gameState, room, { type: 'pass' }); // bob
+    expect(alice.health).toBe(healthAfterFirstTick - 8);
+
+    act(gameState, room, { type: 'pass' }); // alice, whose poison wears off at the end of this turn
+    expect(alice.effects).toEqual([]);
+  });
+
+  test('a stunned player loses their next turn', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState, {
+      players: [{ id: 'alice', characterId: 'neon-samurai' }, { id: 'bob', characterId: 'steam-engineer' }]
+    });
+
+    const result = act(gameState, room, { type: 'ability', abilityId: 'emp-pulse' });
+
+    expect(result.logEntries).toContain('bob is stunned and loses their turn!');
+    expect(room.gameData.currentTurn).toBe('alice');
+    expect(gameState.getPlayer('bob').effects).toEqual([]);
+  });
+
+  test('a shield soaks up damage before health', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+    const alice = gameState.getPlayer('alice');
+
+    act(gameState, room, { type: 'ability', abilityId: 'shield-of-ages' });
+    const healthBefore = alice.health;
+    const hit = act(gameState, room, { type: 'ability', abilityId: 'gear-barrage' });
+
+    expect(hit.absorbed).toBeGreaterThan(0);
+    expect(hit.damage).toBe(0);
+    expect(alice.health).toBe(healthBefore);
+    expect(alice.effects.find(effect => effect.type === 'shield').magnitude).toBe(20 - hit.absorbed);
+  });
+
+  test('attack buffs make hits land harder', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+    const alice = gameState.getPlayer('alice');
+    const bob = gameState.getPlayer('bob');
+    const before = gameState.calculateDamage(alice, bob, 18, 'temporal').damage;
+
+    act(gameState, room, { type: 'ability', abilityId: 'rallying-oath' });
+
+    expect(gameState.calculateDamage(alice, bob, 18, 'temporal').damage).toBeGreaterThan(before);
+  });
+
+  test('re-applying an effect refreshes it instead of stacking', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+
+    act(gameState, room, { type: 'pass' }); // alice
+    act(gameState, room, { type: 'ability', abilityId: 'pressure-valve' }); // bob
+    act(gameState, room, { type: 'pass' }); // alice
+    act(gameState, room, { type: 'ability', abilityId: 'pressure-valve' }); // bob
+
+    const poison = gameState.getPlayer('alice').effects.filter(effect => effect.type === 'poison');
+    expect(poison).toHaveLength(1);
+    expect(poison[0].duration).toBe(3);
+  });
+});
@@ -0,0 +1,88 @@
+const { createGameState, startBattle, act } = require('./support/battle');
+
+describe('mana, cooldowns, defend and pass', () => {
+  test('abilities cost mana, which regenerates at the start of each turn', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+    const alice = gameState.getPlayer('alice');
+
+    act(gameState, room, { type: 'ability', abilityId: 'temporal-slash' }); // alice, 80 - 10
+    expect(alice.mana).toBe(70);
+
+    const result = act(gameState, room, { type: 'pass' }); // bob
+    expect(alice.mana).toBe(78);
+    expect(result.logEntries).toContain('alice regains 8 mana.');
+  });
+
+  test('refuses abilities the player cannot pay for, keeping the turn', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState, { room: { manaMultiplier: 0.5 } }); // alice starts with 40 mana
+    const alice = gameState.getPlayer('alice');
+
+    act(gameState, room, { type: 'ability', abilityId: 'epoch-cleave' }); // alice, 40 - 30
+    expect(alice.mana).toBe(10);
+    alice.mana = 2;
+
+    expect(act(gameState, room, { type: 'pass' }).success).toBe(true); // bob; alice regains 8
+    expect(act(gameState, room, { type: 'ability', abilityId: 'rallying-oath' })).toMatchObject({
+      success: false,
+      code: 'NOT_ENOUGH_MANA'
+    });
+    expect(alice.mana).toBe(10);
+    expect(room.gameData.currentTurn).toBe('alice');
+  });
+
+  test('an ability on cooldown cannot be used until its turns have passed', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+
+    act(gameState, room, { type: 'ability', abilityId: 'epoch-cleave' }); // alice, cooldown 2
+    act(gameState, room, { type: 'pass' }); // bob
+
+    expect(act(gameState, room, { type: 'ability', abilityId: 'epoch-cleave' })).toMatchObject({
+      success: false,
+      code: 'ABILITY_ON_COOLDOWN',
+      error: 'Epoch Cleave is on cooldown for 2 more turns'
+    });
+    act(gameState, room, { type: 'pass' }); // alice
+    act(gameState, room, { type: 'pass' }); // bob
+
+    expect(act(gameState, room, { type: 'ability', abilityId: 'epoch-cleave' })).toMatchObject({
+      error: 'Epoch Cleave is on cooldown for 1 more turn'
+    });
+    act(gameState, room, { type: 'pass' }); // alice
+    act(gameState, room, { type: 'pass' }); // bob
+
+    expect(act(gameState, room, { type: 'ability', abilityId: 'epoch-cleave' }).success).toBe(true);
+  });
+
+  test('defending halves the damage taken until the defender\'s next turn ends', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+    const alice = gameState.getPlayer('alice');
+    const bob = gameState.getPlayer('bob');
+    const undefended = gameState.calculateDamage(bob, alice, 16, 'steam').damage;
+
+    const defended = act(gameState, room, { type: 'defend' }); // alice
+    expect(defended.defend).toBe(true);
+
+    const hit = act(gameState, room, { type: 'ability', abilityId: 'gear-barrage' }); // bob
+    expect(hit.damage).toBe(Math.round(undefended / 2));
+
+    act(gameState, room, { type: 'pass' }); // alice, whose guard drops at the end of this turn
+    expect(alice.effects).toEqual([]);
+  });
+
+  test('passing restores a fifth of the player\'s mana', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+    const alice = gameState.getPlayer('alice');
+
+    act(gameState, room, { type: 'ability', abilityId: 'epoch-cleave' }); // alice, 80 - 30
+    act(gameState, room, { type: 'pass' }); // bob; alice regains 8
+
+    const result = act(gameState, room, { type: 'pass' }); // alice
+    expect(result).toMatchObject({ pass: true, manaRestored: 16 });
+    expect(alice.mana).toBe(50 + 8 + 16);
+  });
+});
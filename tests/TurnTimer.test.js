@@ -0,0 +1,86 @@
+const { createGameState, startBattle, act } = require('./support/battle');
+const { withEnv } = require('./support/env');
+
+/**
+ * Let the current turn run out
+ * @param {GameStateManager} gameState - Game state manager instance
+ * @param {object} room - Room data
+ */
+function timeOut(gameState, room) {
+  return gameState.processTurnTimeout(room.id, room.gameData.turnCount);
+}
+
+describe('turn timer', () => {
+  test('rooms get the default limits, clamped to the allowed range', () => {
+    const gameState = createGameState();
+
+    expect(gameState.normalizeRoomSettings({})).toMatchObject({ turnTimeLimit: 30, maxTurnTimeouts: 3 });
+    expect(gameState.normalizeRoomSettings({ turnTimeLimit: 1 }).turnTimeLimit).toBe(5);
+    expect(gameState.normalizeRoomSettings({ turnTimeLimit: 10000 }).turnTimeLimit).toBe(300);
+    expect(gameState.normalizeRoomSettings({ turnTimeLimit: 0 }).turnTimeLimit).toBe(0);
+  });
+
+  test('a started turn has a deadline unless the room turned the clock off', () => {
+    const timed = createGameState();
+    const timedRoom = startBattle(timed);
+    expect(timedRoom.gameData.turnDeadline).toBeGreaterThan(Date.now());
+
+    const untimed = createGameState();
+    const untimedRoom = startBattle(untimed, { room: { turnTimeLimit: 0 } });
+    expect(untimedRoom.gameData.turnDeadline).toBeNull();
+  });
+
+  test('a player who runs out of time loses the turn', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+
+    const result = timeOut(gameState, room);
+
+    expect(result).toMatchObject({ success: true, playerId: 'alice', consecutiveTimeouts: 1, forfeited: false });
+    expect(room.gameData.currentTurn).toBe('bob');
+    expect(result.logEntries[0]).toBe('alice ran out of time!');
+  });
+
+  test('ignores a timer for a turn that already ended', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState);
+    const staleTurn = room.gameData.turnCount;
+
+    act(gameState, room, { type: 'pass' });
+
+    expect(gameState.processTurnTimeout(room.id, staleTurn)).toMatchObject({ success: false, code: 'NOT_YOUR_TURN' });
+    expect(room.gameData.currentTurn).toBe('bob');
+  });
+
+  test('acting resets the count of missed turns', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState, { room: { maxTurnTimeouts: 2 } });
+
+    timeOut(gameState, room); // alice
+    act(gameState, room, { type: 'pass' }); // bob
+    act(gameState, room, { type: 'pass' }); // alice
+    act(gameState, room, { type: 'pass' }); // bob
+
+    expect(timeOut(gameState, room)).toMatchObject({ playerId: 'alice', consecutiveTimeouts: 1, forfeited: false });
+  });
+
+  test('missing too many turns in a row forfeits the game', () => {
+    const gameState = createGameState();
+    const room = startBattle(gameState, { room: { maxTurnTimeouts: 2 } });
+
+    timeOut(gameState, room); // alice
+    act(gameState, room, { type: 'pass' }); // bob
+    const result = timeOut(gameState, room); // alice again
+
+    expect(result).toMatchObject({ forfeited: true, gameOver: true, winner: 'bob' });
+    expect(room.status).toBe('completed');
+    expect(timeOut(gameState, room)).toMatchObject({ success: false, code: 'GAME_NOT_IN_PROGRESS' });
+  });
+
+  test('a server default of 0 turns the clock off rather than falling back to 30 seconds', () => {
+    withEnv({ TURN_TIME_LIMIT_SECONDS: '0' }, () => {
+      const { createGameState: createIsolatedGameState } = require('./support/battle');
+      expect(createIsolatedGameState().normalizeRoomSettings({}).turnTimeLimit).toBe(0);
+    });
+  });
+});
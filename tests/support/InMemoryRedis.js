@@ -0,0 +1,136 @@
+const { RELEASE_LOCK_SCRIPT } = require('../../models/RedisStateStore');
+
+// The Lua scripts RedisStateStore runs, as JavaScript over this client's data
+const SCRIPTS = new Map([
+  [RELEASE_LOCK_SCRIPT, (client, [key], [token]) => (client.read(key) === token ? client.remove(key) : 0)]
+]);
+
+/**
+ * InMemoryRedis - A stand-in for an ioredis client, holding its data in process
+ *
+ * Implements only the commands RedisStateStore sends: get, set (with PX and NX), del, sadd, srem,
+ * smembers and eval of the store's own scripts. Several stores sharing one instance behave like
+ * server instances sharing one Redis.
+ */
+class InMemoryRedis {
+  constructor() {
+    this.strings = new Map(); // key -> { value, expiresAt }
+    this.sets = new Map(); // key -> Set of members
+  }
+
+  /**
+   * Get a string value, dropping it if it has expired
+   * @param {string} key - Key
+   */
+  read(key) {
+    const entry = this.strings.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.strings.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Delete a key of either kind
+   * @param {string} key - Key
+   * @returns {number} How many keys were deleted
+   */
+  remove(key) {
+    const existed = this.read(key) !== null || this.sets.has(key);
+    this.strings.delete(key);
+    this.sets.delete(key);
+    return existed ? 1 : 0;
+  }
+
+  /**
+   * GET key
+   * @param {string} key - Key
+   */
+  async get(key) {
+    return this.read(key);
+  }
+
+  /**
+   * SET key value [PX milliseconds] [NX]
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @param {...*} options - PX with its milliseconds, and NX, in any order
+   * @returns {Promise<string|null>} 'OK', or null if NX was given and the key exists
+   */
+  async set(key, value, ...options) {
+    const flags = options.map(option => (typeof option === 'string' ? option.toUpperCase() : option));
+    if (flags.includes('NX') && this.read(key) !== null) return null;
+
+    const pxIndex = flags.indexOf('PX');
+    const expiresAt = pxIndex === -1 ? null : Date.now() + Number(flags[pxIndex + 1]);
+    this.strings.set(key, { value: String(value), expiresAt });
+    return 'OK';
+  }
+
+  /**
+   * DEL key [key ...]
+   * @param {...string} keys - Keys
+   */
+  async del(...keys) {
+    return keys.reduce((count, key) => count + this.remove(key), 0);
+  }
+
+  /**
+   * SADD key member [member ...]
+   * @param {string} key - Set key
+   * @param {...string} members - Members to add
+   * @returns {Promise<number>} How many members were new
+   */
+  async sadd(key, ...members) {
+    const set = this.sets.get(key) || new Set();
+    this.sets.set(key, set);
+
+    return members.reduce((added, member) => {
+      if (set.has(member)) return added;
+      set.add(member);
+      return added + 1;
+    }, 0);
+  }
+
+  /**
+   * SREM key member [member ...]
+   * @param {string} key - Set key
+   * @param {...string} members - Members to remove
+   * @returns {Promise<number>} How many members were removed
+   */
+  async srem(key, ...members) {
+    const set = this.sets.get(key);
+    if (!set) return 0;
+
+    const removed = members.filter(member => set.delete(member)).length;
+    if (set.size === 0) this.sets.delete(key);
+    return removed;
+  }
+
+  /**
+   * SMEMBERS key
+   * @param {string} key - Set key
+   */
+  async smembers(key) {
+    return Array.from(this.sets.get(key) || []);
+  }
+
+  /**
+   * EVAL script numkeys key [key ...] arg [arg ...]
+   * @param {string} script - One of the scripts RedisStateStore runs
+   * @param {number} numKeys - How many of the arguments are keys
+   * @param {...string} args - Keys, then arguments
+   */
+  async eval(script, numKeys, ...args) {
+    const run = SCRIPTS.get(script);
+    if (!run) {
+      throw new Error('InMemoryRedis cannot run this script');
+    }
+    return run(this, args.slice(0, numKeys), args.slice(numKeys));
+  }
+}
+
+module.exports = InMemoryRedis;
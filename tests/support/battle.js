@@ -0,0 +1,78 @@
+const GameStateManager = require('../../models/GameStateManager');
+
+/**
+ * Build a game state manager that keeps everything in memory
+ * @param {object} options - GameStateManager options
+ */
+function createGameState(options = {}) {
+  return new GameStateManager(options);
+}
+
+/**
+ * Register players and seat them in a new room, the first one hosting
+ * @param {GameStateManager} gameState - Game state manager instance
+ * @param {Array} playerIds - Socket IDs of the players
+ * @param {object} roomData - Room configuration passed to createRoom
+ * @returns {object} The room
+ */
+function seatPlayers(gameState, playerIds, roomData = {}) {
+  playerIds.forEach(id => gameState.registerPlayer(id, { name: id }));
+  const room = gameState.createRoom(playerIds[0], { name: 'Test Room', ...roomData });
+  // Private rooms only take players the host invites
+  playerIds.slice(1).forEach(id => gameState.addPlayerToRoom(id, room.id, room.isPrivate
+    ? { inviteToken: gameState.createInvite(playerIds[0]).token }
+    : {}));
+  return room;
+}
+
+/**
+ * Seat players with their characters and loadouts, ready them and start the game
+ * @param {GameStateManager} gameState - Game state manager instance
+ * @param {object} options - Battle options
+ * @param {Array} options.players - { id, characterId, loadout } for each player, the first one hosting
+ * @param {object} options.room - Room configuration passed to createRoom
+ * @param {string|number|null} options.seed - Combat roll seed; null, the default, resolves every roll at its fixed value
+ * @returns {object} The room, with its game in progress
+ */
+function startBattle(gameState, options = {}) {
+  const players = options.players || [
+    { id: 'alice', characterId: 'chrono-knight' },
+    { id: 'bob', characterId: 'steam-engineer' }
+  ];
+
+  const room = seatPlayers(gameState, players.map(player => player.id), options.room);
+  players.forEach(player => {
+    if (player.team !== undefined) {
+      const moved = gameState.setPlayerTeam(player.id, player.team);
+      if (!moved.success) {
+        throw new Error(`${player.id} could not join team ${player.team}: ${moved.error}`);
+      }
+    }
+    gameState.setPlayerCharacter(player.id, player.characterId);
+    gameState.setPlayerLoadout(player.id, player.loadout || []);
+  });
+  players.forEach(player => gameState.setPlayerReady(player.id, true));
+
+  const started = gameState.startGame(room.id, { seed: options.seed === undefined ? null : options.seed });
+  if (!started.success) {
+    throw new Error(`Battle did not start: ${started.error}`);
+  }
+  return room;
+}
+
+/**
+ * Act as whoever's turn it is
+ * @param {GameStateManager} gameState - Game state manager instance
+ * @param {object} room - Room data
+ * @param {object} action - Game action
+ */
+function act(gameState, room, action) {
+  return gameState.processGameAction(room.gameData.currentTurn, action);
+}
+
+module.exports = {
+  createGameState,
+  seatPlayers,
+  startBattle,
+  act
+};
@@ -0,0 +1,28 @@
+/**
+ * Load modules fresh with some environment variables set, for settings read when a module loads
+ * @param {object} vars - Environment variables to set while the callback runs
+ * @param {Function} callback - Requires the modules it needs and checks them
+ */
+function withEnv(vars, callback) {
+  const previous = {};
+  Object.keys(vars).forEach(name => {
+    previous[name] = process.env[name];
+    process.env[name] = vars[name];
+  });
+
+  try {
+    jest.isolateModules(callback);
+  } finally {
+    Object.keys(vars).forEach(name => {
+      if (previous[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = previous[name];
+      }
+    });
+  }
+}
+
+module.exports = {
+  withEnv
+};
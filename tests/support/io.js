@@ -0,0 +1,83 @@
+/**
+ * Build a stand-in for a Socket.IO server that records what the controllers send
+ *
+ * io.to(target) and io.in(target) reach a socket or room by name; every emit lands in io.sent as
+ * { to, event, data }, with to set to null for broadcasts. disconnectSockets and socketsLeave are
+ * recorded the same way, as the events 'disconnect' and 'leave'.
+ */
+function createFakeIo() {
+  const io = {
+    sent: [],
+    sockets: { sockets: new Map() },
+
+    to(to) {
+      return {
+        emit: (event, data) => io.sent.push({ to, event, data }),
+        disconnectSockets: () => io.sent.push({ to, event: 'disconnect' }),
+        socketsLeave: rooms => io.sent.push({ to, event: 'leave', data: rooms })
+      };
+    },
+
+    emit(event, data) {
+      io.sent.push({ to: null, event, data });
+    },
+
+    /**
+     * Get everything sent to a socket or room on one event
+     * @param {string|null} to - Socket or room name, or null for broadcasts
+     * @param {string} event - Event name
+     */
+    sentTo(to, event) {
+      return io.sent.filter(entry => entry.to === to && entry.event === event).map(entry => entry.data);
+    }
+  };
+  io.in = io.to;
+  return io;
+}
+
+/**
+ * Build a stand-in for a connected socket and register it with a fake server
+ * @param {object} io - Fake server from createFakeIo
+ * @param {string} id - Socket ID
+ * @param {object} handshake - Handshake data, e.g. { auth, headers, address }
+ */
+function createFakeSocket(io, id, handshake = {}) {
+  const socket = {
+    id,
+    handshake: { auth: {}, headers: {}, address: '127.0.0.1', ...handshake },
+    rooms: new Set([id]),
+    emitted: [],
+    disconnected: false,
+
+    emit(event, data) {
+      socket.emitted.push({ event, data });
+    },
+
+    join(room) {
+      socket.rooms.add(room);
+    },
+
+    leave(room) {
+      socket.rooms.delete(room);
+    },
+
+    disconnect() {
+      socket.disconnected = true;
+    },
+
+    /**
+     * Get everything sent to this socket on one event
+     * @param {string} event - Event name
+     */
+    sent(event) {
+      return socket.emitted.filter(entry => entry.event === event).map(entry => entry.data);
+    }
+  };
+  io.sockets.sockets.set(id, socket);
+  return socket;
+}
+
+module.exports = {
+  createFakeIo,
+  createFakeSocket
+};